@@ -9,8 +9,11 @@
  * @license ISC
  */
 
-import { ok, badRequest } from "wix-http-functions";
+import { ok, badRequest, forbidden } from "wix-http-functions";
 import wixData from "wix-data";
+import { collections as dataCollections } from "wix-data.v2";
+import { elevate } from "wix-auth";
+import crypto from "crypto";
 
 /**
  * Here, you're going to change this default value to your secret token.
@@ -18,154 +21,615 @@ import wixData from "wix-data";
  */
 const SECRET_TOKEN = "YOUR_SECRET_TOKEN_HERE";
 
+/**
+ * Tokens accepted by the bridge and what each one may do.
+ * `collections` is "*" or a list of collection names; `operations` is "*" or a list of
+ * "read", "insert", "update", "remove" and "truncate". Requests outside a token's scope
+ * are denied with a `forbidden` error.
+ */
+const API_TOKENS = [
+    { token: SECRET_TOKEN, collections: "*", operations: "*" },
+    // { token: "YOUR_READ_ONLY_TOKEN_HERE", collections: ["Posts", "Authors"], operations: ["read"] },
+];
+
+// Operations each route needs (save can either insert or update)
+const ROUTE_OPERATIONS = {
+    query: ["read"],
+    getQuery: ["read"],
+    count: ["read"],
+    distinct: ["read"],
+    aggregate: ["read"],
+    isReferenced: ["read"],
+    queryReferenced: ["read"],
+    insertQuery: ["insert"],
+    saveQuery: ["insert", "update"],
+    updateQuery: ["update"],
+    insertReference: ["update"],
+    removeReference: ["update"],
+    replaceReferences: ["update"],
+    removeQuery: ["remove"],
+    truncateQuery: ["truncate"],
+    schema: ["read"]
+};
+
+/**
+ * Request signing (SDK option `signRequests: true`).
+ * Set REQUIRE_SIGNATURE to true once every client signs, to reject plaintext tokens.
+ * Signatures older than SIGNATURE_MAX_AGE_MS are rejected, and nonces seen within
+ * that window are rejected as replays. The nonce cache lives in memory, so it only
+ * covers requests handled by the same backend instance.
+ */
+const REQUIRE_SIGNATURE = false;
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+const seenNonces = new Map();
+
+// Collection schemas are listed from the Data Collections API in pages of this size
+const SCHEMA_PAGE_SIZE = 100;
+
+// Batches (SDK `cms.batch()`) run at most this many operations per request
+const MAX_BATCH_OPERATIONS = 50;
+const SKIPPED_OPERATION = {
+    status: "failed",
+    error: "skipped",
+    errorMessage: "Not run because an earlier operation in the batch failed"
+};
+
 const getResponse = () => ({
     headers: { "content-type": "application/json" }
 });
 
-const validateRequest = (body) => {
-    if (body.token !== SECRET_TOKEN) return { status: "failed", error: "unauthorized" };
-    if (!body.collection) return { status: "failed", error: "collection_not_provided" };
+const failed = (response, error) =>
+    error.error === "forbidden"
+        ? forbidden({ ...response, body: error })
+        : badRequest({ ...response, body: error });
+
+const safeEqual = (a, b) => {
+    if (typeof a !== "string" || typeof b !== "string") return false;
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const rememberNonce = (nonce, now) => {
+    for (const [seen, expiresAt] of seenNonces) {
+        if (expiresAt <= now) seenNonces.delete(seen);
+    }
+    if (seenNonces.has(nonce)) return false;
+    seenNonces.set(nonce, now + SIGNATURE_MAX_AGE_MS);
+    return true;
+};
+
+/**
+ * Finds the API token that signed the request. Returns { entry } or { error }.
+ */
+const verifySignature = (request, rawBody, route) => {
+    const headers = request.headers || {};
+    const timestamp = headers["x-wix-cms-timestamp"];
+    const nonce = headers["x-wix-cms-nonce"];
+    const signature = headers["x-wix-cms-signature"];
+    if (!timestamp || !nonce) {
+        return { error: { status: "failed", error: "unauthorized", errorMessage: "Missing signature headers" } };
+    }
+
+    const now = Date.now();
+    if (!(Math.abs(now - Number(timestamp)) <= SIGNATURE_MAX_AGE_MS)) {
+        return { error: { status: "failed", error: "unauthorized", errorMessage: "Request timestamp is outside the allowed window" } };
+    }
+
+    const bodyHash = crypto.createHash("sha256").update(rawBody).digest("hex");
+    const signingString = ["POST", `/${route}`, timestamp, nonce, bodyHash].join("\n");
+    const entry = API_TOKENS.find(({ token }) =>
+        safeEqual(signature, crypto.createHmac("sha256", token).update(signingString).digest("hex"))
+    );
+    if (!entry) return { error: { status: "failed", error: "unauthorized" } };
+
+    if (!rememberNonce(nonce, now)) {
+        return { error: { status: "failed", error: "unauthorized", errorMessage: "Request nonce was already used" } };
+    }
+    return { entry };
+};
+
+const authorize = (entry, route, collection) => {
+    const operations = ROUTE_OPERATIONS[route] || [];
+    const collectionAllowed = entry.collections === "*" || entry.collections.includes(collection);
+    const denied = operations.find(operation => entry.operations !== "*" && !entry.operations.includes(operation));
+
+    if (!collectionAllowed || denied) {
+        const operation = denied || operations[0];
+        return {
+            status: "failed",
+            error: "forbidden",
+            errorMessage: `Token is not allowed to ${operation} on collection "${collection}"`,
+            collection,
+            operation
+        };
+    }
     return null;
 };
 
-const handleOperation = (operation, response) => 
-    operation.then(result => {
-        response.body = { status: "success", result };
-        return ok(response);
-    }).catch(error => {
-        response.body = { status: "failed", error: "operation_failed", errorMessage: error };
-        return badRequest(response);
-    });
+/**
+ * Finds the API token of the request, from its signature or its plain token. Returns { entry } or { error }.
+ */
+const authenticate = (request, rawBody, body, route) => {
+    const signed = Boolean(request.headers && request.headers["x-wix-cms-signature"]);
+    if (signed) return verifySignature(request, rawBody, route);
+    if (REQUIRE_SIGNATURE) {
+        return { error: { status: "failed", error: "unauthorized", errorMessage: "Request signature required" } };
+    }
 
-export async function post_saveQuery(request) {
+    const entry = API_TOKENS.find(({ token }) => safeEqual(body.token, token));
+    return entry ? { entry } : { error: { status: "failed", error: "unauthorized" } };
+};
+
+/**
+ * Checks that an operation names a collection and that the token may run the route on it.
+ * Returns an error body, or null when allowed.
+ */
+const checkAccess = (entry, route, collection) => {
+    if (!collection) return { status: "failed", error: "collection_not_provided" };
+    return authorize(entry, route, collection);
+};
+
+/**
+ * Parses the request body and authenticates it for the given route (the function name without `post_`).
+ * Returns { body, entry } or { body, error }.
+ */
+const readRequest = async (request, route) => {
+    const rawBody = await request.body.text();
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch {
+        return { body: {}, error: { status: "failed", error: "invalid_body" } };
+    }
+    return { body, ...authenticate(request, rawBody, body, route) };
+};
+
+// An error for requests rejected before reaching wix-data, reported by its `error` code alone
+const invalid = (error, message = error) => Object.assign(new Error(message), { bridgeError: error });
+
+const QUERY_OPERATORS = {
+    eq: (query, cond) => query.eq(cond.field, cond.value),
+    ne: (query, cond) => query.ne(cond.field, cond.value),
+    gt: (query, cond) => query.gt(cond.field, cond.value),
+    gte: (query, cond) => query.ge(cond.field, cond.value),
+    lt: (query, cond) => query.lt(cond.field, cond.value),
+    le: (query, cond) => query.le(cond.field, cond.value),
+    lte: (query, cond) => query.le(cond.field, cond.value),
+    include: (query, cond) => query.include(...[].concat(cond.field)),
+    contains: (query, cond) => query.contains(cond.field, cond.value),
+    startsWith: (query, cond) => query.startsWith(cond.field, cond.value),
+    endsWith: (query, cond) => query.endsWith(cond.field, cond.value),
+    between: (query, cond) => query.between(cond.field, cond.value, cond.extraValue),
+    fields: (query, cond) => query.fields(...[].concat(cond.field)),
+    limit: (query, cond) => query.limit(cond.value),
+    skip: (query, cond) => query.skip(cond.value),
+    hasSome: (query, cond) => query.hasSome(cond.field, cond.value),
+    hasAll: (query, cond) => query.hasAll(cond.field, cond.value),
+    isEmpty: (query, cond) => query.isEmpty(cond.field),
+    isNotEmpty: (query, cond) => query.isNotEmpty(cond.field),
+    ascending: (query, cond) => query.ascending(...[].concat(cond.field)),
+    descending: (query, cond) => query.descending(...[].concat(cond.field)),
+    // Logical operators carry a nested condition list in `value`
+    or: (query, cond, createBase) => query.or(buildQuery(createBase, cond.value)),
+    and: (query, cond, createBase) => query.and(buildQuery(createBase, cond.value)),
+    not: (query, cond, createBase) => query.not(buildQuery(createBase, cond.value))
+};
+
+const AGGREGATE_OPERATIONS = ["sum", "avg", "min", "max"];
+
+/**
+ * Builds a wix-data query (or filter) from the SDK condition list, recursing into or/and/not.
+ * `createBase` returns an empty query or filter to start from. Throws on unknown operators.
+ */
+const buildQuery = (createBase, conditions) => {
+    let query = createBase();
+    if (!Array.isArray(conditions)) return query;
+
+    for (const cond of conditions) {
+        const apply = QUERY_OPERATORS[cond.operator];
+        if (!apply) throw invalid("invalid_operator", `invalid_operator: ${cond.operator}`);
+        query = apply(query, cond, createBase);
+    }
+    return query;
+};
+
+/**
+ * Builds a wix-data aggregation from the SDK aggregation payload.
+ * Throws on unknown operations.
+ */
+const buildAggregate = (collection, aggregation = {}) => {
+    const { filter, group, operations = [], having, sort = [], limit, skip } = aggregation;
+    let aggregate = wixData.aggregate(collection);
+
+    if (Array.isArray(filter) && filter.length > 0) {
+        aggregate = aggregate.filter(buildQuery(() => wixData.filter(), filter));
+    }
+    if (Array.isArray(group) && group.length > 0) aggregate = aggregate.group(...group);
+
+    for (const op of operations) {
+        if (op.operator === "count") {
+            aggregate = aggregate.count();
+        } else if (AGGREGATE_OPERATIONS.includes(op.operator)) {
+            aggregate = op.projectedField
+                ? aggregate[op.operator](op.field, op.projectedField)
+                : aggregate[op.operator](op.field);
+        } else {
+            throw invalid("invalid_operator", `invalid_operator: ${op.operator}`);
+        }
+    }
+
+    if (Array.isArray(having) && having.length > 0) {
+        aggregate = aggregate.having(buildQuery(() => wixData.filter(), having));
+    }
+
+    for (const { field, direction } of sort) {
+        aggregate = direction === "descending" ? aggregate.descending(field) : aggregate.ascending(field);
+    }
+    if (limit !== undefined) aggregate = aggregate.limit(limit);
+    if (skip !== undefined) aggregate = aggregate.skip(skip);
+    return aggregate;
+};
+
+const GET_BATCH_SIZE = 100;
+
+const getMany = async (collection, itemIds, options) => {
+    const uniqueIds = [...new Set(itemIds)];
+    const found = new Map();
+
+    for (let i = 0; i < uniqueIds.length; i += GET_BATCH_SIZE) {
+        const batch = uniqueIds.slice(i, i + GET_BATCH_SIZE);
+        const result = await wixData.query(collection)
+            .hasSome("_id", batch)
+            .limit(batch.length)
+            .find(options);
+        result.items.forEach(item => found.set(item._id, item));
+    }
+
+    return {
+        items: itemIds.filter(id => found.has(id)).map(id => found.get(id)),
+        missing: itemIds.filter(id => !found.has(id))
+    };
+};
+
+// wix-data reports per-item bulk failures as Error objects, which serialize to {}; keep what the SDK reports
+const serializeBulkResult = (result) => ({
+    ...result,
+    errors: (result.errors || []).map(error => ({
+        index: error.originalIndex,
+        code: error.code || (error.details && error.details.applicationError && error.details.applicationError.code),
+        message: error.message,
+        item: error.item
+    }))
+});
+
+// A write rejected by checkUnmodified; the response carries the stored item (null once removed)
+const conflict = (currentItem) => Object.assign(invalid("conflict", "The item was modified since expectedUpdatedDate"), { currentItem });
+
+/**
+ * Optimistic concurrency (SDK option `expectedUpdatedDate`): throws a conflict unless the stored
+ * item was last updated at the expected time. The check and the write are separate wix-data
+ * calls, so a write landing between them is not detected.
+ */
+const checkUnmodified = async ({ collection, item, expectedUpdatedDate, options }) => {
+    if (expectedUpdatedDate === undefined) return;
+    if (Array.isArray(item)) throw invalid("invalid_body", "expectedUpdatedDate cannot be used with bulk writes");
+
+    const current = item && item._id ? await wixData.get(collection, item._id, options) : null;
+    if (!current || new Date(current._updatedDate).getTime() !== new Date(expectedUpdatedDate).getTime()) {
+        throw conflict(current || null);
+    }
+};
+
+const referenceOperation = (operationName) => ({ collection, field, referringItem, referencedItem, options }) => {
+    if (!field) throw invalid("field_not_provided");
+    return wixData[operationName](collection, field, referringItem, referencedItem, options);
+};
+
+const collectDistinct = async (result) => {
+    const values = [...result.items];
+    while (result.hasNext()) {
+        result = await result.next();
+        values.push(...result.items);
+    }
+    return values;
+};
+
+/**
+ * What each route does, given the request body. Each returns the result (or a promise of it)
+ * and throws (or rejects) on failure.
+ */
+const OPERATIONS = {
+    saveQuery: async (body) => {
+        const { collection, item, options } = body;
+        await checkUnmodified(body);
+        return Array.isArray(item)
+            ? wixData.bulkSave(collection, item, options).then(serializeBulkResult)
+            : wixData.save(collection, item, options);
+    },
+
+    updateQuery: async (body) => {
+        const { collection, item, options } = body;
+        await checkUnmodified(body);
+        return Array.isArray(item)
+            ? wixData.bulkUpdate(collection, item, options).then(serializeBulkResult)
+            : wixData.update(collection, item, options);
+    },
+
+    removeQuery: ({ collection, itemId, options }) => Array.isArray(itemId)
+        ? wixData.bulkRemove(collection, itemId, options).then(serializeBulkResult)
+        : wixData.remove(collection, itemId, options),
+
+    truncateQuery: ({ collection, options }) => wixData.truncate(collection, options),
+
+    insertQuery: ({ collection, item, options }) => Array.isArray(item)
+        ? wixData.bulkInsert(collection, item, options).then(serializeBulkResult)
+        : wixData.insert(collection, item, options),
+
+    getQuery: ({ collection, itemId, options }) => Array.isArray(itemId)
+        ? getMany(collection, itemId, options)
+        : wixData.get(collection, itemId, options).then(item => item ?? null),
+
+    insertReference: referenceOperation("insertReference"),
+    removeReference: referenceOperation("removeReference"),
+    replaceReferences: referenceOperation("replaceReferences"),
+    isReferenced: referenceOperation("isReferenced"),
+
+    queryReferenced: async ({ collection, item, field, page = 0, options = {} }) => {
+        if (!field) throw invalid("field_not_provided");
+
+        // wix-data pages with next(), so walk forward to the requested page
+        let result = await wixData.queryReferenced(collection, item, field, options);
+        for (let current = 0; current < page && result.hasNext(); current++) {
+            result = await result.next();
+        }
+        const perPage = options.pageSize || 50;
+        return {
+            items: result.items,
+            pagination: {
+                total_items: result.totalCount,
+                total_pages: Math.ceil(result.totalCount / perPage),
+                per_page: perPage,
+                current_page: page,
+                has_next_page: result.hasNext(),
+                has_prev_page: result.hasPrev()
+            }
+        };
+    },
+
+    query: async ({ collection, conditions }) => {
+        const result = await buildQuery(() => wixData.query(collection), conditions).find();
+        return {
+            items: result.items,
+            pagination: {
+                total_items: result.length,
+                total_pages: result.totalPages,
+                per_page: result.pageSize,
+                current_page: result.currentPage,
+                has_next_page: result.hasNext(),
+                has_prev_page: result.hasPrev()
+            }
+        };
+    },
+
+    count: ({ collection, conditions, options }) =>
+        buildQuery(() => wixData.query(collection), conditions).count(options),
+
+    distinct: async ({ collection, conditions, field, options }) => {
+        if (!field) throw invalid("field_not_provided");
+        const query = buildQuery(() => wixData.query(collection), conditions);
+        return collectDistinct(await query.distinct(field, options));
+    },
+
+    aggregate: async ({ collection, aggregation, options }) => {
+        const result = await buildAggregate(collection, aggregation).run(options);
+        return { items: result.items, length: result.length };
+    }
+};
+
+/**
+ * Runs one operation and returns its response body. Never rejects.
+ */
+const runOperation = async (route, body) => {
+    const operation = OPERATIONS[route];
+    if (!operation) return { status: "failed", error: "invalid_route" };
+
+    try {
+        return { status: "success", result: await operation(body) };
+    } catch (error) {
+        if (error && error.bridgeError === "conflict") {
+            return { status: "failed", error: "conflict", errorMessage: error.message, currentItem: error.currentItem };
+        }
+        if (error && error.bridgeError) return { status: "failed", error: error.bridgeError };
+        return { status: "failed", error: route === "query" ? "query_failed" : "operation_failed", errorMessage: error };
+    }
+};
+
+/**
+ * Leaves the stored item out of a conflict response when the token may not read the collection,
+ * so that a write-only token cannot read items by sending a stale expectedUpdatedDate.
+ */
+const hideUnreadable = (entry, collection, result) => {
+    if (result.error !== "conflict" || !authorize(entry, "getQuery", collection)) return result;
+    return { ...result, currentItem: undefined };
+};
+
+/**
+ * Serves a single-operation route: authenticates and authorizes the request, then runs it.
+ */
+const handleRoute = async (request, route) => {
     const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    const error = validateRequest(body);
-    if (error) return badRequest({ ...response, body: error });
+    const { body, entry, error } = await readRequest(request, route);
+    if (error) return failed(response, error);
+
+    const denied = checkAccess(entry, route, body.collection);
+    if (denied) return failed(response, denied);
 
-    const { collection, item, options } = body;
-    const operation = Array.isArray(item) 
-        ? wixData.bulkSave(collection, item, options) 
-        : wixData.save(collection, item, options);
-    return handleOperation(operation, response);
+    response.body = hideUnreadable(entry, body.collection, await runOperation(route, body));
+    return response.body.status === "success" ? ok(response) : badRequest(response);
+};
+
+export async function post_saveQuery(request) {
+    return handleRoute(request, "saveQuery");
 }
 
 export async function post_updateQuery(request) {
-    const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    const error = validateRequest(body);
-    if (error) return badRequest({ ...response, body: error });
-
-    const { collection, item, options } = body;
-    const operation = Array.isArray(item) 
-        ? wixData.bulkUpdate(collection, item, options) 
-        : wixData.update(collection, item, options);
-    return handleOperation(operation, response);
+    return handleRoute(request, "updateQuery");
 }
 
 export async function post_removeQuery(request) {
-    const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    const error = validateRequest(body);
-    if (error) return badRequest({ ...response, body: error });
-
-    const { collection, itemId, options } = body;
-    const operation = Array.isArray(itemId)
-        ? wixData.bulkRemove(collection, itemId, options)
-        : wixData.remove(collection, itemId, options);
-    return handleOperation(operation, response);
+    return handleRoute(request, "removeQuery");
 }
 
 export async function post_truncateQuery(request) {
-    const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    const error = validateRequest(body);
-    if (error) return badRequest({ ...response, body: error });
-
-    const { collection, options } = body;
-    const operation = wixData.truncate(collection, options);
-    return handleOperation(operation, response);
+    return handleRoute(request, "truncateQuery");
 }
 
 export async function post_insertQuery(request) {
-    const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    const error = validateRequest(body);
-    if (error) return badRequest({ ...response, body: error });
+    return handleRoute(request, "insertQuery");
+}
 
-    const { collection, item, options } = body;
-    const operation = Array.isArray(item)
-        ? wixData.bulkInsert(collection, item, options)
-        : wixData.insert(collection, item, options);
-    return handleOperation(operation, response);
+export async function post_getQuery(request) {
+    return handleRoute(request, "getQuery");
+}
+
+export async function post_insertReference(request) {
+    return handleRoute(request, "insertReference");
+}
+
+export async function post_removeReference(request) {
+    return handleRoute(request, "removeReference");
+}
+
+export async function post_replaceReferences(request) {
+    return handleRoute(request, "replaceReferences");
+}
+
+export async function post_isReferenced(request) {
+    return handleRoute(request, "isReferenced");
+}
+
+export async function post_queryReferenced(request) {
+    return handleRoute(request, "queryReferenced");
 }
 
 export async function post_query(request) {
+    return handleRoute(request, "query");
+}
+
+export async function post_count(request) {
+    return handleRoute(request, "count");
+}
+
+export async function post_distinct(request) {
+    return handleRoute(request, "distinct");
+}
+
+export async function post_aggregate(request) {
+    return handleRoute(request, "aggregate");
+}
+
+/**
+ * Runs several operations, possibly on different collections, in one request (SDK `cms.batch()`).
+ * Body: { operations: [{ route, collection, ...payload }], sequential }. Each operation is authorized
+ * on its own and gets its own result, in order. Operations run concurrently unless `sequential` is
+ * true; then they run in order and the ones after the first failure are skipped.
+ */
+export async function post_batch(request) {
     const response = getResponse();
-    const body = JSON.parse(await request.body.text());
-    
-    if (body.token !== SECRET_TOKEN) {
-        response.body = { status: "failed", error: "unauthorized" };
-        return badRequest(response);
+    const { body, entry, error } = await readRequest(request, "batch");
+    if (error) return failed(response, error);
+
+    const { operations, sequential } = body;
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+        return badRequest({
+            ...response,
+            body: { status: "failed", error: "invalid_batch", errorMessage: `A batch needs 1 to ${MAX_BATCH_OPERATIONS} operations` }
+        });
     }
 
-    if (!body.collection) {
-        response.body = { status: "failed", error: "collection_not_provided" };
-        return badRequest(response);
+    const run = async (operation) => {
+        if (!operation || typeof operation !== "object") return { status: "failed", error: "invalid_body" };
+        if (!OPERATIONS[operation.route]) return { status: "failed", error: "invalid_route" };
+        return checkAccess(entry, operation.route, operation.collection)
+            || hideUnreadable(entry, operation.collection, await runOperation(operation.route, operation));
+    };
+
+    let results;
+    if (sequential) {
+        results = [];
+        for (const operation of operations) {
+            const skip = results.some(result => result.status === "failed");
+            results.push(skip ? SKIPPED_OPERATION : await run(operation));
+        }
+    } else {
+        results = await Promise.all(operations.map(run));
     }
 
-    let query = wixData.query(body.collection);
-    if (Array.isArray(body.conditions)) {
-        body.conditions.forEach(cond => {
-            const methods = {
-                eq: () => query.eq(cond.field, cond.value),
-                ne: () => query.ne(cond.field, cond.value),
-                gt: () => query.gt(cond.field, cond.value),
-                gte: () => query.ge(cond.field, cond.value),
-                lt: () => query.lt(cond.field, cond.value),
-                le: () => query.le(cond.field, cond.value),
-                lte: () => query.le(cond.field, cond.value),
-                include: () => query.include(...cond.field),
-                contains: () => query.contains(cond.field, cond.value),
-                startsWith: () => query.startsWith(cond.field, cond.value),
-                endsWith: () => query.endsWith(cond.field, cond.value),
-                between: () => query.between(cond.field, cond.value, cond.extraValue),
-                fields: () => query.fields(...cond.field),
-                limit: () => query.limit(cond.value),
-                skip: () => query.skip(cond.value),
-                hasSome: () => query.hasSome(cond.field, cond.value),
-                hasAll: () => query.hasAll(cond.field, cond.value),
-                isEmpty: () => query.isEmpty(cond.field),
-                isNotEmpty: () => query.isNotEmpty(cond.field),
-                ascending: () => query.ascending(...cond.field),
-                descending: () => query.descending(...cond.field)
-            };
-            if (!methods[cond.operator]) {
-                response.body = { status: "failed", error: "invalid_operator" };
-                return badRequest(response);
-            }
-            query = methods[cond.operator]();
+    response.body = { status: "success", result: results };
+    return ok(response);
+}
+
+// Reading collection schemas needs the "Manage Data Collections" permission, so elevate the calls
+const listDataCollections = elevate(dataCollections.listDataCollections);
+const getDataCollection = elevate(dataCollections.getDataCollection);
+
+const describeCollection = (collection) => ({
+    id: collection._id,
+    displayName: collection.displayName,
+    fields: (collection.fields || []).map(field => {
+        const metadata = field.typeMetadata || {};
+        const reference = metadata.reference || metadata.multiReference;
+        return {
+            key: field.key,
+            displayName: field.displayName,
+            type: field.type,
+            system: field.systemField === true,
+            referencedCollection: reference ? reference.referencedCollectionId : undefined
+        };
+    })
+});
+
+const listCollections = async () => {
+    const all = [];
+    for (let offset = 0; ; offset += SCHEMA_PAGE_SIZE) {
+        const { collections = [] } = await listDataCollections({ paging: { limit: SCHEMA_PAGE_SIZE, offset } });
+        all.push(...collections);
+        if (collections.length < SCHEMA_PAGE_SIZE) return all;
+    }
+};
+
+/**
+ * Returns the field definitions of collections (SDK `cms.fetchCollectionSchemas()`, CLI `generate-types`).
+ * Body: { collections } — the names to describe, or omitted for every collection the token may read.
+ * Result: { collections: [{ id, displayName, fields: [{ key, displayName, type, system, referencedCollection }] }] }
+ */
+export async function post_schema(request) {
+    const response = getResponse();
+    const { body, entry, error } = await readRequest(request, "schema");
+    if (error) return failed(response, error);
+
+    const requested = body.collections;
+    if (requested !== undefined && (!Array.isArray(requested) || requested.length === 0)) {
+        return badRequest({
+            ...response,
+            body: { status: "failed", error: "invalid_body", errorMessage: "collections must be a non-empty array" }
         });
     }
 
-    return query.find().then(result => {
-        response.body = { 
-            status: "success", 
-            result: {
-                items: result.items,
-                pagination: {
-                    total_items: result.length,
-                    total_pages: result.totalPages,
-                    per_page: result.pageSize,
-                    current_page: result.currentPage,
-                    has_next_page: result.hasNext(),
-                    has_prev_page: result.hasPrev()
-                }
-            } 
-        };
+    for (const collection of requested || []) {
+        const denied = checkAccess(entry, "schema", collection);
+        if (denied) return failed(response, denied);
+    }
+
+    try {
+        const collections = requested
+            ? await Promise.all(requested.map(collection => getDataCollection(collection)))
+            : (await listCollections()).filter(collection => !authorize(entry, "schema", collection._id));
+        response.body = { status: "success", result: { collections: collections.map(describeCollection) } };
         return ok(response);
-    }).catch(error => {
-        response.body = { status: "failed", error: "query_failed", errorMessage: error };
+    } catch (error) {
+        response.body = { status: "failed", error: "operation_failed", errorMessage: error };
         return badRequest(response);
-    });
+    }
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+import { applyFilters, FILTER_OPTIONS, FILTER_USAGE } from "../filters.js";
+import { openOutput, resolveFormat, writeItems } from "../formats.js";
+
+/**
+ * `wix-cms export <collection>`: streams every matching item to a file or stdout.
+ */
+export const exportCommand = {
+	arguments: ["collection"],
+	options: {
+		format: { type: 'string', short: 'f' },
+		output: { type: 'string', short: 'o' },
+		...FILTER_OPTIONS
+	},
+	usage: `Usage: wix-cms export <collection> [--format ndjson|csv|json] [--output <file>] [filters]
+
+Writes every matching item of a collection to --output (or stdout). The format
+defaults to the output file's extension, else NDJSON. Use NDJSON or JSON for
+backups: CSV does not keep value types.
+
+${FILTER_USAGE}`,
+
+	async run({ cms, args: [collection], options, io }) {
+		const format = resolveFormat(options.format, options.output, "ndjson");
+		const query = applyFilters(cms.query(collection), options);
+		const output = await openOutput(io, options.output);
+
+		let count;
+		try {
+			count = await writeItems(query.bulkExport(), format, output.stream);
+		} finally {
+			await output.close();
+		}
+
+		io.stderr.write(`Exported ${count} items from ${collection}\n`);
+		return 0;
+	}
+};
@@ -0,0 +1,79 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { generateTypes, readSnapshot } from "../typegen.js";
+import { openOutput, write } from "../formats.js";
+import { UsageError } from "../usageError.js";
+
+/**
+ * `wix-cms generate-types`: writes TypeScript interfaces for the site's collections,
+ * fetched through the bridge or read from a saved schema snapshot.
+ */
+export const generateTypesCommand = {
+	arguments: [],
+	options: {
+		output: { type: 'string', short: 'o' },
+		collection: { type: 'string', multiple: true },
+		snapshot: { type: 'string' },
+		"save-snapshot": { type: 'string' },
+		"map-name": { type: 'string' }
+	},
+	usage: `Usage: wix-cms generate-types [--output <file>] [--collection <name>...] [options]
+
+Fetches the field definitions of the collections the token may read and writes
+one TypeScript interface per collection, plus a collection map to use as
+new WixCMS<Collections>(...), to --output (or stdout).
+
+Options:
+  --collection <name>       Only these collections (repeatable)
+  --snapshot <file>         Generate offline from a saved schema snapshot instead
+                            of fetching (no credentials needed)
+  --save-snapshot <file>    Also save the fetched schemas, for later --snapshot runs
+  --map-name <name>         Name of the collection map interface (default Collections)`,
+
+	// Offline generation does not talk to the bridge
+	requiresClient: options => options.snapshot === undefined,
+
+	async run({ cms, options, io }) {
+		if (options.snapshot !== undefined && options["save-snapshot"] !== undefined) {
+			throw new UsageError('--snapshot and --save-snapshot cannot be combined');
+		}
+
+		const mapName = options["map-name"] ?? "Collections";
+
+		if (!/^[A-Za-z_$][\w$]*$/.test(mapName)) {
+			throw new UsageError('--map-name must be a valid identifier');
+		}
+
+		let collections;
+
+		if (options.snapshot !== undefined) {
+			collections = readSnapshot(JSON.parse(await readFile(resolve(io.cwd, options.snapshot), 'utf8')));
+
+			if (options.collection) {
+				const missing = options.collection.filter(name => !collections.some(collection => collection.id === name));
+
+				if (missing.length > 0) {
+					throw new UsageError(`Not in the snapshot: ${missing.join(', ')}`);
+				}
+				collections = collections.filter(collection => options.collection.includes(collection.id));
+			}
+		} else {
+			collections = await cms.fetchCollectionSchemas(options.collection);
+
+			if (options["save-snapshot"] !== undefined) {
+				await writeFile(resolve(io.cwd, options["save-snapshot"]), `${JSON.stringify({ collections }, null, 2)}\n`);
+			}
+		}
+
+		const output = await openOutput(io, options.output);
+
+		try {
+			await write(output.stream, generateTypes(collections, { mapName }));
+		} finally {
+			await output.close();
+		}
+
+		io.stderr.write(`Generated types for ${collections.length} collection${collections.length === 1 ? '' : 's'}\n`);
+		return 0;
+	}
+};
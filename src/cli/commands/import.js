@@ -0,0 +1,122 @@
+import { readFileSync, rmSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { parseInteger } from "../filters.js";
+import { openInput, openOutput, readItems, resolveFormat, writeItems } from "../formats.js";
+import { UsageError } from "../usageError.js";
+
+const IMPORT_MODES = Object.freeze(["insert", "save"]);
+const MAX_PRINTED_ERRORS = 20;
+
+/**
+ * `wix-cms import <collection> <file>`: writes the items of a file in chunked bulk requests.
+ */
+export const importCommand = {
+	arguments: ["collection", "file"],
+	options: {
+		format: { type: 'string', short: 'f' },
+		mode: { type: 'string', short: 'm' },
+		"chunk-size": { type: 'string' },
+		concurrency: { type: 'string' },
+		checkpoint: { type: 'string' },
+		errors: { type: 'string' }
+	},
+	usage: `Usage: wix-cms import <collection> <file> [--mode insert|save] [options]
+
+Imports the items of <file> (- for stdin) into a collection in bulk requests.
+The format defaults to the file's extension, else NDJSON.
+
+Options:
+  --mode insert|save        insert (default) fails on existing IDs; save overwrites them
+  --format ndjson|csv|json
+  --chunk-size n            Items per bulk request (default and maximum 1000)
+  --concurrency n           Bulk requests in flight at once (default 1)
+  --checkpoint <file>       Save progress to <file> and resume from it when it exists;
+                            removed once the import completes
+  --errors <file>           Write the items that failed to <file> as NDJSON
+
+Exits with code 1 when any item failed.`,
+
+	async run({ cms, args: [collection, file], options, io }) {
+		const mode = options.mode ?? "insert";
+
+		if (!IMPORT_MODES.includes(mode)) {
+			throw new UsageError(`--mode must be one of: ${IMPORT_MODES.join(', ')}`);
+		}
+
+		const format = resolveFormat(options.format, file === '-' ? undefined : file, "ndjson");
+		const checkpointPath = options.checkpoint && resolve(io.cwd, options.checkpoint);
+		const checkpoint = checkpointPath ? readCheckpoint(checkpointPath) : undefined;
+
+		if (checkpoint) {
+			io.stderr.write(`Resuming after item ${checkpoint.offset}\n`);
+		}
+
+		const input = await openInput(io, file);
+		let report;
+
+		try {
+			report = await cms.query(collection).bulkImport(readItems(input, format), {
+				mode,
+				chunkSize: options["chunk-size"] === undefined ? undefined : parseInteger(options["chunk-size"], "chunk-size", 1),
+				concurrency: options.concurrency === undefined ? undefined : parseInteger(options.concurrency, "concurrency", 1),
+				checkpoint,
+				onProgress: (progress) => {
+					if (checkpointPath) {
+						writeFileSync(checkpointPath, JSON.stringify(progress.checkpoint));
+					}
+					io.stderr.write(`Processed ${progress.processed} items (${progress.failed} failed)\n`);
+				}
+			});
+		} catch (error) {
+			if (checkpointPath) {
+				io.stderr.write(`Import stopped; run the same command again to resume from ${options.checkpoint}\n`);
+			}
+			throw error;
+		} finally {
+			input.destroy?.();
+		}
+
+		if (checkpointPath) {
+			rmSync(checkpointPath, { force: true });
+		}
+
+		io.stderr.write(
+			`Imported into ${collection}: ${report.inserted} inserted, ${report.updated} updated, ` +
+			`${report.skipped} skipped, ${report.errors.length} failed\n`
+		);
+
+		if (report.errors.length === 0) {
+			return 0;
+		}
+
+		if (options.errors) {
+			const output = await openOutput(io, options.errors);
+			try {
+				await writeItems(report.errors, "ndjson", output.stream);
+			} finally {
+				await output.close();
+			}
+			io.stderr.write(`Failed items written to ${options.errors}\n`);
+		} else {
+			for (const { index, code, message } of report.errors.slice(0, MAX_PRINTED_ERRORS)) {
+				io.stderr.write(`  item ${index}: ${code ?? 'error'} ${message ?? ''}\n`);
+			}
+			if (report.errors.length > MAX_PRINTED_ERRORS) {
+				io.stderr.write(`  ... and ${report.errors.length - MAX_PRINTED_ERRORS} more (use --errors <file>)\n`);
+			}
+		}
+
+		return 1;
+	}
+};
+
+function readCheckpoint(path) {
+	try {
+		return JSON.parse(readFileSync(path, 'utf8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return undefined;
+		}
+		throw new UsageError(`Cannot read checkpoint file ${path}: ${error.message}`);
+	}
+}
@@ -0,0 +1,34 @@
+import { applyFilters, FILTER_OPTIONS, FILTER_USAGE } from "../filters.js";
+import { resolveFormat, write, writeItems } from "../formats.js";
+
+/**
+ * `wix-cms query <collection>`: prints the items (or the count) matching the filter flags.
+ */
+export const queryCommand = {
+	arguments: ["collection"],
+	options: {
+		format: { type: 'string', short: 'f' },
+		count: { type: 'boolean' },
+		all: { type: 'boolean' },
+		...FILTER_OPTIONS
+	},
+	usage: `Usage: wix-cms query <collection> [filters] [--count] [--all] [--format json|ndjson|csv]
+
+Prints one page of matching items (see --limit) as JSON, or every matching item
+with --all, or only their number with --count.
+
+${FILTER_USAGE}`,
+
+	async run({ cms, args: [collection], options, io }) {
+		const query = applyFilters(cms.query(collection), options);
+
+		if (options.count) {
+			await write(io.stdout, `${await query.count()}\n`);
+			return 0;
+		}
+
+		const items = options.all ? query.iterate() : (await query.find()).result.items;
+		await writeItems(items, resolveFormat(options.format, undefined, "json"), io.stdout);
+		return 0;
+	}
+};
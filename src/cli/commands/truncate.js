@@ -0,0 +1,39 @@
+import { createInterface } from "node:readline/promises";
+import { UsageError } from "../usageError.js";
+
+/**
+ * `wix-cms truncate <collection>`: removes every item, after the user types the collection name.
+ */
+export const truncateCommand = {
+	arguments: ["collection"],
+	options: {
+		yes: { type: 'boolean', short: 'y' }
+	},
+	usage: `Usage: wix-cms truncate <collection> [--yes]
+
+Removes every item in a collection. Asks you to type the collection name to
+confirm, unless --yes is given (required when not running in a terminal).`,
+
+	async run({ cms, args: [collection], options, io }) {
+		if (!options.yes) {
+			if (!io.stdin.isTTY) {
+				throw new UsageError('Refusing to truncate without confirmation: pass --yes when not running in a terminal');
+			}
+
+			const prompt = createInterface({ input: io.stdin, output: io.stderr });
+			const answer = await prompt.question(
+				`This removes every item in "${collection}". Type the collection name to confirm: `
+			);
+			prompt.close();
+
+			if (answer.trim() !== collection) {
+				io.stderr.write('Aborted: the name did not match\n');
+				return 1;
+			}
+		}
+
+		await cms.query(collection).truncate();
+		io.stderr.write(`Truncated ${collection}\n`);
+		return 0;
+	}
+};
@@ -0,0 +1,57 @@
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+import { UsageError } from "./usageError.js";
+
+export const CONFIG_FILE = 'wix-cms.config.json';
+
+// Environment variables and the WixCMS settings they provide
+const ENV_VARS = Object.freeze({
+	WIX_CMS_USERNAME: 'username',
+	WIX_CMS_SITE: 'site',
+	WIX_CMS_TOKEN: 'token',
+	WIX_CMS_BASE_URL: 'baseUrl',
+	WIX_CMS_DOMAIN: 'domain'
+});
+
+/**
+ * Loads the WixCMS configuration for the CLI.
+ *
+ * Settings come from a JSON config file holding a `WixCMS` configuration object
+ * (`--config`, else `$WIX_CMS_CONFIG`, else `wix-cms.config.json` in the working directory),
+ * overridden by the `WIX_CMS_*` environment variables. A missing default config file is
+ * not an error; a missing file named explicitly is.
+ *
+ * @param {Object} context - Where to look
+ * @param {string} [context.configPath] - The `--config` flag
+ * @param {Object<string, string>} context.env - The environment variables
+ * @param {string} context.cwd - The working directory
+ * @returns {Promise<Object>} The configuration object to pass to `WixCMS`
+ * @throws {UsageError} When the config file is unreadable or no token is configured
+ */
+export async function loadConfig({ configPath, env, cwd }) {
+	const explicitPath = configPath ?? env.WIX_CMS_CONFIG;
+	const path = resolve(cwd, explicitPath ?? CONFIG_FILE);
+	let fileConfig = {};
+
+	try {
+		fileConfig = JSON.parse(await readFile(path, 'utf8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT' || explicitPath) {
+			throw new UsageError(`Cannot read config file ${path}: ${error.message}`);
+		}
+	}
+
+	const config = { ...fileConfig };
+
+	for (const [name, key] of Object.entries(ENV_VARS)) {
+		if (env[name]) {
+			config[key] = env[name];
+		}
+	}
+
+	if (!config.token) {
+		throw new UsageError(`No token configured: set WIX_CMS_TOKEN or "token" in ${CONFIG_FILE}`);
+	}
+
+	return config;
+}
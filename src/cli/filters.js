@@ -0,0 +1,111 @@
+import { UsageError } from "./usageError.js";
+
+// Flags that add a `field=value` condition, and the QueryBuilder method each one calls
+const CONDITION_FLAGS = Object.freeze({
+	eq: "eq",
+	ne: "ne",
+	gt: "gt",
+	gte: "gte",
+	lt: "lt",
+	lte: "lte",
+	contains: "contains",
+	"starts-with": "startsWith",
+	"ends-with": "endsWith",
+	"has-some": "hasSome"
+});
+
+/**
+ * `parseArgs` options for the query flags shared by the `query` and `export` commands.
+ */
+export const FILTER_OPTIONS = Object.freeze({
+	...Object.fromEntries(Object.keys(CONDITION_FLAGS).map(flag => [flag, { type: 'string', multiple: true }])),
+	"is-empty": { type: 'string', multiple: true },
+	"is-not-empty": { type: 'string', multiple: true },
+	sort: { type: 'string', multiple: true },
+	fields: { type: 'string' },
+	limit: { type: 'string' },
+	skip: { type: 'string' }
+});
+
+export const FILTER_USAGE = `Filters:
+  --eq field=value          Also --ne, --gt, --gte, --lt, --lte, --contains,
+                            --starts-with, --ends-with and --has-some (repeatable).
+                            Values are parsed as JSON when possible (42, true, ["a","b"]).
+  --is-empty field          Also --is-not-empty (repeatable)
+  --sort field              Ascending; prefix with - for descending (repeatable)
+  --fields a,b,c            Only return these fields
+  --limit n, --skip n       Page size and offset`;
+
+/**
+ * Applies the filter flags of a command to a query.
+ *
+ * @param {import('../core/queryBuilder.js').QueryBuilder} query - The query to filter
+ * @param {Object} options - The parsed flags
+ * @returns {import('../core/queryBuilder.js').QueryBuilder} The same query
+ * @throws {UsageError} When a flag value is malformed
+ */
+export function applyFilters(query, options) {
+	for (const [flag, method] of Object.entries(CONDITION_FLAGS)) {
+		for (const condition of options[flag] ?? []) {
+			const separator = condition.indexOf('=');
+
+			if (separator <= 0) {
+				throw new UsageError(`--${flag} expects field=value, got "${condition}"`);
+			}
+
+			query[method](condition.slice(0, separator), parseValue(condition.slice(separator + 1)));
+		}
+	}
+
+	(options["is-empty"] ?? []).forEach(field => query.isEmpty(field));
+	(options["is-not-empty"] ?? []).forEach(field => query.isNotEmpty(field));
+
+	for (const field of options.sort ?? []) {
+		if (field.startsWith('-')) {
+			query.descending(field.slice(1));
+		} else {
+			query.ascending(field);
+		}
+	}
+
+	if (options.fields !== undefined) {
+		options.fields.split(',').map(field => field.trim()).filter(Boolean).forEach(field => query.fields(field));
+	}
+
+	if (options.limit !== undefined) {
+		query.limit(parseInteger(options.limit, 'limit', 1));
+	}
+
+	if (options.skip !== undefined) {
+		query.skip(parseInteger(options.skip, 'skip', 0));
+	}
+
+	return query;
+}
+
+/**
+ * Parses an integer flag value.
+ *
+ * @param {string} value - The flag value
+ * @param {string} flag - The flag name, for error messages
+ * @param {number} min - The smallest accepted value
+ * @returns {number} The integer
+ * @throws {UsageError} When the value is not an integer of at least `min`
+ */
+export function parseInteger(value, flag, min) {
+	const number = Number(value);
+
+	if (!Number.isInteger(number) || number < min) {
+		throw new UsageError(`--${flag} must be an integer of at least ${min}`);
+	}
+
+	return number;
+}
+
+function parseValue(text) {
+	try {
+		return JSON.parse(text);
+	} catch {
+		return text;
+	}
+}
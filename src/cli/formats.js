@@ -0,0 +1,285 @@
+import { once } from "node:events";
+import { open } from "node:fs/promises";
+import { extname, resolve } from "node:path";
+import { createInterface } from "node:readline";
+import { finished } from "node:stream/promises";
+import { UsageError } from "./usageError.js";
+
+export const FORMATS = Object.freeze(["ndjson", "csv", "json"]);
+
+const EXTENSIONS = Object.freeze({
+	".ndjson": "ndjson",
+	".jsonl": "ndjson",
+	".csv": "csv",
+	".json": "json"
+});
+
+/**
+ * Picks the file format from a `--format` flag or, failing that, the file extension.
+ *
+ * @param {string} [format] - The `--format` flag
+ * @param {string} [file] - The file name
+ * @param {string} fallback - The format used when neither gives one
+ * @returns {"ndjson"|"csv"|"json"} The format
+ * @throws {UsageError} When the format is not supported
+ */
+export function resolveFormat(format, file, fallback) {
+	const resolved = format ?? EXTENSIONS[extname(file ?? '').toLowerCase()] ?? fallback;
+
+	if (!FORMATS.includes(resolved)) {
+		throw new UsageError(`Format must be one of: ${FORMATS.join(', ')}`);
+	}
+
+	return resolved;
+}
+
+/**
+ * Opens a file for reading, or returns stdin for `-`.
+ *
+ * @param {Object} io - The CLI streams and working directory
+ * @param {string} file - The file path, relative to the working directory
+ * @returns {Promise<import('node:stream').Readable>} The input stream
+ */
+export async function openInput(io, file) {
+	if (file === '-') {
+		return io.stdin;
+	}
+
+	const handle = await open(resolve(io.cwd, file), 'r');
+	return handle.createReadStream();
+}
+
+/**
+ * Opens a file for writing, or uses stdout when no file is given.
+ *
+ * @param {Object} io - The CLI streams and working directory
+ * @param {string} [file] - The file path, relative to the working directory
+ * @returns {Promise<{stream: import('node:stream').Writable, close: function(): Promise<void>}>}
+ *          The output stream and a function that flushes and closes it
+ */
+export async function openOutput(io, file) {
+	if (!file) {
+		return { stream: io.stdout, close: async () => {} };
+	}
+
+	const handle = await open(resolve(io.cwd, file), 'w');
+	const stream = handle.createWriteStream();
+	// Write errors are reported by close()
+	stream.on('error', () => {});
+
+	return {
+		stream,
+		close: async () => {
+			stream.end();
+			await finished(stream);
+		}
+	};
+}
+
+/**
+ * Writes a chunk, waiting for the stream to drain when its buffer is full.
+ *
+ * @param {import('node:stream').Writable} output - The stream to write to
+ * @param {string} chunk - The text to write
+ * @returns {Promise<void>}
+ */
+export async function write(output, chunk) {
+	if (!output.write(chunk)) {
+		await once(output, 'drain');
+	}
+}
+
+/**
+ * Writes items in the given format. NDJSON and JSON are streamed; CSV is buffered,
+ * since its header lists every field of every item.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} items - The items to write
+ * @param {"ndjson"|"csv"|"json"} format - The output format
+ * @param {import('node:stream').Writable} output - The stream to write to
+ * @returns {Promise<number>} The number of items written
+ */
+export async function writeItems(items, format, output) {
+	let count = 0;
+
+	if (format === "csv") {
+		const rows = [];
+		for await (const item of items) {
+			rows.push(item);
+		}
+		await write(output, toCsv(rows));
+		return rows.length;
+	}
+
+	if (format === "json") {
+		await write(output, '[');
+		for await (const item of items) {
+			await write(output, `${count++ === 0 ? '' : ','}\n  ${JSON.stringify(item)}`);
+		}
+		await write(output, count === 0 ? ']\n' : '\n]\n');
+		return count;
+	}
+
+	for await (const item of items) {
+		await write(output, `${JSON.stringify(item)}\n`);
+		count++;
+	}
+	return count;
+}
+
+/**
+ * Reads items in the given format. NDJSON is read line by line; JSON (an array)
+ * and CSV are read whole.
+ *
+ * @param {import('node:stream').Readable} input - The stream to read from
+ * @param {"ndjson"|"csv"|"json"} format - The input format
+ * @returns {AsyncGenerator<Object>} The items
+ * @throws {SyntaxError} When the input is malformed
+ */
+export async function *readItems(input, format) {
+	if (format === "ndjson") {
+		let line = 0;
+		for await (const text of createInterface({ input, crlfDelay: Infinity })) {
+			line++;
+			if (text.trim().length === 0) {
+				continue;
+			}
+			try {
+				yield JSON.parse(text);
+			} catch (error) {
+				throw new SyntaxError(`Invalid JSON on line ${line}: ${error.message}`);
+			}
+		}
+		return;
+	}
+
+	let text = '';
+	input.setEncoding('utf8');
+	for await (const chunk of input) {
+		text += chunk;
+	}
+
+	if (format === "json") {
+		const items = JSON.parse(text);
+		if (!Array.isArray(items)) {
+			throw new SyntaxError('A JSON import file must hold an array of items');
+		}
+		yield* items;
+		return;
+	}
+
+	yield* fromCsv(text);
+}
+
+/**
+ * Serializes items as CSV (RFC 4180). Objects and arrays are written as JSON;
+ * missing fields are left empty.
+ *
+ * @param {Array<Object>} items - The items to serialize
+ * @returns {string} The CSV text, with a header row
+ */
+export function toCsv(items) {
+	const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+
+	if (columns.length === 0) {
+		return '';
+	}
+
+	const lines = [columns.map(toCsvCell).join(',')];
+	for (const item of items) {
+		lines.push(columns.map(column => toCsvCell(item[column])).join(','));
+	}
+	return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses CSV text with a header row into items. Empty cells are left out, and cells that
+ * hold JSON numbers, booleans, objects or arrays are parsed back; everything else stays a string.
+ *
+ * @param {string} text - The CSV text
+ * @returns {Array<Object>} The items
+ * @throws {SyntaxError} When a quoted cell is not closed
+ */
+export function fromCsv(text) {
+	const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+
+	if (!header) {
+		return [];
+	}
+
+	return rows
+		.filter(row => row.some(cell => cell !== ''))
+		.map(row => Object.fromEntries(
+			header
+				.map((column, index) => [column, row[index] ?? ''])
+				.filter(([, cell]) => cell !== '')
+				.map(([column, cell]) => [column, parseCsvValue(cell)])
+		));
+}
+
+function toCsvCell(value) {
+	if (value === undefined || value === null) {
+		return '';
+	}
+
+	const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvValue(cell) {
+	if (/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false)$/.test(cell) || /^[[{]/.test(cell)) {
+		try {
+			return JSON.parse(cell);
+		} catch {
+			return cell;
+		}
+	}
+	return cell;
+}
+
+function parseCsvRows(text) {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
+	}
+
+	if (quoted) {
+		throw new SyntaxError('Unterminated quoted cell in CSV input');
+	}
+
+	if (cell !== '' || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows;
+}
@@ -0,0 +1,110 @@
+import process from "node:process";
+import { parseArgs } from "node:util";
+import { WixCMS } from "../core/cms.js";
+import { loadConfig, CONFIG_FILE } from "./config.js";
+import { UsageError } from "./usageError.js";
+import { exportCommand } from "./commands/export.js";
+import { importCommand } from "./commands/import.js";
+import { truncateCommand } from "./commands/truncate.js";
+import { queryCommand } from "./commands/query.js";
+import { generateTypesCommand } from "./commands/generateTypes.js";
+
+const COMMANDS = Object.freeze({
+	export: exportCommand,
+	import: importCommand,
+	truncate: truncateCommand,
+	query: queryCommand,
+	"generate-types": generateTypesCommand
+});
+
+const GLOBAL_OPTIONS = Object.freeze({
+	config: { type: 'string', short: 'c' },
+	help: { type: 'boolean', short: 'h' }
+});
+
+const HELP = `Usage: wix-cms <command> [options]
+
+Commands:
+  export <collection>          Write every item to NDJSON, CSV or JSON
+  import <collection> <file>   Insert or save the items of a file in bulk
+  truncate <collection>        Remove every item (asks for confirmation)
+  query <collection>           Print the items or count matching filters
+  generate-types               Write TypeScript interfaces for the collections
+
+Global options:
+  -c, --config <file>   Config file (default: ${CONFIG_FILE}, or $WIX_CMS_CONFIG)
+  -h, --help            Show help for a command
+
+Credentials come from the config file, a JSON WixCMS configuration such as
+{ "username": "...", "site": "...", "token": "..." }, overridden by the
+WIX_CMS_USERNAME, WIX_CMS_SITE, WIX_CMS_TOKEN, WIX_CMS_BASE_URL and
+WIX_CMS_DOMAIN environment variables.
+`;
+
+/**
+ * Runs the `wix-cms` command line.
+ *
+ * @param {Array<string>} argv - The arguments after the executable name
+ * @param {Object} [io] - The streams, environment and working directory to use (defaults to the process')
+ * @param {import('node:stream').Readable} [io.stdin]
+ * @param {import('node:stream').Writable} [io.stdout]
+ * @param {import('node:stream').Writable} [io.stderr]
+ * @param {Object<string, string>} [io.env]
+ * @param {string} [io.cwd]
+ * @returns {Promise<number>} The exit code: 0 on success, 1 on failure, 2 on invalid usage
+ *
+ * @example
+ * process.exitCode = await main(['export', 'Posts', '--format', 'csv']);
+ */
+export async function main(argv, io = {}) {
+	const context = {
+		stdin: io.stdin ?? process.stdin,
+		stdout: io.stdout ?? process.stdout,
+		stderr: io.stderr ?? process.stderr,
+		env: io.env ?? process.env,
+		cwd: io.cwd ?? process.cwd()
+	};
+	const [name, ...args] = argv;
+
+	if (name === undefined || name === 'help' || name === '--help' || name === '-h') {
+		context.stdout.write(HELP);
+		return 0;
+	}
+
+	const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : undefined;
+
+	if (!command) {
+		context.stderr.write(`Unknown command "${name}"\n\n${HELP}`);
+		return 2;
+	}
+
+	try {
+		const { values, positionals } = parseArgs({
+			args,
+			options: { ...GLOBAL_OPTIONS, ...command.options },
+			allowPositionals: true
+		});
+
+		if (values.help) {
+			context.stdout.write(`${command.usage}\n`);
+			return 0;
+		}
+
+		if (positionals.length !== command.arguments.length) {
+			throw new UsageError(`Expected ${command.arguments.map(arg => `<${arg}>`).join(' ')}`);
+		}
+
+		const cms = command.requiresClient?.(values) === false
+			? null
+			: new WixCMS(await loadConfig({ configPath: values.config, env: context.env, cwd: context.cwd }));
+		return await command.run({ cms, args: positionals, options: values, io: context });
+	} catch (error) {
+		if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+			context.stderr.write(`${error.message}\n\n${command.usage}\n`);
+			return 2;
+		}
+
+		context.stderr.write(`Error: ${error.message}\n`);
+		return 1;
+	}
+}
@@ -0,0 +1,133 @@
+import { UsageError } from "./usageError.js";
+
+// TypeScript type of each Wix field type; references are resolved separately
+const FIELD_TYPES = Object.freeze({
+	TEXT: "string",
+	RICH_TEXT: "string",
+	URL: "string",
+	IMAGE: "string",
+	VIDEO: "string",
+	AUDIO: "string",
+	DOCUMENT: "string",
+	TIME: "string",
+	LANGUAGE: "string",
+	PAGE_LINK: "string",
+	NUMBER: "number",
+	BOOLEAN: "boolean",
+	DATE: "Date | string",
+	DATETIME: "Date | string",
+	ARRAY_STRING: "string[]",
+	ARRAY_DOCUMENT: "Record<string, any>[]",
+	ARRAY: "any[]",
+	MEDIA_GALLERY: "Record<string, any>[]",
+	OBJECT: "Record<string, any>",
+	ADDRESS: "Record<string, any>",
+	RICH_CONTENT: "Record<string, any>",
+	ANY: "any"
+});
+
+// Fields the SDK's WixItem type already adds to every item
+const SYSTEM_FIELDS = Object.freeze(["_id", "_owner", "_createdDate", "_updatedDate"]);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Checks that a schema snapshot (the result of the bridge's `schema` route) is usable.
+ *
+ * @param {*} snapshot - The parsed snapshot
+ * @returns {Array<Object>} The collection descriptions
+ * @throws {UsageError} When the snapshot does not hold a `collections` array of `{ id, fields }`
+ */
+export function readSnapshot(snapshot) {
+	const collections = snapshot?.collections;
+
+	if (!Array.isArray(collections) || collections.some(collection => typeof collection?.id !== 'string' || !Array.isArray(collection.fields))) {
+		throw new UsageError('The snapshot must be a JSON object with a "collections" array of { id, fields }');
+	}
+
+	return collections;
+}
+
+/**
+ * Generates TypeScript declarations for collection descriptions: one interface per collection
+ * and a collection map to pass to `WixCMS<Collections>`.
+ *
+ * Non-system fields are optional, since Wix does not enforce them. Reference fields are typed
+ * as the referenced collection's interface (or its ID) when that collection is generated too.
+ *
+ * @param {Array<Object>} collections - `{ id, displayName, fields }` per collection (see `cms.fetchCollectionSchemas()`)
+ * @param {Object} [options={}] - Generation options
+ * @param {string} [options.mapName='Collections'] - The name of the collection map interface
+ * @returns {string} The contents of a `.d.ts` (or `.ts`) file
+ *
+ * @example
+ * generateTypes([{ id: 'Posts', fields: [{ key: 'title', type: 'TEXT' }] }]);
+ * // export interface Posts { title?: string; }  export interface Collections { Posts: Posts; }
+ */
+export function generateTypes(collections, { mapName = "Collections" } = {}) {
+	const taken = new Set([mapName]);
+	const names = new Map(collections.map(collection => [collection.id, uniqueName(collection.id, taken)]));
+	const lines = ["// Generated by wix-cms generate-types. Do not edit by hand.", ""];
+
+	for (const collection of collections) {
+		if (collection.displayName && collection.displayName !== collection.id) {
+			lines.push(`/** ${comment(collection.displayName)} (\`${comment(collection.id)}\`) */`);
+		}
+		lines.push(`export interface ${names.get(collection.id)} {`);
+
+		for (const field of collection.fields) {
+			if (SYSTEM_FIELDS.includes(field.key)) {
+				continue;
+			}
+
+			if (field.displayName && field.displayName !== field.key) {
+				lines.push(`  /** ${comment(field.displayName)} */`);
+			}
+			lines.push(`  ${propertyName(field.key)}${field.required ? '' : '?'}: ${fieldType(field, names)};`);
+		}
+
+		lines.push("}", "");
+	}
+
+	lines.push(`export interface ${mapName} {`);
+	for (const collection of collections) {
+		lines.push(`  ${propertyName(collection.id)}: ${names.get(collection.id)};`);
+	}
+	lines.push("}", "");
+
+	return lines.join("\n");
+}
+
+function fieldType(field, names) {
+	if (field.type === "REFERENCE" || field.type === "MULTI_REFERENCE") {
+		const referenced = names.get(field.referencedCollection) ?? "Record<string, any>";
+		return field.type === "REFERENCE" ? `string | ${referenced}` : `Array<string | ${referenced}>`;
+	}
+
+	return FIELD_TYPES[field.type] ?? "unknown";
+}
+
+function uniqueName(id, taken) {
+	const base = id
+		.split(/[^A-Za-z0-9]+/)
+		.filter(Boolean)
+		.map(part => part[0].toUpperCase() + part.slice(1))
+		.join('') || "Collection";
+	const name = /^\d/.test(base) ? `_${base}` : base;
+	let candidate = name;
+
+	for (let suffix = 2; taken.has(candidate); suffix++) {
+		candidate = `${name}${suffix}`;
+	}
+
+	taken.add(candidate);
+	return candidate;
+}
+
+function propertyName(key) {
+	return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+function comment(text) {
+	return String(text).replace(/\*\//g, '*\\/');
+}
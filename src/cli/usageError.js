@@ -0,0 +1,16 @@
+/**
+ * Raised for invalid command-line usage (unknown flags, missing arguments, bad values).
+ * The CLI prints the command's usage and exits with code 2.
+ *
+ * @class UsageError
+ * @extends Error
+ */
+export class UsageError extends Error {
+	/**
+	 * @param {string} message - A description of the problem
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'UsageError';
+	}
+}
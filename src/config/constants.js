@@ -7,6 +7,17 @@ export const HTTP_METHODS = Object.freeze({
   POST: 'POST',
 });
 
+// Wix HTTP functions paths
+export const FUNCTIONS_PATH = '_functions';
+export const DEV_FUNCTIONS_PATH = '_functions-dev';
+
+// Request signing headers (see http-functions.js)
+export const SIGNATURE_HEADERS = Object.freeze({
+  TIMESTAMP: 'X-Wix-CMS-Timestamp',
+  NONCE: 'X-Wix-CMS-Nonce',
+  SIGNATURE: 'X-Wix-CMS-Signature',
+});
+
 // Timeout configuration
 export const REQUEST_TIMEOUT = 30000; // 30 seconds
 
@@ -16,3 +27,52 @@ export const RETRY_CONFIG = Object.freeze({
   baseDelay: 1000,    // 1 second
   maxDelay: 10000     // 10 seconds
 });
+
+// Response cache configuration
+export const CACHE_CONFIG = Object.freeze({
+  ttl: 60000,                // 1 minute
+  staleWhileRevalidate: 0,   // Serve stale entries while refreshing (disabled)
+  maxEntries: 500
+});
+
+// Client-side rate limiting (opt-in)
+export const RATE_LIMIT_CONFIG = Object.freeze({
+  requestsPerSecond: 10,
+  maxConcurrent: 5,
+  maxPause: 10000     // longest Retry-After pause of the queue, like RETRY_CONFIG.maxDelay
+});
+
+// Circuit breaker (opt-in)
+export const CIRCUIT_BREAKER_CONFIG = Object.freeze({
+  failureRate: 0.5,       // Open when at least half of the recent requests failed
+  minimumRequests: 5,     // ...out of at least this many
+  window: 30000,          // Requests older than 30 seconds are forgotten
+  cooldown: 15000,        // Fail fast for 15 seconds before a trial request
+  halfOpenRequests: 1     // Trial requests that must succeed to close again
+});
+
+// wix-data accepts at most this many items per bulk call (and per query page)
+export const MAX_BULK_ITEMS = 1000;
+
+// Maximum number of operations in one batch request (see http-functions.js)
+export const MAX_BATCH_OPERATIONS = 50;
+
+// Structured log events emitted for every request (see Logger)
+export const LOG_EVENTS = Object.freeze({
+  REQUEST_START: 'request.start',
+  REQUEST_END: 'request.end',
+  RETRY: 'request.retry',
+  TIMEOUT: 'request.timeout',
+  ERROR: 'request.error',
+  CIRCUIT: 'circuit.state'
+});
+
+// Fields always redacted from log entries, compared case-insensitively
+export const REDACTED_FIELDS = Object.freeze([
+  'token',
+  'authorization',
+  'cookie',
+  SIGNATURE_HEADERS.SIGNATURE
+]);
+
+export const REDACTED = '[REDACTED]';
@@ -0,0 +1,234 @@
+import { validateString } from "../utils/validation.js";
+
+/**
+ * A fluent builder for grouped aggregations (sum, avg, min, max, count) on Wix CMS collections.
+ * Created through `QueryBuilder.aggregate()`, which supplies the filter conditions.
+ *
+ * @class AggregateBuilder
+ * @throws {WixCMSError} When the aggregation fails
+ *
+ * @example
+ * const result = await cms.query('Orders')
+ *   .eq('status', 'paid')
+ *   .aggregate()
+ *   .group('region')
+ *   .sum('total')
+ *   .count()
+ *   .run();
+ */
+export class AggregateBuilder {
+	#send;
+	#buildFilter;
+	#filter;
+	#group = [];
+	#operations = [];
+	#having = [];
+	#sort = [];
+	#limit;
+	#skip;
+
+	/**
+	 * Creates a new AggregateBuilder instance.
+	 *
+	 * @param {import('./wixRequest.js').WixRequest} wixRequest - The request handler bound to the collection
+	 * @param {Array<Object>} [filter=[]] - Filter conditions applied before aggregating
+	 * @param {Object} [hooks={}] - Supplied by `QueryBuilder.aggregate()`
+	 * @param {function(Object, Object): Promise<Object>} [hooks.send] - Sends the aggregation with the run options;
+	 *        defaults to the request handler's `aggregate` route
+	 * @param {function(Function): Array<Object>} [hooks.buildFilter] - Runs a `having()` callback on a sub-query
+	 *        and returns its conditions
+	 */
+	constructor(wixRequest, filter = [], {
+		send = (aggregation, options) => wixRequest.aggregateQuery("aggregate", aggregation, options),
+		buildFilter = () => {
+			throw new TypeError('having() needs an aggregate created by QueryBuilder.aggregate()');
+		}
+	} = {}) {
+		this.#send = send;
+		this.#buildFilter = buildFilter;
+		this.#filter = filter;
+	}
+
+	/**
+	 * Groups the items by one or more fields before aggregating.
+	 *
+	 * @param {...string} fields - The fields to group by
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 * @throws {TypeError} When a field is not a non-empty string
+	 */
+	group(...fields) {
+		for (const field of fields) {
+			validateString(field, 'Group field');
+		}
+		this.#group.push(...fields);
+		return this;
+	}
+
+	/**
+	 * Sums the values of a field.
+	 *
+	 * @param {string} field - The field to sum
+	 * @param {string} [projectedField] - The name of the result field (defaults to `<field>Sum`)
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	sum(field, projectedField) {
+		return this.#addOperation("sum", field, projectedField);
+	}
+
+	/**
+	 * Averages the values of a field.
+	 *
+	 * @param {string} field - The field to average
+	 * @param {string} [projectedField] - The name of the result field (defaults to `<field>Avg`)
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	avg(field, projectedField) {
+		return this.#addOperation("avg", field, projectedField);
+	}
+
+	/**
+	 * Finds the minimum value of a field.
+	 *
+	 * @param {string} field - The field to inspect
+	 * @param {string} [projectedField] - The name of the result field (defaults to `<field>Min`)
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	min(field, projectedField) {
+		return this.#addOperation("min", field, projectedField);
+	}
+
+	/**
+	 * Finds the maximum value of a field.
+	 *
+	 * @param {string} field - The field to inspect
+	 * @param {string} [projectedField] - The name of the result field (defaults to `<field>Max`)
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	max(field, projectedField) {
+		return this.#addOperation("max", field, projectedField);
+	}
+
+	/**
+	 * Counts the items in each group (returned in the `count` field).
+	 *
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	count() {
+		this.#operations.push({ operator: "count" });
+		return this;
+	}
+
+	/**
+	 * Keeps only the aggregated results matching a filter, e.g. the groups whose total exceeds a
+	 * threshold. Can be called several times; the filters are AND-ed.
+	 *
+	 * @param {function(QueryBuilder): *} build - Adds conditions on group or projected fields to a sub-query
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 * @throws {TypeError} When build is not a function or adds non-filter operators
+	 *
+	 * @example
+	 * const bigRegions = await cms.query('Orders')
+	 *   .aggregate()
+	 *   .group('region')
+	 *   .sum('total')
+	 *   .having(q => q.gt('totalSum', 10000))
+	 *   .run();
+	 */
+	having(build) {
+		this.#having.push(...this.#buildFilter(build));
+		return this;
+	}
+
+	/**
+	 * Sorts the aggregated results in ascending order.
+	 *
+	 * @param {string} field - A group or projected field to sort by
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	ascending(field) {
+		validateString(field, 'Sort field');
+		this.#sort.push({ field, direction: "ascending" });
+		return this;
+	}
+
+	/**
+	 * Sorts the aggregated results in descending order.
+	 *
+	 * @param {string} field - A group or projected field to sort by
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 */
+	descending(field) {
+		validateString(field, 'Sort field');
+		this.#sort.push({ field, direction: "descending" });
+		return this;
+	}
+
+	/**
+	 * Limits the number of aggregated results returned.
+	 *
+	 * @param {number} value - The maximum number of results to return
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 * @throws {TypeError} When value is not a positive integer
+	 */
+	limit(value) {
+		if (!Number.isInteger(value) || value <= 0) {
+			throw new TypeError('Limit must be a positive integer');
+		}
+		this.#limit = value;
+		return this;
+	}
+
+	/**
+	 * Skips a specified number of aggregated results.
+	 *
+	 * @param {number} value - The number of results to skip
+	 * @returns {AggregateBuilder} The current AggregateBuilder instance for chaining
+	 * @throws {TypeError} When value is not a non-negative integer
+	 */
+	skip(value) {
+		if (!Number.isInteger(value) || value < 0) {
+			throw new TypeError('Skip must be a non-negative integer');
+		}
+		this.#skip = value;
+		return this;
+	}
+
+	/**
+	 * Runs the aggregation.
+	 *
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the response, with the aggregated rows in `result.items`
+	 * @throws {WixCMSError} When the aggregation fails
+	 */
+	async run(options = {}) {
+		const aggregation = {
+			filter: this.#filter,
+			group: this.#group,
+			operations: this.#operations,
+			having: this.#having,
+			sort: this.#sort,
+			limit: this.#limit,
+			skip: this.#skip
+		};
+
+		return this.#send(aggregation, options);
+	}
+
+	/**
+	 * @private
+	 * @param {string} operator
+	 * @param {string} field
+	 * @param {string} [projectedField]
+	 * @returns {AggregateBuilder}
+	 */
+	#addOperation(operator, field, projectedField) {
+		validateString(field, 'Aggregation field');
+
+		if (projectedField !== undefined) {
+			validateString(projectedField, 'Projected field');
+		}
+
+		this.#operations.push({ operator, field, projectedField });
+		return this;
+	}
+}
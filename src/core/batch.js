@@ -0,0 +1,233 @@
+import { QueryBuilder } from "./queryBuilder.js";
+import { WixRequest } from "./wixRequest.js";
+import { WixCMSError } from "./errors.js";
+import { MAX_BATCH_OPERATIONS } from "../config/constants.js";
+import { createOperationError } from "../utils/errorHandler.js";
+import { validateString } from "../utils/validation.js";
+
+// Same result the bridge reports for operations it skips in a sequential batch
+const SKIPPED_OPERATION = Object.freeze({
+	status: "failed",
+	error: "skipped",
+	errorMessage: "Not run because an earlier operation in the batch failed"
+});
+
+/**
+ * Collects queries and writes, possibly across collections, and sends them to the
+ * bridge's `batch` route in a single HTTP request.
+ *
+ * Operations are added through the query builders returned by {@link Batch#query}. Each
+ * call returns its usual promise, which settles once {@link Batch#run} has sent the batch.
+ *
+ * @class Batch
+ *
+ * @example
+ * const batch = cms.batch();
+ * const posts = batch.query('Posts').eq('status', 'published').find();
+ * const authors = batch.query('Authors').count();
+ * await batch.run();
+ * const [postsResponse, authorCount] = await Promise.all([posts, authors]);
+ */
+export class Batch {
+	#username;
+	#site;
+	#token;
+	#requestOptions;
+	#sequential;
+	#operations = [];
+	#sent = false;
+	#reserved = null;
+
+	/**
+	 * Creates a new Batch instance.
+	 *
+	 * @param {string} username - The Wix account username with access to the collections
+	 * @param {string} site - The site ID or site URL identifier
+	 * @param {string} token - Authentication token for API access
+	 * @param {Object} [options={}] - Connection options (as for WixRequest) and batch options
+	 * @param {boolean} [options.sequential=false] - Run the operations in order and skip the ones after
+	 *                                               the first failure, instead of running them concurrently
+	 */
+	constructor(username, site, token, { sequential = false, ...requestOptions } = {}) {
+		if (typeof sequential !== 'boolean') {
+			throw new TypeError('Sequential must be a boolean');
+		}
+
+		this.#username = username;
+		this.#site = site;
+		this.#token = token;
+		this.#requestOptions = requestOptions;
+		this.#sequential = sequential;
+	}
+
+	/**
+	 * The number of operations added so far.
+	 * @type {number}
+	 */
+	get size() {
+		return this.#operations.length;
+	}
+
+	/**
+	 * Initializes a query builder whose operations are added to this batch.
+	 * Reads made through it are not served from the response cache.
+	 *
+	 * @param {string} collectionName - The name of the CMS collection
+	 * @returns {QueryBuilder} A query builder bound to this batch
+	 * @throws {TypeError} When collectionName is not a valid non-empty string
+	 */
+	query(collectionName) {
+		validateString(collectionName, 'Collection name');
+
+		return new QueryBuilder(
+			collectionName,
+			this.#username,
+			this.#site,
+			this.#token,
+			{ ...this.#requestOptions, batch: this }
+		);
+	}
+
+	/**
+	 * Adds an operation to the batch. Called by the batch's query builders.
+	 *
+	 * @param {string} collection - The collection the operation targets
+	 * @param {string} route - The bridge route of the operation
+	 * @param {Object} body - The operation payload
+	 * @returns {Promise<Object>} A promise resolving to the operation's response once the batch has run
+	 * @throws {Error} When the batch has already been run
+	 * @throws {RangeError} When the batch is full
+	 */
+	enqueue(collection, route, body) {
+		const operation = this.#reserved ?? this.#addOperation();
+		Object.assign(operation, { collection, route, body });
+		return operation.promise;
+	}
+
+	/**
+	 * Holds the current position in the batch for a write that is added only once its items
+	 * pass validation, so that asynchronous checks keep the operations in order. Called by the
+	 * batch's query builders; {@link Batch#run} waits for pending validations before sending.
+	 *
+	 * @param {Promise<void>} validation - Settles once the items have been checked
+	 * @param {function(): Promise<Object>} write - Adds the write to the batch (through {@link Batch#enqueue})
+	 * @returns {Promise<Object>} A promise resolving to the write's response, or rejecting with the validation error
+	 * @throws {Error} When the batch has already been run
+	 * @throws {RangeError} When the batch is full
+	 */
+	reserve(validation, write) {
+		const operation = this.#addOperation();
+		let response;
+
+		operation.ready = validation.then(() => {
+			this.#reserved = operation;
+			try {
+				response = write();
+			} finally {
+				this.#reserved = null;
+			}
+		}).catch(error => {
+			// Rejected along with the other operations once the batch runs
+			operation.invalid = error;
+		});
+
+		return operation.ready.then(() => response ?? operation.promise);
+	}
+
+	/**
+	 * @private
+	 * @returns {Object} A new, not yet filled operation
+	 * @throws {Error|RangeError}
+	 */
+	#addOperation() {
+		if (this.#sent) {
+			throw new Error('Cannot add operations to a batch that has already been run');
+		}
+
+		if (this.#operations.length >= MAX_BATCH_OPERATIONS) {
+			throw new RangeError(`A batch cannot hold more than ${MAX_BATCH_OPERATIONS} operations`);
+		}
+
+		const operation = {};
+		operation.promise = new Promise((resolve, reject) => {
+			Object.assign(operation, { resolve, reject });
+		});
+		this.#operations.push(operation);
+		return operation;
+	}
+
+	/**
+	 * Sends every operation in one request and settles their promises. Writes rejected by a
+	 * collection schema are not sent; in a sequential batch, neither are the operations after them.
+	 *
+	 * @returns {Promise<Array<PromiseSettledResult<Object>>>} The outcome of each operation's response,
+	 *          in the order the operations were added
+	 * @throws {Error} When the batch has already been run
+	 * @throws {WixCMSError} When the batch request itself fails (every operation is then rejected too)
+	 */
+	async run() {
+		if (this.#sent) {
+			throw new Error('This batch has already been run');
+		}
+
+		this.#sent = true;
+		await Promise.all(this.#operations.map(operation => operation.ready));
+		// Writes that failed validation are not sent, nor (in sequential batches) anything after them
+		const firstInvalid = this.#operations.findIndex(operation => operation.invalid);
+		const operations = this.#sequential && firstInvalid !== -1
+			? this.#operations.slice(0, firstInvalid)
+			: this.#operations.filter(operation => !operation.invalid);
+		const outcomes = () => {
+			for (const operation of this.#operations) {
+				if (operation.invalid) {
+					operation.reject(operation.invalid);
+				} else if (!operations.includes(operation)) {
+					operation.reject(createOperationError(SKIPPED_OPERATION));
+				}
+			}
+			return Promise.allSettled(this.#operations.map(operation => operation.promise));
+		};
+
+		if (operations.length === 0) {
+			return outcomes();
+		}
+
+		// The bridge ignores the request's own collection for batches; each operation names its own
+		const wixRequest = new WixRequest(
+			operations[0].collection,
+			this.#username,
+			this.#site,
+			this.#token,
+			this.#requestOptions
+		);
+
+		let response;
+		try {
+			response = await wixRequest.batchQuery(
+				"batch",
+				operations.map(({ collection, route, body }) => ({ ...body, route, collection })),
+				this.#sequential
+			);
+		} catch (error) {
+			operations.forEach(operation => operation.reject(error));
+			outcomes();
+			throw error;
+		}
+
+		const results = Array.isArray(response.result) ? response.result : [];
+
+		operations.forEach((operation, index) => {
+			const result = results[index];
+
+			if (result?.status === 'success') {
+				operation.resolve(result);
+			} else if (result?.status === 'failed') {
+				operation.reject(createOperationError(result));
+			} else {
+				operation.reject(new WixCMSError('Invalid response format from Wix API', { body: response }));
+			}
+		});
+
+		return outcomes();
+	}
+}
@@ -0,0 +1,289 @@
+import { CIRCUIT_BREAKER_CONFIG } from "../config/constants.js";
+import { AbortError, CircuitOpenError, NetworkError, TimeoutError } from "./errors.js";
+import { validatePositiveNumber } from "../utils/validation.js";
+
+const STATES = Object.freeze({
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'half-open'
+});
+
+/**
+ * Stops sending requests to a site that keeps failing, so that callers fail fast
+ * instead of waiting on timeouts and retries.
+ *
+ * The breaker starts closed and records the outcome of every request. Once enough recent
+ * requests have failed, it opens: requests are rejected with a {@link CircuitOpenError}
+ * without reaching the site. After the cool-down it turns half-open and lets a few trial
+ * requests through; if they succeed it closes again, otherwise it reopens.
+ *
+ * Timeouts, network errors and 5xx/408 responses count as failures. Other errors mean the
+ * site answered, so they count as successes; aborted requests are not counted.
+ *
+ * @class CircuitBreaker
+ *
+ * @example
+ * const breaker = new CircuitBreaker({
+ *   failureRate: 0.5,
+ *   cooldown: 10000,
+ *   onStateChange: ({ from, to }) => console.warn(`Wix circuit ${from} -> ${to}`)
+ * });
+ * const response = await breaker.execute(() => fetch(url));
+ */
+export class CircuitBreaker {
+	#failureRate;
+	#minimumRequests;
+	#window;
+	#cooldown;
+	#halfOpenRequests;
+	#isFailure;
+	#onStateChange;
+	#state = STATES.CLOSED;
+	#outcomes = [];
+	#openUntil = 0;
+	#trials = 0;
+	#trialSuccesses = 0;
+
+	/**
+	 * Creates a new CircuitBreaker instance.
+	 *
+	 * @param {Object} [options={}] - Breaker options
+	 * @param {number} [options.failureRate=0.5] - Share of failed requests (above 0, up to 1) that opens the breaker
+	 * @param {number} [options.minimumRequests=5] - Requests needed in the window before the rate is checked
+	 * @param {number} [options.window=30000] - How long outcomes are remembered, in milliseconds
+	 * @param {number} [options.cooldown=15000] - How long the breaker stays open, in milliseconds
+	 * @param {number} [options.halfOpenRequests=1] - Trial requests that must succeed before closing again
+	 * @param {function(Error): boolean} [options.isFailure] - Decides whether an error counts as a failure
+	 * @param {function({from: string, to: string}): void} [options.onStateChange] - Called on every state change
+	 * @throws {TypeError} When any option is invalid
+	 */
+	constructor({
+		failureRate = CIRCUIT_BREAKER_CONFIG.failureRate,
+		minimumRequests = CIRCUIT_BREAKER_CONFIG.minimumRequests,
+		window = CIRCUIT_BREAKER_CONFIG.window,
+		cooldown = CIRCUIT_BREAKER_CONFIG.cooldown,
+		halfOpenRequests = CIRCUIT_BREAKER_CONFIG.halfOpenRequests,
+		isFailure = isSiteFailure,
+		onStateChange
+	} = {}) {
+		if (typeof failureRate !== 'number' || !(failureRate > 0 && failureRate <= 1)) {
+			throw new TypeError('Failure rate must be a number above 0 and up to 1');
+		}
+
+		for (const [value, fieldName] of [[minimumRequests, 'Minimum requests'], [halfOpenRequests, 'Half-open requests']]) {
+			if (!Number.isInteger(value) || value < 1) {
+				throw new TypeError(`${fieldName} must be a positive integer`);
+			}
+		}
+
+		validatePositiveNumber(window, 'Window');
+		validatePositiveNumber(cooldown, 'Cooldown');
+
+		if (typeof isFailure !== 'function') {
+			throw new TypeError('isFailure must be a function');
+		}
+
+		if (onStateChange !== undefined && typeof onStateChange !== 'function') {
+			throw new TypeError('onStateChange must be a function');
+		}
+
+		this.#failureRate = failureRate;
+		this.#minimumRequests = minimumRequests;
+		this.#window = window;
+		this.#cooldown = cooldown;
+		this.#halfOpenRequests = halfOpenRequests;
+		this.#isFailure = isFailure;
+		this.#onStateChange = onStateChange;
+	}
+
+	/**
+	 * The current state: `closed`, `open` or `half-open`.
+	 *
+	 * @returns {string}
+	 */
+	get state() {
+		this.#endCooldown(Date.now());
+		return this.#state;
+	}
+
+	/**
+	 * Current state and recent outcomes.
+	 *
+	 * @returns {{state: string, requests: number, failures: number, failureRate: number, retryAfter: number}}
+	 *          The state, the requests and failures recorded in the window while closed, their ratio,
+	 *          and milliseconds left before a trial request is allowed (0 unless open)
+	 */
+	stats() {
+		const now = Date.now();
+		this.#endCooldown(now);
+		this.#forget(now);
+
+		const requests = this.#outcomes.length;
+		const failures = this.#outcomes.filter(outcome => outcome.failed).length;
+
+		return {
+			state: this.#state,
+			requests,
+			failures,
+			failureRate: requests === 0 ? 0 : failures / requests,
+			retryAfter: this.#state === STATES.OPEN ? this.#openUntil - now : 0
+		};
+	}
+
+	/**
+	 * Runs a request if the breaker allows it, and records its outcome.
+	 *
+	 * @param {function(): Promise<*>} task - The request to run
+	 * @returns {Promise<*>} A promise settling with the task's outcome
+	 * @throws {CircuitOpenError} When the breaker is open, or half-open with its trial requests in flight
+	 */
+	async execute(task) {
+		const trial = this.#acquire();
+		let outcome = 'success';
+
+		try {
+			return await task();
+		} catch (error) {
+			if (error instanceof AbortError) {
+				outcome = 'ignored';
+			} else if (this.#isFailure(error)) {
+				outcome = 'failure';
+			}
+			throw error;
+		} finally {
+			this.#record(trial, outcome);
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean} Whether the request is a half-open trial
+	 * @throws {CircuitOpenError}
+	 */
+	#acquire() {
+		const now = Date.now();
+		this.#endCooldown(now);
+
+		if (this.#state === STATES.OPEN) {
+			const retryAfter = this.#openUntil - now;
+			throw new CircuitOpenError(`Circuit open after repeated failures; the site is not contacted for ${retryAfter}ms`, {
+				code: 'circuit_open',
+				retryAfter
+			});
+		}
+
+		if (this.#state === STATES.HALF_OPEN) {
+			if (this.#trials >= this.#halfOpenRequests) {
+				throw new CircuitOpenError('Circuit half-open; waiting for the trial requests to complete', {
+					code: 'circuit_open',
+					retryAfter: 0
+				});
+			}
+
+			this.#trials++;
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * @private
+	 * @param {boolean} trial
+	 * @param {"success"|"failure"|"ignored"} outcome
+	 */
+	#record(trial, outcome) {
+		const now = Date.now();
+
+		if (trial) {
+			// A sibling trial may already have reopened or closed the breaker
+			if (this.#state !== STATES.HALF_OPEN) {
+				return;
+			}
+
+			if (outcome === 'ignored') {
+				this.#trials--;
+			} else if (outcome === 'failure') {
+				this.#open(now);
+			} else if (++this.#trialSuccesses >= this.#halfOpenRequests) {
+				this.#transition(STATES.CLOSED);
+			}
+			return;
+		}
+
+		// Requests started before the breaker opened do not count towards the next window
+		if (this.#state !== STATES.CLOSED || outcome === 'ignored') {
+			return;
+		}
+
+		this.#outcomes.push({ at: now, failed: outcome === 'failure' });
+		this.#forget(now);
+
+		const failures = this.#outcomes.filter(recorded => recorded.failed).length;
+
+		if (this.#outcomes.length >= this.#minimumRequests && failures / this.#outcomes.length >= this.#failureRate) {
+			this.#open(now);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} now
+	 */
+	#open(now) {
+		this.#openUntil = now + this.#cooldown;
+		this.#transition(STATES.OPEN);
+	}
+
+	/**
+	 * Turns an open breaker half-open once its cool-down has passed.
+	 * @private
+	 * @param {number} now
+	 */
+	#endCooldown(now) {
+		if (this.#state === STATES.OPEN && now >= this.#openUntil) {
+			this.#trials = 0;
+			this.#trialSuccesses = 0;
+			this.#transition(STATES.HALF_OPEN);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} now
+	 */
+	#forget(now) {
+		while (this.#outcomes.length > 0 && this.#outcomes[0].at <= now - this.#window) {
+			this.#outcomes.shift();
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} to
+	 */
+	#transition(to) {
+		const from = this.#state;
+		this.#state = to;
+		this.#outcomes = [];
+
+		try {
+			this.#onStateChange?.({ from, to });
+		} catch {
+			// A failing listener must not fail the request that changed the state
+		}
+	}
+}
+
+/**
+ * The default failure check: errors showing that the site is down, slow or overloaded.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isSiteFailure(error) {
+	return error instanceof TimeoutError
+		|| error instanceof NetworkError
+		|| error.status === 408
+		|| error.status >= 500;
+}
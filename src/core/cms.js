@@ -1,4 +1,16 @@
 import { QueryBuilder } from "./queryBuilder.js";
+import { Batch } from "./batch.js";
+import { ResponseCache } from "./responseCache.js";
+import { RateLimiter } from "./rateLimiter.js";
+import { Schema } from "./schema.js";
+import { Logger } from "./logger.js";
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { RequestDeduplicator } from "./requestDeduplicator.js";
+import { CollectionHooks } from "./hooks.js";
+import { WixRequest } from "./wixRequest.js";
+import { validateDomain, validateRequestControls, validateUrl } from "../utils/validation.js";
+import { resolveApiBase } from "../utils/requestHelpers.js";
+import { LOG_EVENTS } from "../config/constants.js";
 
 /**
  * A client class for interacting with the Wix Content Management System (CMS).
@@ -10,26 +22,319 @@ import { QueryBuilder } from "./queryBuilder.js";
  * @example
  * const cms = new WixCMS('user123', 'my-site-id', 'auth-token-xyz');
  * const query = cms.query('blogPosts');
+ * 
+ * @example
+ * // Site served from a connected custom domain, targeting the test endpoint
+ * const cms = new WixCMS({ domain: 'www.example.com', token: 'auth-token-xyz', dev: true });
  */
 export class WixCMS {
 	#username;
 	#site;
 	#token;
+	#requestOptions;
+	#cache;
+	#limiter;
+	#breaker;
+	#schemas = new Map();
+	#hooks = new Map();
+	#middleware = [];
 
 	/**
 	 * Creates a new Wix CMS client instance.
 	 * 
-	 * @param {string} username - The Wix account username with CMS access
-	 * @param {string} site - The site ID or site URL identifier
-	 * @param {string} token - Authentication token for API access
-	 * @throws {TypeError} When any parameter is not a string or is empty
+	 * Accepts either positional credentials (with an optional options object) or a
+	 * single configuration object holding the same settings.
+	 * 
+	 * @param {string|Object} username - The Wix account username with CMS access, or a configuration object
+	 * @param {string} [site] - The site ID or site URL identifier
+	 * @param {string} [token] - Authentication token for API access
+	 * @param {Object} [options={}] - Additional connection options
+	 * @param {string} [options.baseUrl] - Full base URL of the HTTP functions (e.g. `https://www.example.com/_functions`)
+	 * @param {string} [options.domain] - Custom domain serving the site (e.g. `www.example.com`)
+	 * @param {string} [options.functionsPath] - Path of the HTTP functions (defaults to `_functions`)
+	 * @param {boolean} [options.dev=false] - Whether to target the `_functions-dev` test endpoint
+	 * @param {boolean} [options.signRequests=false] - Sign requests with HMAC-SHA256 (timestamp + nonce) instead of
+	 *                                                 sending the token in the body; the bridge must support signatures
+	 * @param {boolean|Object} [options.cache=false] - Cache read responses; `true` for defaults or an object with
+	 *                                                 `ttl`, `staleWhileRevalidate`, `maxEntries` and `store`
+	 *                                                 (see ResponseCache). Writes through this client invalidate
+	 *                                                 the affected collection.
+	 * @param {boolean|Object} [options.rateLimit=false] - Throttle requests client-side; `true` for defaults or an
+	 *                                                     object with `requestsPerSecond`, `burst` and
+	 *                                                     `maxConcurrent` (see RateLimiter). Shared by every
+	 *                                                     query of this client.
+	 * @param {Object<string, Object|Schema>} [options.schemas] - Schemas to register, by collection name
+	 *                                                          (see defineSchema)
+	 * @param {Object} [options.logger] - A pino, winston or console style logger receiving structured request
+	 *                                    events (see Logger); nothing is logged without one
+	 * @param {Array<string>} [options.redact] - Log entry fields to redact (e.g. `collection`), in addition to
+	 *                                           the token; entries never hold item data
+	 * @param {number} [options.timeout=30000] - Timeout of each request attempt, in milliseconds
+	 * @param {Object|false} [options.retry] - Retry settings for transient failures: `maxAttempts` (default 3),
+	 *                                         `baseDelay` (1000), `maxDelay` (10000) and `jitter` (0, up to 1),
+	 *                                         or `false` to never retry. Each call may override the timeout
+	 *                                         and retry settings, and pass a `signal`, in its options.
+	 * @param {boolean|Object|CircuitBreaker} [options.circuitBreaker=false] - Fail fast while the site keeps failing;
+	 *                                         `true` for defaults, an object with `failureRate`, `minimumRequests`,
+	 *                                         `window`, `cooldown`, `halfOpenRequests` and `onStateChange` (see
+	 *                                         CircuitBreaker), or a CircuitBreaker shared with other clients of
+	 *                                         the same site
+	 * @param {boolean} [options.dedupe=false] - Share one request between identical reads in flight at the same
+	 *                                           time (same route, collection, conditions and options); a read
+	 *                                           opts out with `dedupe: false` in its options
+	 * @throws {TypeError} When any parameter is invalid
 	 */
-	constructor(username, site, token) {
-		this.#validateCredentials(username, site, token);
+	constructor(username, site, token, options = {}) {
+		const config = typeof username === 'object' && username !== null
+			? username
+			: { ...options, username, site, token };
+
+		this.#validateCredentials(config);
 		
-		this.#username = username;
-		this.#site = site;
-		this.#token = token;
+		this.#username = config.username;
+		this.#site = config.site;
+		this.#token = config.token;
+		this.#cache = config.cache
+			? new ResponseCache(config.cache === true ? {} : config.cache)
+			: null;
+		this.#limiter = config.rateLimit
+			? new RateLimiter(config.rateLimit === true ? {} : config.rateLimit)
+			: null;
+		const logger = config.logger
+			? new Logger(config.logger, { redact: config.redact, secrets: [config.token] })
+			: null;
+		this.#breaker = this.#createCircuitBreaker(config.circuitBreaker, logger);
+		this.#requestOptions = {
+			baseUrl: resolveApiBase(config),
+			signRequests: config.signRequests === true,
+			cache: this.#cache,
+			limiter: this.#limiter,
+			schemas: this.#schemas,
+			hooks: this.#hooks,
+			middleware: this.#middleware,
+			logger,
+			timeout: config.timeout,
+			retry: config.retry,
+			circuitBreaker: this.#breaker,
+			deduplicator: config.dedupe ? new RequestDeduplicator() : null
+		};
+
+		for (const [collectionName, fields] of Object.entries(config.schemas ?? {})) {
+			this.defineSchema(collectionName, fields);
+		}
+	}
+
+	/**
+	 * Registers the schema of a collection. From then on, `insert()`, `save()` and `update()`
+	 * on that collection check items against it before sending them, and throw a
+	 * `ValidationError` listing every failing field path. Replaces any previous schema.
+	 * 
+	 * @param {string} collectionName - The collection the schema describes
+	 * @param {Object|Schema} fields - The field definitions (see Schema), or a Schema instance
+	 * @returns {Schema} The registered schema
+	 * @throws {TypeError} When collectionName or a field definition is invalid
+	 * 
+	 * @example
+	 * cms.defineSchema('Posts', {
+	 *   title: { type: 'text', required: true },
+	 *   status: { type: 'text', enum: ['draft', 'published'] },
+	 *   tags: { type: 'array', items: 'text' }
+	 * });
+	 */
+	defineSchema(collectionName, fields) {
+		this.#validateCollectionName(collectionName);
+
+		const schema = fields instanceof Schema ? fields : new Schema(fields);
+		this.#schemas.set(collectionName, schema);
+		return schema;
+	}
+
+	/**
+	 * Returns the schema registered for a collection, for example to validate form input
+	 * before submitting it.
+	 * 
+	 * @param {string} collectionName - The collection name
+	 * @returns {Schema|null} The registered schema, or null when there is none
+	 * @throws {TypeError} When collectionName is not a valid non-empty string
+	 * 
+	 * @example
+	 * const errors = await cms.schema('Posts').validate(formData);
+	 */
+	schema(collectionName) {
+		this.#validateCollectionName(collectionName);
+		return this.#schemas.get(collectionName) ?? null;
+	}
+
+	/**
+	 * Returns the lifecycle hooks of a collection, to register functions that run around its
+	 * reads and writes. Hooks apply to every query builder and batch of this client, including
+	 * those created before they were registered.
+	 * 
+	 * `before*` hooks can change items before they are written or throw to veto the operation;
+	 * `beforeFind` hooks add filter conditions; `after*` hooks can change what the site returned;
+	 * `onError` hooks see every failure. See CollectionHooks for when each kind runs.
+	 * 
+	 * @param {string} collectionName - The collection name
+	 * @returns {CollectionHooks} The collection's hooks, created on first use
+	 * @throws {TypeError} When collectionName is not a valid non-empty string
+	 * 
+	 * @example
+	 * cms.hooks('Posts')
+	 *   .beforeInsert(post => ({ ...post, createdBy: currentUser.id }))
+	 *   .beforeRemove(async id => {
+	 *     if (await isLocked(id)) throw new Error(`Post ${id} is locked`);
+	 *   })
+	 *   .onError((error, { operation }) => metrics.increment(`posts.${operation}.failed`));
+	 */
+	hooks(collectionName) {
+		this.#validateCollectionName(collectionName);
+
+		if (!this.#hooks.has(collectionName)) {
+			this.#hooks.set(collectionName, new CollectionHooks());
+		}
+
+		return this.#hooks.get(collectionName);
+	}
+
+	/**
+	 * Adds a middleware around every request of this client, including those of query builders
+	 * and batches created before the call. Middleware run in the order they were added, each
+	 * wrapping the ones added after it.
+	 * 
+	 * A middleware receives a context and a `next` function. Before `await next()` it can change
+	 * `ctx.route`, `ctx.body` and `ctx.headers`; after it, `ctx.response` holds the parsed response
+	 * and may be replaced. Errors thrown by the request (after retries) reject `next()`, so they can
+	 * be caught, rethrown or recovered from by setting `ctx.response`. `ctx.collection` names the
+	 * collection and `ctx.state` is free for the middleware's own data.
+	 * 
+	 * Reads served from the response cache skip the middleware, and a batch goes through it once,
+	 * as a `batch` request.
+	 * 
+	 * @param {function(Object, function(): Promise<void>): *} middleware - The `(ctx, next)` middleware
+	 * @returns {WixCMS} This client, for chaining
+	 * @throws {TypeError} When middleware is not a function
+	 * 
+	 * @example
+	 * cms.use(async (ctx, next) => {
+	 *   ctx.headers['x-trace-id'] = crypto.randomUUID();
+	 *   ctx.body.conditions = [...(ctx.body.conditions ?? []), { field: 'tenantId', operator: 'eq', value: tenantId }];
+	 *   await next();
+	 * });
+	 */
+	use(middleware) {
+		if (typeof middleware !== 'function') {
+			throw new TypeError('Middleware must be a function');
+		}
+
+		this.#middleware.push(middleware);
+		return this;
+	}
+
+	/**
+	 * Reports the depth of the client's request queue when rate limiting is enabled.
+	 * 
+	 * @returns {{queued: number, inFlight: number, availableTokens: number, pausedFor: number}|null}
+	 *          The limiter's stats (see RateLimiter#stats), or null when rate limiting is off
+	 * 
+	 * @example
+	 * const { queued, inFlight } = cms.queueStats();
+	 */
+	queueStats() {
+		return this.#limiter?.stats() ?? null;
+	}
+
+	/**
+	 * Reports the state of the client's circuit breaker, when enabled.
+	 * 
+	 * @returns {{state: string, requests: number, failures: number, failureRate: number, retryAfter: number}|null}
+	 *          The breaker's stats (see CircuitBreaker#stats), or null when the circuit breaker is off
+	 * 
+	 * @example
+	 * const { state, retryAfter } = cms.circuitStats();
+	 */
+	circuitStats() {
+		return this.#breaker?.stats() ?? null;
+	}
+
+	/**
+	 * Starts a batch that sends several queries and writes, possibly across collections,
+	 * in a single HTTP request.
+	 * 
+	 * @param {Object} [options={}] - Batch options
+	 * @param {boolean} [options.sequential=false] - Run the operations in order and skip the ones after
+	 *                                               the first failure, instead of running them concurrently
+	 * @returns {Batch} An empty batch using the current CMS credentials
+	 * @throws {TypeError} When an option is invalid
+	 * 
+	 * @example
+	 * const batch = cms.batch();
+	 * const posts = batch.query('Posts').limit(5).find();
+	 * const total = batch.query('Comments').count();
+	 * await batch.run();
+	 */
+	batch({ sequential = false } = {}) {
+		return new Batch(this.#username, this.#site, this.#token, { ...this.#requestOptions, sequential });
+	}
+
+	/**
+	 * Drops cached read responses, for one collection or for all of them.
+	 * Only needed when data changes outside this client; writes made through
+	 * this client invalidate their collection automatically.
+	 * 
+	 * @param {string} [collectionName] - The collection to invalidate; omit to clear the whole cache
+	 * @throws {TypeError} When collectionName is provided but not a valid non-empty string
+	 * 
+	 * @example
+	 * cms.invalidateCache('Posts');
+	 */
+	invalidateCache(collectionName) {
+		if (!this.#cache) {
+			return;
+		}
+
+		if (collectionName === undefined) {
+			this.#cache.clear();
+			return;
+		}
+
+		this.#validateCollectionName(collectionName);
+		this.#cache.invalidate(collectionName);
+	}
+
+	/**
+	 * Retrieves the field definitions of collections from the bridge's `schema` route,
+	 * e.g. to generate TypeScript types (see `wix-cms generate-types`).
+	 * 
+	 * @param {Array<string>} [collectionNames] - The collections to describe; omit for every
+	 *                                            collection the token may read
+	 * @returns {Promise<Array<Object>>} A promise resolving to one `{ id, displayName, fields }` per
+	 *          collection, each field being `{ key, displayName, type, system, referencedCollection }`
+	 *          with the Wix field type (e.g. `TEXT`, `NUMBER`, `REFERENCE`)
+	 * @throws {TypeError} When collectionNames is not an array of non-empty strings
+	 * @throws {WixCMSError} When the request fails
+	 * 
+	 * @example
+	 * const [posts] = await cms.fetchCollectionSchemas(['Posts']);
+	 * console.log(posts.fields.map(field => `${field.key}: ${field.type}`));
+	 */
+	async fetchCollectionSchemas(collectionNames) {
+		if (collectionNames !== undefined) {
+			if (!Array.isArray(collectionNames) || collectionNames.length === 0) {
+				throw new TypeError('Collection names must be a non-empty array');
+			}
+			collectionNames.forEach(collectionName => this.#validateCollectionName(collectionName));
+		}
+
+		// The bridge ignores the request's own collection for schemas; the body names them
+		const wixRequest = new WixRequest(
+			collectionNames?.[0] ?? '*',
+			this.#username,
+			this.#site,
+			this.#token,
+			this.#requestOptions
+		);
+		const response = await wixRequest.schemaQuery("schema", collectionNames);
+		return response.result?.collections ?? [];
 	}
 
 	/**
@@ -52,29 +357,99 @@ export class WixCMS {
 			collectionName,
 			this.#username,
 			this.#site,
-			this.#token
+			this.#token,
+			this.#requestOptions
 		);
 	}
 
 	/**
 	 * @private
-	 * @param {string} username
-	 * @param {string} site
-	 * @param {string} token
+	 * @param {Object} config
 	 * @throws {TypeError}
 	 */
-	#validateCredentials(username, site, token) {
-		if (typeof username !== 'string' || username.trim().length === 0) {
-			throw new TypeError('Username must be a non-empty string');
+	#validateCredentials({ username, site, token, baseUrl, domain, functionsPath, dev, signRequests, cache, rateLimit, schemas, timeout, retry, circuitBreaker, dedupe }) {
+		if (baseUrl !== undefined && domain !== undefined) {
+			throw new TypeError('Provide either a base URL or a domain, not both');
 		}
-		
-		if (typeof site !== 'string' || site.trim().length === 0) {
-			throw new TypeError('Site must be a non-empty string');
+
+		if (baseUrl !== undefined) {
+			validateUrl(baseUrl, 'Base URL');
+		} else if (domain !== undefined) {
+			validateDomain(domain, 'Domain');
+		} else {
+			if (typeof username !== 'string' || username.trim().length === 0) {
+				throw new TypeError('Username must be a non-empty string');
+			}
+			
+			if (typeof site !== 'string' || site.trim().length === 0) {
+				throw new TypeError('Site must be a non-empty string');
+			}
 		}
 		
 		if (typeof token !== 'string' || token.trim().length === 0) {
 			throw new TypeError('Token must be a non-empty string');
 		}
+
+		if (functionsPath !== undefined && (typeof functionsPath !== 'string' || functionsPath.trim().length === 0)) {
+			throw new TypeError('Functions path must be a non-empty string');
+		}
+
+		if (dev !== undefined && typeof dev !== 'boolean') {
+			throw new TypeError('Dev must be a boolean');
+		}
+
+		if (signRequests !== undefined && typeof signRequests !== 'boolean') {
+			throw new TypeError('Sign requests must be a boolean');
+		}
+
+		if (cache !== undefined && typeof cache !== 'boolean' && (typeof cache !== 'object' || cache === null)) {
+			throw new TypeError('Cache must be a boolean or an options object');
+		}
+
+		if (rateLimit !== undefined && typeof rateLimit !== 'boolean' && (typeof rateLimit !== 'object' || rateLimit === null)) {
+			throw new TypeError('Rate limit must be a boolean or an options object');
+		}
+
+		if (schemas !== undefined && (typeof schemas !== 'object' || schemas === null || Array.isArray(schemas))) {
+			throw new TypeError('Schemas must be an object keyed by collection name');
+		}
+
+		validateRequestControls({ timeout, retry });
+
+		if (dedupe !== undefined && typeof dedupe !== 'boolean') {
+			throw new TypeError('Dedupe must be a boolean');
+		}
+
+		if (circuitBreaker !== undefined && typeof circuitBreaker !== 'boolean' && (typeof circuitBreaker !== 'object' || circuitBreaker === null)) {
+			throw new TypeError('Circuit breaker must be a boolean, an options object or a CircuitBreaker');
+		}
+	}
+
+	/**
+	 * Creates the client's circuit breaker, logging its state changes.
+	 * @private
+	 * @param {boolean|Object|CircuitBreaker} [option]
+	 * @param {Logger|null} logger
+	 * @returns {CircuitBreaker|null}
+	 */
+	#createCircuitBreaker(option, logger) {
+		if (!option || option instanceof CircuitBreaker) {
+			return option || null;
+		}
+
+		const { onStateChange, ...options } = option === true ? {} : option;
+
+		if (onStateChange !== undefined && typeof onStateChange !== 'function') {
+			throw new TypeError('onStateChange must be a function');
+		}
+
+		return new CircuitBreaker({
+			...options,
+			onStateChange: (change) => {
+				logger?.log(change.to === 'open' ? 'warn' : 'info', LOG_EVENTS.CIRCUIT, change);
+				onStateChange?.(change);
+			}
+		});
 	}
 
 	/**
@@ -0,0 +1,189 @@
+/**
+ * Base class for errors raised by the SDK.
+ * 
+ * @class WixCMSError
+ * @extends Error
+ * 
+ * @example
+ * try {
+ *   await cms.query('Posts').find();
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) return null;
+ *   if (error instanceof WixCMSError) console.error(error.status, error.code);
+ *   throw error;
+ * }
+ */
+export class WixCMSError extends Error {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details
+	 * @param {number} [details.status] - The HTTP status of the failed response
+	 * @param {string} [details.code] - The machine-readable error code (bridge or wix-data code)
+	 * @param {*} [details.body] - The parsed body of the failed response
+	 * @param {Error} [details.cause] - The underlying error
+	 */
+	constructor(message, { status, code, body, cause } = {}) {
+		super(message, cause ? { cause } : undefined);
+		this.name = new.target.name;
+		this.status = status;
+		this.code = code;
+		this.body = body;
+	}
+}
+
+/**
+ * Raised when the token is missing, invalid or lacks permission (HTTP 401/403,
+ * bridge `unauthorized`, wix-data `WD_PERMISSION_DENIED`).
+ * 
+ * @class AuthError
+ * @extends WixCMSError
+ */
+export class AuthError extends WixCMSError {}
+
+/**
+ * Raised when the bridge denies an operation the token is not scoped for.
+ * 
+ * @class ForbiddenError
+ * @extends AuthError
+ */
+export class ForbiddenError extends AuthError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {string} [details.collection] - The collection the operation targeted
+	 * @param {string} [details.operation] - The denied operation (read, insert, update, remove or truncate)
+	 */
+	constructor(message, details = {}) {
+		super(message, { code: 'forbidden', ...details });
+		this.collection = details.collection;
+		this.operation = details.operation;
+	}
+}
+
+/**
+ * Raised when the collection, item or endpoint does not exist (HTTP 404,
+ * wix-data `WD_SCHEMA_DOES_NOT_EXIST` or `WD_ITEM_DOES_NOT_EXIST`).
+ * 
+ * @class NotFoundError
+ * @extends WixCMSError
+ */
+export class NotFoundError extends WixCMSError {}
+
+/**
+ * Raised when the request or the item data is rejected as invalid, either by the site
+ * or, before sending, by the collection's schema (code `schema_validation`).
+ * 
+ * @class ValidationError
+ * @extends WixCMSError
+ */
+export class ValidationError extends WixCMSError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {Array<{path: string, message: string}>} [details.errors] - Every failing field path, when known
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.errors = details.errors ?? [];
+	}
+}
+
+/**
+ * Raised when an `update()` or `save()` made with `expectedUpdatedDate` is rejected because
+ * the item changed (or was removed) since that date (code `conflict`).
+ * 
+ * @class ConflictError
+ * @extends WixCMSError
+ */
+export class ConflictError extends WixCMSError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {Object|null} [details.current] - The item as currently stored, or null when it no longer exists
+	 *                                           or the token may not read the collection
+	 */
+	constructor(message, details = {}) {
+		super(message, { code: 'conflict', ...details });
+		this.current = details.current ?? null;
+	}
+}
+
+/**
+ * Raised when the site throttles requests (HTTP 429).
+ * 
+ * @class RateLimitError
+ * @extends WixCMSError
+ */
+export class RateLimitError extends WixCMSError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {number} [details.retryAfter] - Milliseconds to wait before retrying, from the `Retry-After` header
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.retryAfter = details.retryAfter;
+	}
+}
+
+/**
+ * Raised when a request does not complete within its timeout.
+ * 
+ * @class TimeoutError
+ * @extends WixCMSError
+ */
+export class TimeoutError extends WixCMSError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {number} [details.timeout] - The timeout that elapsed, in milliseconds
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.timeout = details.timeout;
+	}
+}
+
+/**
+ * Raised when the caller cancels a request through its `signal`. Unlike a
+ * {@link TimeoutError}, it is never retried; `cause` holds the signal's abort reason.
+ * 
+ * @class AbortError
+ * @extends WixCMSError
+ */
+export class AbortError extends WixCMSError {}
+
+/**
+ * Raised without contacting the site while the client's circuit breaker is open,
+ * i.e. after too many recent requests to the site failed.
+ * 
+ * @class CircuitOpenError
+ * @extends WixCMSError
+ */
+export class CircuitOpenError extends WixCMSError {
+	/**
+	 * @param {string} message - A human-readable description of the error
+	 * @param {Object} [details={}] - Additional error details (see WixCMSError)
+	 * @param {number} [details.retryAfter] - Milliseconds until the breaker lets a trial request through
+	 */
+	constructor(message, details = {}) {
+		super(message, details);
+		this.retryAfter = details.retryAfter;
+	}
+}
+
+/**
+ * Raised when the site cannot be reached (DNS, connection or TLS failures).
+ * 
+ * @class NetworkError
+ * @extends WixCMSError
+ */
+export class NetworkError extends WixCMSError {}
+
+/**
+ * Raised when a wix-data operation fails on the site. `code` holds the wix-data error code.
+ * 
+ * @class WixDataError
+ * @extends WixCMSError
+ */
+export class WixDataError extends WixCMSError {}
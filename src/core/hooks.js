@@ -0,0 +1,217 @@
+/**
+ * Lifecycle hooks of one collection, run by its query builders around reads and writes.
+ *
+ * Every hook may be async, and several hooks of the same kind run in the order they were
+ * registered. `before*` hooks receive each item (or item ID) about to be written; they may
+ * return a replacement, and throwing vetoes the whole operation before anything is sent
+ * (in a bulk import, only that item, which is reported as rejected).
+ * `after*` hooks receive what the site returned and may return a replacement. `onError`
+ * hooks see every failure of a hooked operation, and may throw a different error instead.
+ *
+ * Hooks receive a context `{ collection, operation, options }` as their last argument,
+ * where `operation` is the QueryBuilder method that was called.
+ *
+ * @class CollectionHooks
+ *
+ * @example
+ * cms.hooks('Posts')
+ *   .beforeInsert(post => ({ ...post, slug: slugify(post.title) }))
+ *   .beforeFind(query => query.ne('deleted', true))
+ *   .afterFind(posts => posts.map(post => ({ ...post, publishedAt: new Date(post.publishedAt) })));
+ */
+export class CollectionHooks {
+	#handlers = {
+		beforeInsert: [],
+		beforeSave: [],
+		beforeUpdate: [],
+		beforeRemove: [],
+		beforeFind: [],
+		afterInsert: [],
+		afterSave: [],
+		afterUpdate: [],
+		afterFind: [],
+		onError: []
+	};
+
+	/**
+	 * Runs before `insert()` (and bulk imports in insert mode), once per item.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	beforeInsert(handler) {
+		return this.#add('beforeInsert', handler);
+	}
+
+	/**
+	 * Runs before `save()` (and bulk imports in save mode), once per item.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	beforeSave(handler) {
+		return this.#add('beforeSave', handler);
+	}
+
+	/**
+	 * Runs before `update()` (and bulk imports in update mode), once per item.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	beforeUpdate(handler) {
+		return this.#add('beforeUpdate', handler);
+	}
+
+	/**
+	 * Runs before `remove()`, once per item ID. Throw to prevent the removal.
+	 *
+	 * @param {function(string, Object): (void|Promise<void>)} handler - Receives the item ID
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	beforeRemove(handler) {
+		return this.#add('beforeRemove', handler);
+	}
+
+	/**
+	 * Runs before `find()`, `count()`, `distinct()`, `iterate()`, `iteratePages()`, `bulkExport()`
+	 * and the `run()` of `aggregate()`.
+	 * The handler receives an empty sub-query; the conditions it adds are AND-ed with the query's.
+	 *
+	 * @param {function(QueryBuilder, Object): *} handler - Adds filter conditions to the sub-query
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	beforeFind(handler) {
+		return this.#add('beforeFind', handler);
+	}
+
+	/**
+	 * Runs after a single-item `insert()` succeeds.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the inserted item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	afterInsert(handler) {
+		return this.#add('afterInsert', handler);
+	}
+
+	/**
+	 * Runs after a single-item `save()` succeeds.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the saved item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	afterSave(handler) {
+		return this.#add('afterSave', handler);
+	}
+
+	/**
+	 * Runs after a single-item `update()` succeeds.
+	 *
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} handler - Receives the updated item; may return a replacement
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	afterUpdate(handler) {
+		return this.#add('afterUpdate', handler);
+	}
+
+	/**
+	 * Runs on the items returned by `find()`, `get()`, `getMany()`, `iterate()`, `iteratePages()`
+	 * and `bulkExport()`, one page at a time. Items left out of the returned array are dropped
+	 * (a dropped `get()` item resolves to null).
+	 *
+	 * @param {function(Array<Object>, Object): (Array<Object>|void|Promise<Array<Object>|void>)} handler - Receives
+	 *        the items; may return a replacement array
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	afterFind(handler) {
+		return this.#add('afterFind', handler);
+	}
+
+	/**
+	 * Runs when any operation of the collection's query builders fails, whether the site rejected
+	 * it or a hook vetoed it.
+	 * The error is rethrown afterwards, unless the handler throws another one.
+	 *
+	 * @param {function(Error, Object): (void|Promise<void>)} handler - Receives the error
+	 * @returns {CollectionHooks} These hooks, for chaining
+	 * @throws {TypeError} When handler is not a function
+	 */
+	onError(handler) {
+		return this.#add('onError', handler);
+	}
+
+	/**
+	 * Whether any hook of a kind is registered. Called by the query builders.
+	 *
+	 * @param {string} name - The hook name, e.g. `beforeInsert`
+	 * @returns {boolean}
+	 */
+	has(name) {
+		return this.#handlers[name].length > 0;
+	}
+
+	/**
+	 * Passes a value through the hooks of a kind, in order. A hook returning `undefined`
+	 * keeps the current value. Called by the query builders.
+	 *
+	 * @param {string} name - The hook name, e.g. `beforeInsert`
+	 * @param {*} value - The item, item ID, sub-query or items
+	 * @param {Object} context - `{ collection, operation, options }`
+	 * @returns {Promise<*>} The value returned by the last hook that returned one
+	 */
+	async run(name, value, context) {
+		let current = value;
+
+		for (const handler of this.#handlers[name]) {
+			const result = await handler(current, context);
+
+			if (result !== undefined) {
+				current = result;
+			}
+		}
+
+		return current;
+	}
+
+	/**
+	 * Runs the `onError` hooks, then rethrows the error. Called by the query builders.
+	 *
+	 * @param {Error} error - The failure
+	 * @param {Object} context - `{ collection, operation, options }`
+	 * @returns {Promise<never>}
+	 * @throws {Error} The error, or the one thrown by an `onError` hook
+	 */
+	async fail(error, context) {
+		for (const handler of this.#handlers.onError) {
+			await handler(error, context);
+		}
+
+		throw error;
+	}
+
+	/**
+	 * @private
+	 * @param {string} name
+	 * @param {Function} handler
+	 * @returns {CollectionHooks}
+	 * @throws {TypeError}
+	 */
+	#add(name, handler) {
+		if (typeof handler !== 'function') {
+			throw new TypeError(`${name}() expects a function`);
+		}
+
+		this.#handlers[name].push(handler);
+		return this;
+	}
+}
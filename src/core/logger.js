@@ -0,0 +1,91 @@
+import { REDACTED, REDACTED_FIELDS } from "../config/constants.js";
+
+const LEVELS = Object.freeze(['debug', 'info', 'warn', 'error']);
+
+/**
+ * Sends structured log entries to a pino, winston, bunyan or console style logger,
+ * with secrets and configured fields redacted.
+ *
+ * Each entry is passed as a single object, `{ message, event, ...fields }`, which all of
+ * these loggers accept. Redaction replaces the value of every field whose name is listed
+ * (at any depth, case-insensitively), as well as every occurrence of a secret in strings.
+ *
+ * @class Logger
+ *
+ * @example
+ * const logger = new Logger(pino(), { redact: ['email'], secrets: [token] });
+ * logger.log('info', 'request.end', { route: 'query', collection: 'Posts', duration: 42 });
+ */
+export class Logger {
+	#target;
+	#redact;
+	#secrets;
+
+	/**
+	 * Creates a new Logger instance.
+	 *
+	 * @param {Object} target - The logger to write to, with `debug`, `info`, `warn` and `error` methods
+	 * @param {Object} [options={}] - Redaction options
+	 * @param {Array<string>} [options.redact=[]] - Field names to redact, in addition to tokens,
+	 *                                              authorization headers and signatures
+	 * @param {Array<string>} [options.secrets=[]] - Values to mask wherever they appear in strings
+	 * @throws {TypeError} When the target lacks a level method or an option is invalid
+	 */
+	constructor(target, { redact = [], secrets = [] } = {}) {
+		if (typeof target !== 'object' || target === null || LEVELS.some(level => typeof target[level] !== 'function')) {
+			throw new TypeError(`Logger must have ${LEVELS.join(', ')} methods`);
+		}
+
+		if (!Array.isArray(redact) || redact.some(field => typeof field !== 'string' || field.length === 0)) {
+			throw new TypeError('Redact must be an array of field names');
+		}
+
+		this.#target = target;
+		this.#redact = new Set([...REDACTED_FIELDS, ...redact].map(field => field.toLowerCase()));
+		this.#secrets = secrets.filter(secret => typeof secret === 'string' && secret.length > 0);
+	}
+
+	/**
+	 * Writes an entry. Errors thrown by the target are ignored, so that logging never
+	 * fails a request.
+	 *
+	 * @param {string} level - `debug`, `info`, `warn` or `error`
+	 * @param {string} event - The event name, e.g. `request.end`
+	 * @param {Object} [fields={}] - The event's data; Error values are reduced to their name, message, code and status
+	 */
+	log(level, event, fields = {}) {
+		try {
+			this.#target[level]({ message: event, event, ...this.#scrub(fields) });
+		} catch {
+			// A broken logger must not break the client
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {*} value
+	 * @returns {*} A redacted copy of the value
+	 */
+	#scrub(value) {
+		if (typeof value === 'string') {
+			return this.#secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+		}
+
+		if (value instanceof Error) {
+			return this.#scrub({ name: value.name, message: value.message, code: value.code, status: value.status });
+		}
+
+		if (Array.isArray(value)) {
+			return value.map(entry => this.#scrub(entry));
+		}
+
+		if (typeof value === 'object' && value !== null && !(value instanceof Date)) {
+			return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+				key,
+				this.#redact.has(key.toLowerCase()) ? REDACTED : this.#scrub(entry)
+			]));
+		}
+
+		return value;
+	}
+}
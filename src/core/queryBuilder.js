@@ -1,13 +1,37 @@
 import { WixRequest } from "./wixRequest.js";
+import { AggregateBuilder } from "./aggregateBuilder.js";
+import { 
+	validateArray, 
+	validateItemReference, 
+	validatePositiveNumber, 
+	validateString 
+} from "../utils/validation.js";
+import { createSchemaError } from "./schema.js";
+import { ConflictError } from "./errors.js";
+import { importInChunks, validateBulkOptions } from "../utils/bulkHelpers.js";
+import { MAX_BULK_ITEMS } from "../config/constants.js";
 
 const DEFAULT_OPTIONS = Object.freeze({ suppressAuth: true });
+const DEFAULT_PAGE_SIZE = 50;
+const PAGING_OPERATORS = Object.freeze(["limit", "skip"]);
+const NON_FILTER_OPERATORS = Object.freeze([
+	"limit", "skip", "ascending", "descending", "include", "fields"
+]);
+const BULK_MODES = Object.freeze(["insert", "save", "update"]);
+// Writes made with a merge callback, including the first, before a conflict is thrown
+const MAX_MERGE_ATTEMPTS = 3;
+const WRITE_HOOKS = Object.freeze({
+	insert: Object.freeze(["beforeInsert", "afterInsert"]),
+	save: Object.freeze(["beforeSave", "afterSave"]),
+	update: Object.freeze(["beforeUpdate", "afterUpdate"])
+});
 
 /**
  * A fluent query builder class for constructing and executing queries on Wix CMS collections.
  * Provides methods to add conditions, perform CRUD operations, and handle query results.
  * 
  * @class QueryBuilder
- * @throws {Error} When query execution or CRUD operations fail
+ * @throws {WixCMSError} When query execution or CRUD operations fail
  * 
  * @example
  * const queryBuilder = new QueryBuilder('products', 'user123', 'my-site-id', 'auth-token-xyz');
@@ -16,6 +40,9 @@ const DEFAULT_OPTIONS = Object.freeze({ suppressAuth: true });
 export class QueryBuilder {
 	#conditions = [];
 	#wixRequest;
+	#requestArgs;
+	#schemas;
+	#hooks;
 	
 	/**
 	 * Creates a new QueryBuilder instance.
@@ -24,9 +51,16 @@ export class QueryBuilder {
 	 * @param {string} username - The Wix account username with access to the collection
 	 * @param {string} site - The site ID or site URL identifier
 	 * @param {string} token - Authentication token for API access
+	 * @param {Object} [options={}] - Additional connection options
+	 * @param {string} [options.baseUrl] - Full base URL of the HTTP functions; when set, username and site are ignored
+	 * @param {Map<string, Schema>} [options.schemas] - Schemas by collection name, checked before every write
+	 * @param {Map<string, CollectionHooks>} [options.hooks] - Lifecycle hooks by collection name
 	 */
-	constructor(collectionName, username, site, token) {
-		this.#wixRequest = new WixRequest(collectionName, username, site, token);
+	constructor(collectionName, username, site, token, options = {}) {
+		this.#wixRequest = new WixRequest(collectionName, username, site, token, options);
+		this.#requestArgs = [collectionName, username, site, token, options];
+		this.#schemas = options.schemas;
+		this.#hooks = options.hooks;
 	}
 
 	/**
@@ -250,6 +284,89 @@ export class QueryBuilder {
 		return this.#addCondition(field, "descending");
 	}
 
+	/**
+	 * Adds a sub-query whose conditions are OR-ed with the current query.
+	 * 
+	 * @param {function(QueryBuilder): (QueryBuilder|void)} build - Receives an empty sub-query to add filter conditions to
+	 * @returns {QueryBuilder} The current QueryBuilder instance for chaining
+	 * @throws {TypeError} When build is not a function or the sub-query uses non-filter operators
+	 * 
+	 * @example
+	 * cms.query('Posts')
+	 *    .eq('status', 'draft')
+	 *    .or(q => q.gt('views', 1000))
+	 */
+	or(build) {
+		return this.#addCondition(null, "or", this.#buildSubQuery("or", build));
+	}
+
+	/**
+	 * Adds a sub-query whose conditions are AND-ed with the current query.
+	 * Mostly useful for grouping conditions inside `or()`.
+	 * 
+	 * @param {function(QueryBuilder): (QueryBuilder|void)} build - Receives an empty sub-query to add filter conditions to
+	 * @returns {QueryBuilder} The current QueryBuilder instance for chaining
+	 * @throws {TypeError} When build is not a function or the sub-query uses non-filter operators
+	 * 
+	 * @example
+	 * cms.query('Posts')
+	 *    .eq('featured', true)
+	 *    .or(q => q.and(sub => sub.eq('status', 'published').gt('views', 100)))
+	 */
+	and(build) {
+		return this.#addCondition(null, "and", this.#buildSubQuery("and", build));
+	}
+
+	/**
+	 * Excludes items matching the sub-query's conditions.
+	 * 
+	 * @param {function(QueryBuilder): (QueryBuilder|void)} build - Receives an empty sub-query to add filter conditions to
+	 * @returns {QueryBuilder} The current QueryBuilder instance for chaining
+	 * @throws {TypeError} When build is not a function or the sub-query uses non-filter operators
+	 * 
+	 * @example
+	 * cms.query('Posts').not(q => q.eq('author', 'bot'))
+	 */
+	not(build) {
+		return this.#addCondition(null, "not", this.#buildSubQuery("not", build));
+	}
+
+	/**
+	 * Runs a sub-query callback and returns its conditions.
+	 * @private
+	 * @param {string} operator
+	 * @param {Function} build
+	 * @returns {Array<Object>}
+	 * @throws {TypeError}
+	 */
+	#buildSubQuery(operator, build) {
+		if (typeof build !== 'function') {
+			throw new TypeError(`${operator}() expects a function that builds a sub-query`);
+		}
+
+		const subQuery = new QueryBuilder(...this.#requestArgs);
+		build(subQuery);
+
+		return subQuery.#filterConditions(`${operator}()`);
+	}
+
+	/**
+	 * Returns the conditions, ensuring they are all filters.
+	 * @private
+	 * @param {string} context - Where the conditions are used, for error messages
+	 * @returns {Array<Object>}
+	 * @throws {TypeError}
+	 */
+	#filterConditions(context) {
+		const invalid = this.#conditions.find(({ operator }) => NON_FILTER_OPERATORS.includes(operator));
+
+		if (invalid) {
+			throw new TypeError(`${invalid.operator}() cannot be used with ${context}`);
+		}
+
+		return this.#conditions;
+	}
+
 	/**
 	 * @private
 	 * @param {string|null} field
@@ -270,9 +387,10 @@ export class QueryBuilder {
 	 * @param {Object} [options] - Additional options for the request
 	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
 	 * @returns {Promise<Object>} A promise resolving to the inserted item with generated ID
+	 * @throws {ValidationError} When the collection has a schema and the item does not match it
 	 */
-	async insert(item, options = DEFAULT_OPTIONS) {
-		return this.#wixRequest.insertQuery("insertQuery", item, options);
+	async insert(item, options = {}) {
+		return this.#validateAndWrite("insert", item, withDefaults(options));
 	}
 
 	/**
@@ -281,22 +399,328 @@ export class QueryBuilder {
 	 * @param {Object} item - The item to save
 	 * @param {Object} [options] - Additional options for the request
 	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
+	 * @param {Date|string|number} [options.expectedUpdatedDate] - Only save if the stored item was last
+	 *        updated at this time (usually the `_updatedDate` it was read with)
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} [options.merge] - On a conflict,
+	 *        receives the item and the stored one and returns the item to save instead (see `update()`)
 	 * @returns {Promise<Object>} A promise resolving to the saved item
+	 * @throws {ValidationError} When the collection has a schema and the item does not match it
+	 * @throws {ConflictError} When the item changed since `expectedUpdatedDate`
 	 */
-	async save(item, options = DEFAULT_OPTIONS) {
-		return this.#wixRequest.saveQuery("saveQuery", item, options);
+	async save(item, options = {}) {
+		return this.#writeOrMerge("save", item, options);
 	}
 
 	/**
 	 * Updates an existing item in the collection.
 	 * 
+	 * With `expectedUpdatedDate`, the site only updates the item if it was last updated at that
+	 * time, and otherwise rejects with a `ConflictError` holding the stored item in `current`.
+	 * With `merge` as well, a conflict instead calls `merge(item, current)` and retries with the
+	 * item it returns, up to 3 writes in all; returning nothing gives up with the conflict.
+	 * 
 	 * @param {Object} item - The item to update (must include _id field)
 	 * @param {Object} [options] - Additional options for the request
 	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
+	 * @param {Date|string|number} [options.expectedUpdatedDate] - Only update if the stored item was last
+	 *        updated at this time (usually the `_updatedDate` it was read with)
+	 * @param {function(Object, Object): (Object|void|Promise<Object|void>)} [options.merge] - On a conflict,
+	 *        receives the item and the stored one and returns the item to write instead
 	 * @returns {Promise<Object>} A promise resolving to the updated item
+	 * @throws {ValidationError} When the collection has a schema and the item does not match it
+	 * @throws {ConflictError} When the item changed since `expectedUpdatedDate` (and could not be merged)
+	 * @throws {TypeError} When `merge` is not a function, lacks `expectedUpdatedDate`, or is used in a batch
+	 *                     or with several items
+	 * 
+	 * @example
+	 * const post = await cms.query('Posts').get(id);
+	 * await cms.query('Posts').update({ ...post, title }, {
+	 *   expectedUpdatedDate: post._updatedDate,
+	 *   merge: (mine, current) => ({ ...current, title: mine.title })
+	 * });
+	 */
+	async update(item, options = {}) {
+		return this.#writeOrMerge("update", item, options);
+	}
+
+	/**
+	 * Writes an item and, when a `merge` callback is given, retries writes rejected with a
+	 * conflict using the merged item and the stored item's `_updatedDate`. Without `merge` the
+	 * write starts synchronously, as for `insert()`.
+	 * 
+	 * @private
+	 * @param {"save"|"update"} mode
+	 * @param {Object|Array<Object>} item
+	 * @param {Object} options
+	 * @returns {Promise<Object>}
+	 * @throws {TypeError|ConflictError}
+	 */
+	async #writeOrMerge(mode, item, { merge, ...options }) {
+		if (merge === undefined) {
+			return this.#validateAndWrite(mode, item, withDefaults(options));
+		}
+
+		if (typeof merge !== 'function') {
+			throw new TypeError('Merge must be a function');
+		}
+
+		if (options.expectedUpdatedDate === undefined) {
+			throw new TypeError('Merge requires an expectedUpdatedDate');
+		}
+
+		if (Array.isArray(item) || this.#requestArgs[4].batch) {
+			throw new TypeError('Merge cannot be used with bulk writes or in a batch');
+		}
+
+		let attempt = item;
+		let expectedUpdatedDate = options.expectedUpdatedDate;
+
+		for (let writes = 1; ; writes++) {
+			try {
+				return await this.#validateAndWrite(mode, attempt, withDefaults({ ...options, expectedUpdatedDate }));
+			} catch (error) {
+				// A removed (or unreadable) item cannot be merged into
+				if (!(error instanceof ConflictError) || error.current === null || writes >= MAX_MERGE_ATTEMPTS) {
+					throw error;
+				}
+
+				const merged = await merge(item, error.current);
+
+				if (merged === undefined) {
+					throw error;
+				}
+
+				attempt = merged;
+				expectedUpdatedDate = error.current._updatedDate;
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {Schema|null} The schema registered for the collection, if any
+	 */
+	#schema() {
+		return this.#schemas?.get(this.#requestArgs[0]) ?? null;
+	}
+
+	/**
+	 * @private
+	 * @param {...string} names - The hooks the operation runs
+	 * @returns {CollectionHooks|null} The collection's hooks, when any of them (or an `onError` hook) is registered
+	 */
+	#activeHooks(...names) {
+		const hooks = this.#hooks?.get(this.#requestArgs[0]);
+		return hooks && [...names, "onError"].some(name => hooks.has(name)) ? hooks : null;
+	}
+
+	/**
+	 * Runs an operation's `before*` hooks, then sends it and runs its `after*` hooks. Failures,
+	 * including vetoes, go through the `onError` hooks. In a batch, the operation keeps its
+	 * position while the hooks run.
+	 * 
+	 * @private
+	 * @param {CollectionHooks} hooks
+	 * @param {string} operation
+	 * @param {Object} options
+	 * @param {function(Object): Promise<*>} prepare - Runs the before hooks; resolves to what `send` needs
+	 * @param {function(*, Object): Promise<*>} send - Adds the request synchronously, then runs the after hooks
+	 * @returns {Promise<*>}
+	 */
+	#runHooked(hooks, operation, options, prepare, send) {
+		const context = { collection: this.#requestArgs[0], operation, options };
+		let prepared;
+		const preparation = Promise.resolve()
+			.then(() => prepare(context))
+			.then(value => { prepared = value; });
+		const run = () => send(prepared, context);
+		const { batch } = this.#requestArgs[4];
+
+		return (batch ? batch.reserve(preparation, run) : preparation.then(run))
+			.catch(error => hooks.fail(error, context));
+	}
+
+	/**
+	 * Runs an operation no other hook applies to, so that its failures still reach the `onError`
+	 * hooks. Without them the request starts synchronously.
+	 * 
+	 * @private
+	 * @param {string} operation
+	 * @param {Object} options
+	 * @param {function(): Promise<*>} send
+	 * @returns {Promise<*>}
 	 */
-	async update(item, options = DEFAULT_OPTIONS) {
-		return this.#wixRequest.update("update", item, options);
+	#runWithErrorHooks(operation, options, send) {
+		const hooks = this.#activeHooks();
+		return hooks ? this.#runHooked(hooks, operation, options, async () => {}, send) : send();
+	}
+
+	/**
+	 * @private
+	 * @param {CollectionHooks} hooks
+	 * @param {string} name
+	 * @param {Object|Array<Object>} item - An item, or several for a bulk write
+	 * @param {Object} context
+	 * @returns {Promise<Object|Array<Object>>} The item(s) returned by the hooks
+	 */
+	async #runItemHooks(hooks, name, item, context) {
+		if (!Array.isArray(item)) {
+			return hooks.run(name, item, context);
+		}
+
+		const items = [];
+		for (const entry of item) {
+			items.push(await hooks.run(name, entry, context));
+		}
+		return items;
+	}
+
+	/**
+	 * Adds the conditions of the `beforeFind` hooks to the query's, without changing the query.
+	 * 
+	 * @private
+	 * @param {CollectionHooks} hooks
+	 * @param {Object} context
+	 * @param {Array<Object>} conditions
+	 * @returns {Promise<Array<Object>>}
+	 * @throws {TypeError} When a hook adds non-filter operators
+	 */
+	async #withFindHooks(hooks, context, conditions) {
+		if (!hooks.has("beforeFind")) {
+			return conditions;
+		}
+
+		const subQuery = new QueryBuilder(...this.#requestArgs);
+		await hooks.run("beforeFind", subQuery, context);
+		const added = subQuery.#filterConditions("beforeFind hooks");
+
+		return added.length === 0 ? conditions : [...conditions, { field: null, operator: "and", value: added }];
+	}
+
+	/**
+	 * @private
+	 * @param {CollectionHooks} hooks
+	 * @param {Object} context
+	 * @param {Object|undefined} page - A result with an `items` array
+	 * @returns {Promise<Object|undefined>} The result with the items returned by the `afterFind` hooks
+	 */
+	async #withFoundItems(hooks, context, page) {
+		if (!hooks.has("afterFind") || !Array.isArray(page?.items)) {
+			return page;
+		}
+
+		return { ...page, items: await hooks.run("afterFind", page.items, context) };
+	}
+
+	/**
+	 * Runs the collection's hooks and checks the items against its schema, when there are any,
+	 * before writing them. Otherwise the write starts synchronously, so it joins a batch immediately.
+	 * 
+	 * @private
+	 * @param {"insert"|"save"|"update"} mode
+	 * @param {Object|Array<Object>} item
+	 * @param {Object} options
+	 * @returns {Promise<Object>}
+	 */
+	#validateAndWrite(mode, item, options) {
+		const schema = this.#schema();
+		const [before, after] = WRITE_HOOKS[mode];
+		const hooks = this.#activeHooks(before, after);
+
+		if (hooks) {
+			return this.#runHooked(hooks, mode, options,
+				async (context) => {
+					const prepared = await this.#runItemHooks(hooks, before, item, context);
+					await schema?.assert(prepared);
+					return prepared;
+				},
+				async (prepared, context) => {
+					const response = await this.#write(mode, prepared, options);
+					// Bulk writes report per-item results, which the after hooks do not handle
+					if (Array.isArray(prepared) || !hooks.has(after)) {
+						return response;
+					}
+					return { ...response, result: await hooks.run(after, response.result, context) };
+				});
+		}
+
+		if (!schema) {
+			return this.#write(mode, item, options);
+		}
+
+		const validation = schema.assert(item);
+		const write = () => this.#write(mode, item, options);
+		const { batch } = this.#requestArgs[4];
+
+		return batch ? batch.reserve(validation, write) : validation.then(write);
+	}
+
+	/**
+	 * @private
+	 * @param {"insert"|"save"|"update"} mode
+	 * @param {Object|Array<Object>} item
+	 * @param {Object} options
+	 * @returns {Promise<Object>}
+	 */
+	#write(mode, item, options) {
+		switch (mode) {
+			case "insert":
+				return this.#wixRequest.insertQuery("insertQuery", item, options);
+			case "save":
+				return this.#wixRequest.saveQuery("saveQuery", item, options);
+			default:
+				return this.#wixRequest.update("updateQuery", item, options);
+		}
+	}
+
+	/**
+	 * Writes the items of a bulk chunk that pass the `before*` hooks and match the schema, and
+	 * reports the others as per-item errors instead of failing the chunk.
+	 * 
+	 * @private
+	 * @param {"insert"|"save"|"update"} mode
+	 * @param {Array<Object>} chunk
+	 * @param {Object} options
+	 * @param {{schema: Schema|null, hooks: CollectionHooks|null, context: Object}} checks
+	 * @returns {Promise<Object>} The chunk's bulk result, with error indexes relative to the chunk
+	 */
+	async #writeValidItems(mode, chunk, options, { schema, hooks, context }) {
+		const valid = [];
+		const errors = [];
+
+		for (const [index, original] of chunk.entries()) {
+			let item = original;
+
+			if (hooks) {
+				try {
+					item = await hooks.run(WRITE_HOOKS[mode][0], original, context);
+				} catch (error) {
+					errors.push({ index, code: error.code ?? "hook_rejected", message: error.message, item: original });
+					continue;
+				}
+			}
+
+			const failures = schema ? await schema.validate(item) : [];
+
+			if (failures.length === 0) {
+				valid.push({ index, item });
+			} else {
+				const { code, message } = createSchemaError(failures);
+				errors.push({ index, code, message, item, errors: failures });
+			}
+		}
+
+		if (valid.length === 0) {
+			return { errors };
+		}
+
+		const result = (await this.#write(mode, valid.map(({ item }) => item), options)).result;
+
+		for (const error of result?.errors ?? []) {
+			errors.push({ ...error, index: valid[error.index ?? 0].index });
+		}
+
+		return { ...result, errors: errors.sort((a, b) => a.index - b.index) };
 	}
 
 	/**
@@ -307,8 +731,21 @@ export class QueryBuilder {
 	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
 	 * @returns {Promise<Object>} A promise resolving to the removal confirmation
 	 */
-	async remove(itemId, options = DEFAULT_OPTIONS) {
-		return this.#wixRequest.removeQuery("removeQuery", itemId, options);
+	async remove(itemId, options = {}) {
+		const requestOptions = withDefaults(options);
+		const hooks = this.#activeHooks("beforeRemove");
+
+		if (!hooks) {
+			return this.#wixRequest.removeQuery("removeQuery", itemId, requestOptions);
+		}
+
+		return this.#runHooked(hooks, "remove", requestOptions,
+			async (context) => {
+				for (const id of [itemId].flat()) {
+					await hooks.run("beforeRemove", id, context);
+				}
+			},
+			() => this.#wixRequest.removeQuery("removeQuery", itemId, requestOptions));
 	}
 
 	/**
@@ -318,8 +755,10 @@ export class QueryBuilder {
 	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
 	 * @returns {Promise<Object>} A promise resolving to the truncate confirmation
 	 */
-	async truncate(options = DEFAULT_OPTIONS) {
-		return this.#wixRequest.truncateQuery("truncateQuery", options);
+	async truncate(options = {}) {
+		const requestOptions = withDefaults(options);
+		return this.#runWithErrorHooks("truncate", requestOptions,
+			() => this.#wixRequest.truncateQuery("truncateQuery", requestOptions));
 	}
 
 	/**
@@ -327,19 +766,516 @@ export class QueryBuilder {
 	 * 
 	 * @param {Object} [options={}] - Additional options for the request
 	 * @returns {Promise<Object>} A promise resolving to the query results
-	 * @throws {Error} When the query execution fails
+	 * @throws {WixCMSError} When the query execution fails
 	 */
 	async find(options = {}) {
-		const result = await this.#wixRequest.findQuery("query", this.#conditions, options);
-		
-		if (result.status === "failed") {
-			throw new Error(
-				result.errorMessage 
-					? `Query failed: ${result.error} - ${result.errorMessage}`
-					: `Query failed: ${result.error}`
-			);
-		}
-		
-		return result;
+		const hooks = this.#activeHooks("beforeFind", "afterFind");
+
+		if (!hooks) {
+			return this.#wixRequest.findQuery("query", this.#conditions, options);
+		}
+
+		return this.#runHooked(hooks, "find", options,
+			(context) => this.#withFindHooks(hooks, context, this.#conditions),
+			async (conditions, context) => {
+				const response = await this.#wixRequest.findQuery("query", conditions, options);
+				return { ...response, result: await this.#withFoundItems(hooks, context, response.result) };
+			});
+	}
+
+	/**
+	 * Retrieves a single item by its ID.
+	 * 
+	 * @param {string} itemId - The ID of the item to retrieve
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<Object|null>} A promise resolving to the item, or null when it does not exist
+	 * @throws {TypeError} When itemId is not a non-empty string
+	 * @throws {WixCMSError} When the get operation fails
+	 * 
+	 * @example
+	 * const post = await cms.query('Posts').get('123abc');
+	 */
+	async get(itemId, options = {}) {
+		validateString(itemId, 'Item ID');
+
+		const hooks = this.#activeHooks("afterFind");
+
+		if (!hooks) {
+			const response = await this.#wixRequest.getQuery("getQuery", itemId, options);
+			return response.result ?? null;
+		}
+
+		return this.#runHooked(hooks, "get", options,
+			async () => {},
+			async (prepared, context) => {
+				const response = await this.#wixRequest.getQuery("getQuery", itemId, options);
+				const item = response.result ?? null;
+
+				if (item === null) {
+					return null;
+				}
+
+				const page = await this.#withFoundItems(hooks, context, { items: [item] });
+				return page.items[0] ?? null;
+			});
+	}
+
+	/**
+	 * Retrieves several items by their IDs, in the requested order.
+	 * 
+	 * @param {Array<string>} itemIds - The IDs of the items to retrieve
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<{items: Array<Object>, missing: Array<string>}>} A promise resolving to the
+	 *          found items (in the order of `itemIds`) and the IDs that do not exist
+	 * @throws {TypeError} When itemIds is not an array of non-empty strings
+	 * @throws {WixCMSError} When the get operation fails
+	 * 
+	 * @example
+	 * const { items, missing } = await cms.query('Posts').getMany(['a1', 'b2', 'c3']);
+	 */
+	async getMany(itemIds, options = {}) {
+		validateArray(itemIds, 'Item IDs');
+		itemIds.forEach(itemId => validateString(itemId, 'Item ID'));
+
+		if (itemIds.length === 0) {
+			return { items: [], missing: [] };
+		}
+
+		const hooks = this.#activeHooks("afterFind");
+
+		if (!hooks) {
+			const response = await this.#wixRequest.getQuery("getQuery", itemIds, options);
+			return response.result;
+		}
+
+		return this.#runHooked(hooks, "getMany", options,
+			async () => {},
+			async (prepared, context) => {
+				const response = await this.#wixRequest.getQuery("getQuery", itemIds, options);
+				return this.#withFoundItems(hooks, context, response.result);
+			});
+	}
+
+	/**
+	 * Adds references to a multi-reference field.
+	 * 
+	 * @param {string} field - The reference field on the referring item
+	 * @param {string|Object} referringItem - The item (or its ID) that holds the reference field
+	 * @param {string|Object|Array<string|Object>} referencedItem - The item(s) or ID(s) to reference
+	 * @param {Object} [options] - Additional options for the request
+	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
+	 * @returns {Promise<Object>} A promise resolving to the operation confirmation
+	 * @throws {TypeError} When any argument is invalid
+	 * 
+	 * @example
+	 * await cms.query('Posts').insertReference('tags', 'post123', ['tag1', 'tag2']);
+	 */
+	async insertReference(field, referringItem, referencedItem, options = {}) {
+		this.#validateReferenceArgs(field, referringItem, referencedItem);
+		const requestOptions = withDefaults(options);
+		return this.#runWithErrorHooks("insertReference", requestOptions,
+			() => this.#wixRequest.referenceQuery("insertReference", field, referringItem, referencedItem, requestOptions));
+	}
+
+	/**
+	 * Removes references from a multi-reference field.
+	 * 
+	 * @param {string} field - The reference field on the referring item
+	 * @param {string|Object} referringItem - The item (or its ID) that holds the reference field
+	 * @param {string|Object|Array<string|Object>} referencedItem - The item(s) or ID(s) to stop referencing
+	 * @param {Object} [options] - Additional options for the request
+	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
+	 * @returns {Promise<Object>} A promise resolving to the operation confirmation
+	 * @throws {TypeError} When any argument is invalid
+	 */
+	async removeReference(field, referringItem, referencedItem, options = {}) {
+		this.#validateReferenceArgs(field, referringItem, referencedItem);
+		const requestOptions = withDefaults(options);
+		return this.#runWithErrorHooks("removeReference", requestOptions,
+			() => this.#wixRequest.referenceQuery("removeReference", field, referringItem, referencedItem, requestOptions));
+	}
+
+	/**
+	 * Replaces all references in a multi-reference field.
+	 * 
+	 * @param {string} field - The reference field on the referring item
+	 * @param {string|Object} referringItem - The item (or its ID) that holds the reference field
+	 * @param {string|Object|Array<string|Object>} referencedItem - The item(s) or ID(s) to reference instead
+	 * @param {Object} [options] - Additional options for the request
+	 * @param {boolean} [options.suppressAuth=true] - Whether to suppress authentication
+	 * @returns {Promise<Object>} A promise resolving to the operation confirmation
+	 * @throws {TypeError} When any argument is invalid
+	 */
+	async replaceReferences(field, referringItem, referencedItem, options = {}) {
+		this.#validateReferenceArgs(field, referringItem, referencedItem);
+		const requestOptions = withDefaults(options);
+		return this.#runWithErrorHooks("replaceReferences", requestOptions,
+			() => this.#wixRequest.referenceQuery("replaceReferences", field, referringItem, referencedItem, requestOptions));
+	}
+
+	/**
+	 * Checks whether an item references another item in a reference field.
+	 * 
+	 * @param {string} field - The reference field on the referring item
+	 * @param {string|Object} referringItem - The item (or its ID) that holds the reference field
+	 * @param {string|Object} referencedItem - The item (or its ID) that may be referenced
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<boolean>} A promise resolving to whether the reference exists
+	 * @throws {TypeError} When any argument is invalid
+	 */
+	async isReferenced(field, referringItem, referencedItem, options = {}) {
+		validateString(field, 'Field');
+		validateItemReference(referringItem, 'Referring item');
+		validateItemReference(referencedItem, 'Referenced item');
+
+		const response = await this.#runWithErrorHooks("isReferenced", options,
+			() => this.#wixRequest.referenceQuery("isReferenced", field, referringItem, referencedItem, options));
+		return response.result === true;
+	}
+
+	/**
+	 * Retrieves one page of the items referenced by an item's reference field.
+	 * 
+	 * @param {string|Object} itemId - The referring item or its ID
+	 * @param {string} field - The reference field
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @param {number} [options.page=0] - The zero-based page to retrieve
+	 * @param {number} [options.pageSize] - The number of items per page (Wix defaults to 50)
+	 * @param {string} [options.order] - `'asc'` or `'desc'`
+	 * @returns {Promise<Object>} A promise resolving to the response, with `result.items` and `result.pagination`
+	 * @throws {TypeError} When any argument is invalid
+	 * 
+	 * @example
+	 * const { result } = await cms.query('Posts').queryReferenced('post123', 'tags', { pageSize: 20 });
+	 */
+	async queryReferenced(itemId, field, options = {}) {
+		validateItemReference(itemId, 'Item');
+		validateString(field, 'Field');
+
+		const { page = 0, ...queryOptions } = options;
+
+		if (!Number.isInteger(page) || page < 0) {
+			throw new TypeError('Page must be a non-negative integer');
+		}
+
+		if (queryOptions.pageSize !== undefined) {
+			validatePositiveNumber(queryOptions.pageSize, 'Page size');
+		}
+
+		return this.#runWithErrorHooks("queryReferenced", options,
+			() => this.#wixRequest.queryReferenced("queryReferenced", itemId, field, page, queryOptions));
+	}
+
+	/**
+	 * @private
+	 * @param {string} field
+	 * @param {string|Object} referringItem
+	 * @param {string|Object|Array<string|Object>} referencedItem
+	 * @throws {TypeError}
+	 */
+	#validateReferenceArgs(field, referringItem, referencedItem) {
+		validateString(field, 'Field');
+		validateItemReference(referringItem, 'Referring item');
+
+		const referenced = Array.isArray(referencedItem) ? referencedItem : [referencedItem];
+
+		if (referenced.length === 0) {
+			throw new TypeError('Referenced item must not be an empty array');
+		}
+
+		referenced.forEach(item => validateItemReference(item, 'Referenced item'));
+	}
+
+	/**
+	 * Counts the items matching the query.
+	 * 
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<number>} A promise resolving to the number of matching items
+	 * @throws {TypeError} When the query uses non-filter operators (limit, skip, sorting, include, fields)
+	 * @throws {WixCMSError} When the count operation fails
+	 * 
+	 * @example
+	 * const drafts = await cms.query('Posts').eq('status', 'draft').count();
+	 */
+	async count(options = {}) {
+		const conditions = this.#filterConditions("count()");
+		const hooks = this.#activeHooks("beforeFind");
+
+		if (!hooks) {
+			const response = await this.#wixRequest.countQuery("count", conditions, options);
+			return response.result;
+		}
+
+		return this.#runHooked(hooks, "count", options,
+			(context) => this.#withFindHooks(hooks, context, conditions),
+			async (hookedConditions) => (await this.#wixRequest.countQuery("count", hookedConditions, options)).result);
+	}
+
+	/**
+	 * Retrieves the distinct values of a field among the items matching the query.
+	 * 
+	 * @param {string} field - The field to collect distinct values from
+	 * @param {Object} [options={}] - Additional options for the request
+	 * @returns {Promise<Array<*>>} A promise resolving to the distinct values
+	 * @throws {TypeError} When field is invalid or the query uses non-filter operators
+	 * @throws {WixCMSError} When the distinct operation fails
+	 * 
+	 * @example
+	 * const authors = await cms.query('Posts').eq('status', 'published').distinct('author');
+	 */
+	async distinct(field, options = {}) {
+		validateString(field, 'Field');
+
+		const conditions = this.#filterConditions("distinct()");
+		const hooks = this.#activeHooks("beforeFind");
+
+		if (!hooks) {
+			const response = await this.#wixRequest.distinctQuery("distinct", conditions, field, options);
+			return response.result;
+		}
+
+		return this.#runHooked(hooks, "distinct", options,
+			(context) => this.#withFindHooks(hooks, context, conditions),
+			async (hookedConditions) => (await this.#wixRequest.distinctQuery("distinct", hookedConditions, field, options)).result);
 	}
+
+	/**
+	 * Starts an aggregation over the items matching the query.
+	 * 
+	 * @returns {AggregateBuilder} An aggregate builder filtered by the current conditions
+	 * @throws {TypeError} When the query uses non-filter operators (limit, skip, sorting, include, fields)
+	 * 
+	 * @example
+	 * const totals = await cms.query('Orders')
+	 *   .eq('status', 'paid')
+	 *   .aggregate()
+	 *   .group('region')
+	 *   .sum('total')
+	 *   .run();
+	 */
+	aggregate() {
+		return new AggregateBuilder(this.#wixRequest, this.#filterConditions("aggregate()"), {
+			send: (aggregation, options) => this.#sendAggregation(aggregation, options),
+			buildFilter: (build) => this.#buildSubQuery("having", build)
+		});
+	}
+
+	/**
+	 * Sends an aggregation built by `aggregate()`, with the conditions of the `beforeFind` hooks
+	 * added to its filter.
+	 * 
+	 * @private
+	 * @param {Object} aggregation
+	 * @param {Object} options
+	 * @returns {Promise<Object>}
+	 */
+	#sendAggregation(aggregation, options) {
+		const hooks = this.#activeHooks("beforeFind");
+
+		if (!hooks) {
+			return this.#wixRequest.aggregateQuery("aggregate", aggregation, options);
+		}
+
+		return this.#runHooked(hooks, "aggregate", options,
+			(context) => this.#withFindHooks(hooks, context, aggregation.filter),
+			(filter) => this.#wixRequest.aggregateQuery("aggregate", { ...aggregation, filter }, options));
+	}
+
+	/**
+	 * Iterates over every page of the query results, advancing `skip` until the
+	 * bridge reports there is no next page.
+	 * 
+	 * The page size is taken from `limit()` when set (defaults to 50), and a
+	 * `skip()` on the query is used as the starting offset.
+	 * 
+	 * @param {Object} [options={}] - Additional options for each request
+	 * @returns {AsyncGenerator<{items: Array<Object>, pagination: Object}>} An async iterator over result pages
+	 * @throws {WixCMSError} When any page request fails
+	 * 
+	 * @example
+	 * for await (const page of cms.query('Posts').limit(100).iteratePages()) {
+	 *   console.log(page.pagination.current_page, page.items.length);
+	 * }
+	 */
+	async *iteratePages(options = {}) {
+		yield* this.#pages(this.#lastConditionValue("limit") ?? DEFAULT_PAGE_SIZE, options, "iteratePages");
+	}
+
+	/**
+	 * Iterates over every item matching the query, requesting pages as needed.
+	 * 
+	 * @param {Object} [options={}] - Additional options for each request
+	 * @returns {AsyncGenerator<Object>} An async iterator over matching items
+	 * @throws {WixCMSError} When any page request fails
+	 * 
+	 * @example
+	 * for await (const post of cms.query('Posts').eq('status', 'published').iterate()) {
+	 *   console.log(post.title);
+	 * }
+	 */
+	async *iterate(options = {}) {
+		for await (const page of this.iteratePages(options)) {
+			yield* page?.items ?? [];
+		}
+	}
+
+	/**
+	 * Writes many items in chunks of bulk requests, reporting per-item failures instead of
+	 * failing the whole import. When the collection has a schema, items that do not match it are
+	 * not sent and are reported with code `schema_validation` and their failing field paths.
+	 * 
+	 * Up to `concurrency` chunks are in flight at once. After each chunk, `onProgress` receives the
+	 * running totals and a checkpoint; pass the last checkpoint back to resume an interrupted import
+	 * with the same input, skipping the items already written.
+	 * 
+	 * @param {Iterable<Object>|AsyncIterable<Object>} items - The items to write (an array, generator or stream)
+	 * @param {Object} [config={}] - Import options
+	 * @param {"insert"|"save"|"update"} [config.mode="insert"] - The bulk operation to run
+	 * @param {number} [config.chunkSize=1000] - Items per bulk request (at most 1000)
+	 * @param {number} [config.concurrency=1] - Chunks written at the same time
+	 * @param {function(Object): void} [config.onProgress] - Called after each chunk with `processed`, `inserted`,
+	 *                                                      `updated`, `skipped`, `failed` and `checkpoint`
+	 * @param {{offset: number}} [config.checkpoint] - A checkpoint from a previous run to resume from
+	 * @param {Object} [config.options] - Additional options for each request (`suppressAuth` defaults to true)
+	 * @returns {Promise<Object>} A promise resolving to the totals, the per-item `errors`
+	 *          (`{ index, code, message, item }`, indexed in the full input) and the final `checkpoint`
+	 * @throws {TypeError} When items is not iterable or an option is invalid
+	 * @throws {WixCMSError} When a chunk request fails; the last reported checkpoint can be used to resume
+	 * 
+	 * @example
+	 * const report = await cms.query('Products').bulkImport(rows, {
+	 *   concurrency: 2,
+	 *   onProgress: ({ processed, checkpoint }) => saveCheckpoint(checkpoint)
+	 * });
+	 * console.log(report.inserted, report.errors);
+	 */
+	async bulkImport(items, {
+		mode = "insert",
+		chunkSize = MAX_BULK_ITEMS,
+		concurrency = 1,
+		onProgress,
+		checkpoint,
+		options: requestOptions = {}
+	} = {}) {
+		if (typeof items !== 'object' || items === null || !(Symbol.iterator in items || Symbol.asyncIterator in items)) {
+			throw new TypeError('Items must be an iterable or async iterable');
+		}
+
+		if (!BULK_MODES.includes(mode)) {
+			throw new TypeError(`Mode must be one of: ${BULK_MODES.join(', ')}`);
+		}
+
+		validateBulkOptions({ chunkSize, concurrency, onProgress, checkpoint });
+
+		const schema = this.#schema();
+		const options = withDefaults(requestOptions);
+		const hooks = this.#activeHooks(WRITE_HOOKS[mode][0]);
+		const context = { collection: this.#requestArgs[0], operation: "bulkImport", options };
+		const write = schema || hooks
+			? (chunk) => this.#writeValidItems(mode, chunk, options, { schema, hooks, context })
+			: async (chunk) => (await this.#write(mode, chunk, options)).result;
+		const report = importInChunks(items, write, { chunkSize, concurrency, onProgress, checkpoint });
+
+		return hooks ? report.catch(error => hooks.fail(error, context)) : report;
+	}
+
+	/**
+	 * Streams every item matching the query, in pages of up to 1000 items
+	 * (or the query's `limit()`, when set).
+	 * 
+	 * @param {Object} [options={}] - Additional options for each request
+	 * @returns {AsyncGenerator<Object>} An async iterator over matching items
+	 * @throws {WixCMSError} When any page request fails
+	 * 
+	 * @example
+	 * for await (const product of cms.query('Products').ascending('_id').bulkExport()) {
+	 *   output.write(JSON.stringify(product) + '\n');
+	 * }
+	 */
+	async *bulkExport(options = {}) {
+		for await (const page of this.#pages(this.#lastConditionValue("limit") ?? MAX_BULK_ITEMS, options, "bulkExport")) {
+			yield* page?.items ?? [];
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} pageSize
+	 * @param {Object} options
+	 * @param {string} operation - The public method iterating, for hook contexts
+	 * @returns {AsyncGenerator<{items: Array<Object>, pagination: Object}>}
+	 */
+	async *#pages(pageSize, options, operation) {
+		const hooks = this.#activeHooks("beforeFind", "afterFind");
+		const context = { collection: this.#requestArgs[0], operation, options };
+
+		try {
+			yield* this.#fetchPages(pageSize, options, hooks, context);
+		} catch (error) {
+			if (!hooks) {
+				throw error;
+			}
+			await hooks.fail(error, context);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} pageSize
+	 * @param {Object} options
+	 * @param {CollectionHooks|null} hooks
+	 * @param {Object} context
+	 * @returns {AsyncGenerator<{items: Array<Object>, pagination: Object}>}
+	 */
+	async *#fetchPages(pageSize, options, hooks, context) {
+		let baseConditions = this.#conditions.filter(
+			({ operator }) => !PAGING_OPERATORS.includes(operator)
+		);
+		let offset = this.#lastConditionValue("skip") ?? 0;
+
+		if (hooks) {
+			baseConditions = await this.#withFindHooks(hooks, context, baseConditions);
+		}
+
+		while (true) {
+			const conditions = [
+				...baseConditions,
+				{ field: null, operator: "limit", value: pageSize },
+				{ field: null, operator: "skip", value: offset }
+			];
+			const response = await this.#wixRequest.findQuery("query", conditions, options);
+			// Paging advances by the items the site returned, not those the hooks kept
+			const fetched = response.result?.items?.length ?? 0;
+			const page = hooks ? await this.#withFoundItems(hooks, context, response.result) : response.result;
+
+			yield page;
+
+			if (fetched === 0 || !page.pagination?.has_next_page) {
+				return;
+			}
+
+			offset += fetched;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} operator
+	 * @returns {*} The value of the last condition using the operator, if any
+	 */
+	#lastConditionValue(operator) {
+		const condition = this.#conditions.findLast(cond => cond.operator === operator);
+		return condition?.value;
+	}
+}
+
+/**
+ * Applies the default write options under the caller's, so that passing only a
+ * `timeout` or `signal` keeps `suppressAuth` on.
+ * 
+ * @param {Object} options
+ * @returns {Object}
+ */
+function withDefaults(options) {
+	return { ...DEFAULT_OPTIONS, ...options };
 }
@@ -0,0 +1,205 @@
+import { RATE_LIMIT_CONFIG } from "../config/constants.js";
+import { RateLimitError, TimeoutError } from "./errors.js";
+import { createAbortError } from "../utils/requestHelpers.js";
+import { validatePositiveNumber } from "../utils/validation.js";
+
+/**
+ * Throttles requests with a token bucket and caps how many run at once.
+ * Requests beyond either limit wait in a FIFO queue.
+ *
+ * When a request fails with a {@link RateLimitError} carrying `retryAfter` (from the
+ * `Retry-After` header of a 429 response), the limiter holds every queued request
+ * until that time has passed, or for `maxPause` at most.
+ *
+ * @class RateLimiter
+ *
+ * @example
+ * const limiter = new RateLimiter({ requestsPerSecond: 5, burst: 10, maxConcurrent: 3 });
+ * const response = await limiter.schedule(() => fetch(url));
+ */
+export class RateLimiter {
+	#requestsPerSecond;
+	#burst;
+	#maxConcurrent;
+	#maxPause;
+	#tokens;
+	#lastRefill = Date.now();
+	#pausedUntil = 0;
+	#inFlight = 0;
+	#queue = [];
+	#timer = null;
+
+	/**
+	 * Creates a new RateLimiter instance.
+	 *
+	 * @param {Object} [options={}] - Limiter options
+	 * @param {number} [options.requestsPerSecond=10] - Rate at which the bucket refills
+	 * @param {number} [options.burst] - Bucket size, i.e. how many requests may start at once after
+	 *                                   an idle period (defaults to `requestsPerSecond`, at least 1)
+	 * @param {number} [options.maxConcurrent=5] - Maximum number of requests in flight
+	 * @param {number} [options.maxPause=10000] - Longest pause, in milliseconds, that a `Retry-After`
+	 *                                            header may impose on the queue
+	 * @throws {TypeError} When any option is invalid
+	 */
+	constructor({
+		requestsPerSecond = RATE_LIMIT_CONFIG.requestsPerSecond,
+		burst = Math.max(1, Math.floor(requestsPerSecond)),
+		maxConcurrent = RATE_LIMIT_CONFIG.maxConcurrent,
+		maxPause = RATE_LIMIT_CONFIG.maxPause
+	} = {}) {
+		validatePositiveNumber(requestsPerSecond, 'Requests per second');
+		validatePositiveNumber(maxPause, 'Max pause');
+
+		if (!Number.isInteger(burst) || burst < 1) {
+			throw new TypeError('Burst must be a positive integer');
+		}
+
+		if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+			throw new TypeError('Max concurrent must be a positive integer');
+		}
+
+		this.#requestsPerSecond = requestsPerSecond;
+		this.#burst = burst;
+		this.#maxConcurrent = maxConcurrent;
+		this.#maxPause = maxPause;
+		this.#tokens = burst;
+	}
+
+	/**
+	 * Current queue depth and capacity.
+	 *
+	 * @returns {{queued: number, inFlight: number, availableTokens: number, pausedFor: number}}
+	 *          Requests waiting, requests running, whole tokens left in the bucket, and
+	 *          milliseconds left of a `Retry-After` pause (0 when not paused)
+	 */
+	stats() {
+		const now = Date.now();
+		this.#refill(now);
+
+		return {
+			queued: this.#queue.length,
+			inFlight: this.#inFlight,
+			availableTokens: Math.floor(this.#tokens),
+			pausedFor: Math.max(0, this.#pausedUntil - now)
+		};
+	}
+
+	/**
+	 * Runs a task once the rate and concurrency limits allow it.
+	 *
+	 * A task that is still queued when its signal is aborted, or when its timeout elapses,
+	 * leaves the queue without spending a token.
+	 *
+	 * @param {function(): Promise<*>} task - The request to run
+	 * @param {Object} [options={}] - Queueing options
+	 * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+	 * @param {number} [options.timeout] - Longest wait in the queue, in milliseconds
+	 * @returns {Promise<*>} A promise settling with the task's outcome
+	 * @throws {AbortError} When the signal is aborted before the task starts
+	 * @throws {TimeoutError} When the task is still queued after the timeout
+	 */
+	schedule(task, { signal, timeout } = {}) {
+		if (signal?.aborted) {
+			return Promise.reject(createAbortError(signal));
+		}
+
+		return new Promise((resolve, reject) => {
+			const entry = { task, resolve, reject };
+			const leave = error => {
+				const index = this.#queue.indexOf(entry);
+
+				if (index !== -1) {
+					this.#queue.splice(index, 1);
+					entry.release();
+					reject(error);
+				}
+			};
+			const onAbort = () => leave(createAbortError(signal));
+			const timer = timeout === undefined
+				? null
+				: setTimeout(() => leave(new TimeoutError(`Request timeout after ${timeout}ms`, { timeout })), timeout);
+
+			entry.release = () => {
+				clearTimeout(timer);
+				signal?.removeEventListener('abort', onAbort);
+			};
+
+			signal?.addEventListener('abort', onAbort, { once: true });
+			this.#queue.push(entry);
+			this.#drain();
+		});
+	}
+
+	/**
+	 * Holds every queued request for a while, e.g. after a 429 response.
+	 * A shorter pause never cuts a longer one short.
+	 *
+	 * @param {number} ms - How long to wait, in milliseconds; capped at `maxPause`
+	 */
+	pause(ms) {
+		this.#pausedUntil = Math.max(this.#pausedUntil, Date.now() + Math.min(ms, this.#maxPause));
+		this.#drain();
+	}
+
+	/**
+	 * Starts as many queued tasks as the limits allow, and schedules the next check when
+	 * tasks are left waiting on the bucket or a pause.
+	 * @private
+	 */
+	#drain() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+
+		while (this.#queue.length > 0 && this.#inFlight < this.#maxConcurrent) {
+			const wait = this.#waitTime();
+
+			if (wait > 0) {
+				this.#timer = setTimeout(() => this.#drain(), wait);
+				return;
+			}
+
+			const { task, resolve, reject, release } = this.#queue.shift();
+			release();
+			this.#tokens -= 1;
+			this.#inFlight++;
+
+			Promise.resolve()
+				.then(task)
+				.then(resolve, error => {
+					if (error instanceof RateLimitError && error.retryAfter > 0) {
+						this.pause(error.retryAfter);
+					}
+					reject(error);
+				})
+				.finally(() => {
+					this.#inFlight--;
+					this.#drain();
+				});
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {number} Milliseconds until the next task may start
+	 */
+	#waitTime() {
+		const now = Date.now();
+
+		if (now < this.#pausedUntil) {
+			return this.#pausedUntil - now;
+		}
+
+		this.#refill(now);
+		return this.#tokens >= 1 ? 0 : Math.ceil((1 - this.#tokens) * 1000 / this.#requestsPerSecond);
+	}
+
+	/**
+	 * @private
+	 * @param {number} now
+	 */
+	#refill(now) {
+		const elapsed = now - this.#lastRefill;
+		this.#tokens = Math.min(this.#burst, this.#tokens + elapsed * this.#requestsPerSecond / 1000);
+		this.#lastRefill = now;
+	}
+}
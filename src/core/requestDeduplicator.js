@@ -0,0 +1,90 @@
+/**
+ * Shares one in-flight request between identical concurrent reads.
+ *
+ * The first read of a key starts the request; reads of the same key made before it
+ * settles wait for the same outcome instead of starting their own. Once it settles, the
+ * next read of the key starts a new request. Each caller receives its own copy of the
+ * result, so callers can modify what they get without affecting each other.
+ *
+ * @class RequestDeduplicator
+ *
+ * @example
+ * const deduplicator = new RequestDeduplicator();
+ * const [a, b] = await Promise.all([
+ *   deduplicator.run('Posts', key, () => send(request)),
+ *   deduplicator.run('Posts', key, () => send(request)) // joins the first request
+ * ]);
+ */
+export class RequestDeduplicator {
+	#pending = new Map();
+
+	/**
+	 * The number of requests in flight.
+	 *
+	 * @returns {number}
+	 */
+	get size() {
+		let size = 0;
+		for (const requests of this.#pending.values()) {
+			size += requests.size;
+		}
+		return size;
+	}
+
+	/**
+	 * Runs a read, or joins the identical read already in flight.
+	 *
+	 * @param {string} collection - The collection the read targets
+	 * @param {string} key - Identifies identical reads within the collection
+	 * @param {function(): Promise<*>} load - Sends the request
+	 * @returns {Promise<*>} A promise resolving to the caller's copy of the response
+	 */
+	async run(collection, key, load) {
+		const requests = this.#pending.get(collection) ?? new Map();
+		let entry = requests.get(key);
+
+		if (!entry) {
+			// Removed before any caller resumes, so that later reads start a new request
+			entry = {
+				callers: 0,
+				promise: Promise.resolve().then(load).finally(() => this.#delete(collection, key, entry))
+			};
+			requests.set(key, entry);
+			this.#pending.set(collection, requests);
+		}
+
+		entry.callers++;
+		const value = await entry.promise;
+
+		// The last caller to resume keeps the original, the others get copies
+		return --entry.callers === 0 ? value : structuredClone(value);
+	}
+
+	/**
+	 * Stops reads of a collection from joining the requests already in flight, e.g. after
+	 * a write that may have changed their results. Those requests still settle for their callers.
+	 *
+	 * @param {string} collection - The collection name
+	 */
+	forget(collection) {
+		this.#pending.delete(collection);
+	}
+
+	/**
+	 * @private
+	 * @param {string} collection
+	 * @param {string} key
+	 * @param {Object} entry
+	 */
+	#delete(collection, key, entry) {
+		const requests = this.#pending.get(collection);
+
+		if (requests?.get(key) === entry) {
+			requests.delete(key);
+
+			if (requests.size === 0) {
+				this.#pending.delete(collection);
+			}
+		}
+	}
+}
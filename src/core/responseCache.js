@@ -0,0 +1,230 @@
+import { CACHE_CONFIG } from "../config/constants.js";
+import { canonicalize } from "../utils/requestHelpers.js";
+import { validatePositiveNumber } from "../utils/validation.js";
+
+/**
+ * A bounded in-memory cache store that evicts the least recently used entry.
+ * This is the default store of {@link ResponseCache}; any object with the same
+ * `get`/`set`/`delete` methods (sync or async) can be used instead, e.g. a Redis adapter.
+ *
+ * @class MemoryCacheStore
+ *
+ * @example
+ * const store = new MemoryCacheStore({ maxEntries: 1000 });
+ * const cms = new WixCMS({ ..., cache: { store } });
+ */
+export class MemoryCacheStore {
+	#entries = new Map();
+	#maxEntries;
+
+	/**
+	 * Creates a new MemoryCacheStore instance.
+	 *
+	 * @param {Object} [options={}] - Store options
+	 * @param {number} [options.maxEntries=500] - Maximum number of entries kept
+	 * @throws {TypeError} When maxEntries is not a positive number
+	 */
+	constructor({ maxEntries = CACHE_CONFIG.maxEntries } = {}) {
+		validatePositiveNumber(maxEntries, 'Max entries');
+		this.#maxEntries = maxEntries;
+	}
+
+	/**
+	 * Retrieves an entry and marks it as recently used.
+	 *
+	 * @param {string} key - The cache key
+	 * @returns {Object|undefined} The cache entry, if present
+	 */
+	get(key) {
+		const entry = this.#entries.get(key);
+
+		if (entry !== undefined) {
+			this.#entries.delete(key);
+			this.#entries.set(key, entry);
+		}
+
+		return entry;
+	}
+
+	/**
+	 * Stores an entry, evicting the least recently used one when full.
+	 *
+	 * @param {string} key - The cache key
+	 * @param {Object} entry - The cache entry
+	 */
+	set(key, entry) {
+		this.#entries.delete(key);
+		this.#entries.set(key, entry);
+
+		while (this.#entries.size > this.#maxEntries) {
+			this.#entries.delete(this.#entries.keys().next().value);
+		}
+	}
+
+	/**
+	 * Removes an entry.
+	 *
+	 * @param {string} key - The cache key
+	 */
+	delete(key) {
+		this.#entries.delete(key);
+	}
+
+	/**
+	 * Removes every entry.
+	 */
+	clear() {
+		this.#entries.clear();
+	}
+}
+
+/**
+ * Caches read responses per collection, with a TTL and optional stale-while-revalidate window.
+ *
+ * Entries are keyed by collection and a canonical serialization of the request. Invalidating a
+ * collection bumps its generation, which is part of every key, so stale entries are never read
+ * again (and expire from the store on their own) without the store having to list its keys.
+ *
+ * @class ResponseCache
+ */
+export class ResponseCache {
+	#store;
+	#ttl;
+	#staleWhileRevalidate;
+	#generations = new Map();
+	#epoch = 0;
+	#revalidating = new Set();
+
+	/**
+	 * Creates a new ResponseCache instance.
+	 *
+	 * @param {Object} [options={}] - Cache options
+	 * @param {number} [options.ttl=60000] - How long entries are fresh, in milliseconds
+	 * @param {number} [options.staleWhileRevalidate=0] - How long expired entries may still be served
+	 *                                                    while being refreshed in the background, in milliseconds
+	 * @param {number} [options.maxEntries=500] - Size of the default in-memory store
+	 * @param {Object} [options.store] - A custom store with `get`, `set` and `delete` methods
+	 * @throws {TypeError} When any option is invalid
+	 */
+	constructor({
+		ttl = CACHE_CONFIG.ttl,
+		staleWhileRevalidate = CACHE_CONFIG.staleWhileRevalidate,
+		maxEntries = CACHE_CONFIG.maxEntries,
+		store
+	} = {}) {
+		validateDurations({ ttl, staleWhileRevalidate });
+
+		if (store !== undefined && (typeof store?.get !== 'function' || typeof store?.set !== 'function')) {
+			throw new TypeError('Cache store must implement get() and set()');
+		}
+
+		this.#store = store ?? new MemoryCacheStore({ maxEntries });
+		this.#ttl = ttl;
+		this.#staleWhileRevalidate = staleWhileRevalidate;
+	}
+
+	/**
+	 * Returns the cached response for a request, loading and storing it on a miss.
+	 *
+	 * @param {string} collection - The collection the request reads from
+	 * @param {*} request - The request identity (route, body), serialized into the key
+	 * @param {function(): Promise<*>} load - Loads the response from the API
+	 * @param {Object} [overrides={}] - Per-request `ttl` and `staleWhileRevalidate`
+	 * @returns {Promise<*>} The response (a copy, safe to mutate)
+	 * @throws {TypeError} When an override is invalid
+	 */
+	async fetch(collection, request, load, overrides = {}) {
+		const ttl = overrides.ttl ?? this.#ttl;
+		const staleWhileRevalidate = overrides.staleWhileRevalidate ?? this.#staleWhileRevalidate;
+		validateDurations({ ttl, staleWhileRevalidate });
+
+		const key = this.#key(collection, request);
+		const entry = await this.#store.get(key);
+		const now = Date.now();
+
+		if (entry && now < entry.expiresAt) {
+			return structuredClone(entry.value);
+		}
+
+		if (entry && now < entry.staleUntil) {
+			this.#revalidate(key, load, ttl, staleWhileRevalidate);
+			return structuredClone(entry.value);
+		}
+
+		const value = await load();
+		await this.#store.set(key, createEntry(value, ttl, staleWhileRevalidate));
+		return structuredClone(value);
+	}
+
+	/**
+	 * Invalidates every cached response of a collection.
+	 *
+	 * @param {string} collection - The collection name
+	 */
+	invalidate(collection) {
+		this.#generations.set(collection, (this.#generations.get(collection) ?? 0) + 1);
+	}
+
+	/**
+	 * Invalidates every cached response.
+	 */
+	clear() {
+		this.#epoch++;
+		this.#generations.clear();
+		this.#store.clear?.();
+	}
+
+	/**
+	 * @private
+	 * @param {string} collection
+	 * @param {*} request
+	 * @returns {string}
+	 */
+	#key(collection, request) {
+		const generation = this.#generations.get(collection) ?? 0;
+		return `wix-cms:${this.#epoch}:${collection}:${generation}:${canonicalize(request)}`;
+	}
+
+	/**
+	 * Refreshes an entry in the background, once per key at a time.
+	 * @private
+	 * @param {string} key
+	 * @param {function(): Promise<*>} load
+	 * @param {number} ttl
+	 * @param {number} staleWhileRevalidate
+	 */
+	#revalidate(key, load, ttl, staleWhileRevalidate) {
+		if (this.#revalidating.has(key)) {
+			return;
+		}
+
+		this.#revalidating.add(key);
+
+		Promise.resolve()
+			.then(load)
+			.then(value => this.#store.set(key, createEntry(value, ttl, staleWhileRevalidate)))
+			// The failed request has been logged by the client; the stale entry stays until it expires
+			.catch(() => {})
+			.finally(() => this.#revalidating.delete(key));
+	}
+}
+
+function createEntry(value, ttl, staleWhileRevalidate) {
+	const storedAt = Date.now();
+	return {
+		value,
+		storedAt,
+		expiresAt: storedAt + ttl,
+		staleUntil: storedAt + ttl + staleWhileRevalidate
+	};
+}
+
+function validateDurations({ ttl, staleWhileRevalidate }) {
+	if (typeof ttl !== 'number' || ttl < 0 || !isFinite(ttl)) {
+		throw new TypeError('Cache TTL must be a non-negative number');
+	}
+
+	if (typeof staleWhileRevalidate !== 'number' || staleWhileRevalidate < 0 || !isFinite(staleWhileRevalidate)) {
+		throw new TypeError('Stale-while-revalidate must be a non-negative number');
+	}
+}
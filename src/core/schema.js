@@ -0,0 +1,223 @@
+import { ValidationError } from "./errors.js";
+import { validateObject } from "../utils/validation.js";
+
+// Fields managed by Wix, never checked against the schema
+const SYSTEM_FIELDS = Object.freeze(["_id", "_owner", "_createdDate", "_updatedDate"]);
+
+const IMAGE_PATTERN = /^(https?:\/\/|wix:image:\/\/)/;
+
+// Type checks for the Wix field types, and the message used when a value fails them
+const FIELD_TYPES = Object.freeze({
+	text: { check: value => typeof value === 'string', message: 'must be text' },
+	number: { check: value => typeof value === 'number' && isFinite(value), message: 'must be a number' },
+	boolean: { check: value => typeof value === 'boolean', message: 'must be a boolean' },
+	date: {
+		check: value => value instanceof Date
+			? !isNaN(value.getTime())
+			: typeof value === 'string' && !isNaN(Date.parse(value)),
+		message: 'must be a date or an ISO date string'
+	},
+	reference: {
+		check: value => isNonEmptyString(value) || (isPlainObject(value) && isNonEmptyString(value._id)),
+		message: 'must be an item ID or an item with an _id'
+	},
+	image: {
+		check: value => typeof value === 'string' && IMAGE_PATTERN.test(value),
+		message: 'must be an image URL (http, https or wix:image://)'
+	},
+	array: { check: value => Array.isArray(value), message: 'must be an array' },
+	object: { check: value => isPlainObject(value), message: 'must be an object' }
+});
+
+/**
+ * Describes the fields of a collection and checks items against them before they are written.
+ *
+ * Each field is declared with a Wix field type (`text`, `number`, `boolean`, `date`, `reference`,
+ * `image`, `array` or `object`), either as the type name alone or as a definition object:
+ *
+ * - `type` — the field type
+ * - `required` — whether the field must be present (not undefined, null or an empty string)
+ * - `enum` — the only values allowed
+ * - `validate(value, item)` — a custom check (may be async) returning `true`, or `false` or an
+ *   error message when the value is invalid
+ * - `items` — the definition of each element, for `array` fields
+ * - `fields` — the nested field definitions, for `object` fields
+ *
+ * Fields not declared in the schema, and the system fields (`_id`, `_owner`, `_createdDate`,
+ * `_updatedDate`), are not checked.
+ *
+ * @class Schema
+ *
+ * @example
+ * const posts = new Schema({
+ *   title: { type: 'text', required: true },
+ *   status: { type: 'text', enum: ['draft', 'published'] },
+ *   views: { type: 'number', validate: views => views >= 0 || 'must not be negative' },
+ *   tags: { type: 'array', items: 'text' },
+ *   author: 'reference'
+ * });
+ * const errors = await posts.validate({ title: '', views: -1 });
+ * // [{ path: 'title', message: 'is required' }, { path: 'views', message: 'must not be negative' }]
+ */
+export class Schema {
+	#fields;
+
+	/**
+	 * Creates a new Schema instance.
+	 *
+	 * @param {Object<string, string|Object>} fields - The field definitions, keyed by field key
+	 * @throws {TypeError} When a field definition is invalid
+	 */
+	constructor(fields) {
+		validateObject(fields, 'Schema fields');
+		this.#fields = normalizeFields(fields, '');
+	}
+
+	/**
+	 * Checks an item against the schema.
+	 *
+	 * @param {Object} item - The item to check
+	 * @returns {Promise<Array<{path: string, message: string}>>} The failing field paths
+	 *          (e.g. `tags[2]`, `address.city`), empty when the item is valid
+	 */
+	async validate(item) {
+		if (!isPlainObject(item)) {
+			return [{ path: '', message: 'must be an object' }];
+		}
+
+		const errors = [];
+		await checkFields(this.#fields, item, item, '', errors);
+		return errors;
+	}
+
+	/**
+	 * Checks one item, or each item of an array, and throws when any is invalid.
+	 *
+	 * @param {Object|Array<Object>} items - The item or items about to be written
+	 * @returns {Promise<void>}
+	 * @throws {ValidationError} When an item is invalid; `errors` lists every failing field path
+	 *         (prefixed with the item's position, e.g. `[3].title`, for arrays)
+	 */
+	async assert(items) {
+		const errors = [];
+
+		if (Array.isArray(items)) {
+			for (const [index, item] of items.entries()) {
+				for (const error of await this.validate(item)) {
+					errors.push({ ...error, path: `[${index}]${error.path && !error.path.startsWith('[') ? '.' : ''}${error.path}` });
+				}
+			}
+		} else {
+			errors.push(...await this.validate(items));
+		}
+
+		if (errors.length > 0) {
+			throw createSchemaError(errors);
+		}
+	}
+}
+
+/**
+ * Creates the error thrown when items fail schema validation.
+ *
+ * @param {Array<{path: string, message: string}>} errors - The failing field paths
+ * @returns {ValidationError} An error with code `schema_validation` and the failures in `errors`
+ */
+export function createSchemaError(errors) {
+	const summary = errors.map(({ path, message }) => `${path || 'item'} ${message}`).join('; ');
+	return new ValidationError(`Item failed schema validation: ${summary}`, { code: 'schema_validation', errors });
+}
+
+function normalizeFields(fields, prefix) {
+	return Object.entries(fields).map(([key, definition]) => ({
+		key,
+		...normalizeDefinition(definition, `${prefix}${key}`)
+	}));
+}
+
+function normalizeDefinition(definition, path) {
+	const field = typeof definition === 'string' ? { type: definition } : definition;
+
+	if (!isPlainObject(field) || !Object.hasOwn(FIELD_TYPES, field.type)) {
+		throw new TypeError(`Schema field "${path}" must have a type: ${Object.keys(FIELD_TYPES).join(', ')}`);
+	}
+
+	if (field.enum !== undefined && !Array.isArray(field.enum)) {
+		throw new TypeError(`Schema field "${path}" enum must be an array`);
+	}
+
+	if (field.validate !== undefined && typeof field.validate !== 'function') {
+		throw new TypeError(`Schema field "${path}" validate must be a function`);
+	}
+
+	return {
+		type: field.type,
+		required: field.required === true,
+		enum: field.enum,
+		validate: field.validate,
+		items: field.type === 'array' && field.items !== undefined
+			? normalizeDefinition(field.items, `${path}[]`)
+			: undefined,
+		fields: field.type === 'object' && field.fields !== undefined
+			? normalizeFields(field.fields, `${path}.`)
+			: undefined
+	};
+}
+
+async function checkFields(fields, value, item, prefix, errors) {
+	for (const field of fields) {
+		if (SYSTEM_FIELDS.includes(field.key) && prefix === '') {
+			continue;
+		}
+
+		await checkValue(field, value[field.key], item, `${prefix}${field.key}`, errors);
+	}
+}
+
+async function checkValue(field, value, item, path, errors) {
+	if (value === undefined || value === null || value === '') {
+		if (field.required) {
+			errors.push({ path, message: 'is required' });
+		}
+		return;
+	}
+
+	const type = FIELD_TYPES[field.type];
+
+	if (!type.check(value)) {
+		errors.push({ path, message: type.message });
+		return;
+	}
+
+	if (field.enum && !field.enum.includes(value)) {
+		errors.push({ path, message: `must be one of: ${field.enum.join(', ')}` });
+		return;
+	}
+
+	if (field.validate) {
+		const outcome = await field.validate(value, item);
+
+		if (outcome === false || typeof outcome === 'string') {
+			errors.push({ path, message: typeof outcome === 'string' ? outcome : 'is invalid' });
+			return;
+		}
+	}
+
+	if (field.items) {
+		for (const [index, element] of value.entries()) {
+			await checkValue(field.items, element, item, `${path}[${index}]`, errors);
+		}
+	}
+
+	if (field.fields) {
+		await checkFields(field.fields, value, item, `${path}.`, errors);
+	}
+}
+
+function isPlainObject(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isNonEmptyString(value) {
+	return typeof value === 'string' && value.trim().length > 0;
+}
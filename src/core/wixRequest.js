@@ -1,5 +1,5 @@
-import { DEFAULT_HEADERS, HTTP_METHODS } from "../config/constants.js";
-import { validateStrings } from "../utils/validation.js";
+import { DEFAULT_HEADERS, HTTP_METHODS, LOG_EVENTS, REQUEST_TIMEOUT } from "../config/constants.js";
+import { validateDate, validateRequestControls, validateStrings, validateUrl } from "../utils/validation.js";
 import { 
   handleResponse, 
   isRetryableError, 
@@ -8,15 +8,19 @@ import {
 import { 
   fetchWithTimeout, 
   withRetry, 
-  debugLog 
+  canonicalize,
+  resolveApiBase
 } from "../utils/requestHelpers.js";
+import { signRequest } from "../utils/signing.js";
+import { runMiddleware } from "../utils/middleware.js";
+import { TimeoutError, WixCMSError } from "./errors.js";
 
 /**
  * A utility class for making HTTP requests to the Wix API.
  * Handles authentication, request formatting, response parsing, retries, and timeouts.
  * 
  * @class WixRequest
- * @throws {Error} When API requests fail or responses are invalid
+ * @throws {WixCMSError} When API requests fail or responses are invalid
  * 
  * @example
  * const wixRequest = new WixRequest('products', 'user123', 'my-site-id', 'auth-token-xyz');
@@ -26,6 +30,16 @@ export class WixRequest {
 	#collectionName;
 	#token;
 	#apiBase;
+	#signRequests;
+	#cache;
+	#batch;
+	#limiter;
+	#middleware;
+	#logger;
+	#timeout;
+	#retry;
+	#breaker;
+	#deduplicator;
 
 	/**
 	 * Creates a new WixRequest instance.
@@ -34,19 +48,50 @@ export class WixRequest {
 	 * @param {string} username - The Wix account username with access to the collection
 	 * @param {string} site - The site ID or site URL identifier
 	 * @param {string} token - Authentication token for API access
+	 * @param {Object} [options={}] - Additional connection options
+	 * @param {string} [options.baseUrl] - Full base URL of the HTTP functions; when set, username and site are ignored
+	 * @param {boolean} [options.signRequests=false] - Whether to sign requests with HMAC-SHA256 instead of sending the token
+	 * @param {import('./responseCache.js').ResponseCache} [options.cache] - Cache for read responses, invalidated by writes
+	 * @param {import('./batch.js').Batch} [options.batch] - Batch that collects the requests instead of sending them
+	 * @param {import('./rateLimiter.js').RateLimiter} [options.limiter] - Rate and concurrency limit applied to every attempt
+	 * @param {Array<Function>} [options.middleware] - `(ctx, next)` middleware wrapped around every request, outermost first
+	 * @param {import('./logger.js').Logger} [options.logger] - Logger receiving the request events
+	 * @param {number} [options.timeout=30000] - Default timeout of each attempt, in milliseconds
+	 * @param {Object|false} [options.retry] - Default retry settings (`maxAttempts`, `baseDelay`, `maxDelay`,
+	 *                                         `jitter`), or `false` to make a single attempt
+	 * @param {import('./circuitBreaker.js').CircuitBreaker} [options.circuitBreaker] - Breaker guarding every attempt
+	 * @param {import('./requestDeduplicator.js').RequestDeduplicator} [options.deduplicator] - Shares identical
+	 *                                                                                          in-flight reads
 	 * @throws {TypeError} When any parameter is invalid
 	 */
-	constructor(collectionName, username, site, token) {
+	constructor(collectionName, username, site, token, options = {}) {
 		validateStrings([
 			{ value: collectionName, fieldName: 'Collection name' },
-			{ value: username, fieldName: 'Username' },
-			{ value: site, fieldName: 'Site' },
 			{ value: token, fieldName: 'Token' }
 		]);
+
+		if (options.baseUrl !== undefined) {
+			validateUrl(options.baseUrl, 'Base URL');
+		} else {
+			validateStrings([
+				{ value: username, fieldName: 'Username' },
+				{ value: site, fieldName: 'Site' }
+			]);
+		}
 		
 		this.#collectionName = collectionName;
 		this.#token = token;
-		this.#apiBase = `https://${username}.wixsite.com/${site}/_functions`;
+		this.#apiBase = resolveApiBase({ username, site, baseUrl: options.baseUrl });
+		this.#signRequests = options.signRequests === true;
+		this.#cache = options.cache ?? null;
+		this.#batch = options.batch ?? null;
+		this.#limiter = options.limiter ?? null;
+		this.#middleware = options.middleware ?? [];
+		this.#logger = options.logger ?? null;
+		this.#timeout = options.timeout ?? REQUEST_TIMEOUT;
+		this.#retry = options.retry ?? {};
+		this.#breaker = options.circuitBreaker ?? null;
+		this.#deduplicator = options.deduplicator ?? null;
 	}
 
 	/**
@@ -56,10 +101,10 @@ export class WixRequest {
 	 * @param {Object} item - The item to insert
 	 * @param {Object} [options] - Additional options for the request
 	 * @returns {Promise<Object>} A promise resolving to the inserted item
-	 * @throws {Error} When the insert operation fails
+	 * @throws {WixCMSError} When the insert operation fails
 	 */
 	async insertQuery(route, item, options) {
-		return this.#executeQuery(route, { item, options });
+		return this.#executeWrite(route, { item, options });
 	}
 
 	/**
@@ -68,11 +113,13 @@ export class WixRequest {
 	 * @param {string} route - The API endpoint route
 	 * @param {Object} item - The item to save
 	 * @param {Object} [options] - Additional options for the request
+	 * @param {Date|string|number} [options.expectedUpdatedDate] - Only write if the stored item was last updated at this time
 	 * @returns {Promise<Object>} A promise resolving to the saved item
-	 * @throws {Error} When the save operation fails
+	 * @throws {ConflictError} When the item changed since `expectedUpdatedDate`
+	 * @throws {WixCMSError} When the save operation fails
 	 */
 	async saveQuery(route, item, options) {
-		return this.#executeQuery(route, { item, options });
+		return this.#executeWrite(route, takeExpectedDate({ item, options }));
 	}
 
 	/**
@@ -81,11 +128,13 @@ export class WixRequest {
 	 * @param {string} route - The API endpoint route
 	 * @param {Object} item - The item to update (must include _id field)
 	 * @param {Object} [options] - Additional options for the request
+	 * @param {Date|string|number} [options.expectedUpdatedDate] - Only write if the stored item was last updated at this time
 	 * @returns {Promise<Object>} A promise resolving to the updated item
-	 * @throws {Error} When the update operation fails
+	 * @throws {ConflictError} When the item changed since `expectedUpdatedDate`
+	 * @throws {WixCMSError} When the update operation fails
 	 */
 	async update(route, item, options) {
-		return this.#executeQuery(route, { item, options });
+		return this.#executeWrite(route, takeExpectedDate({ item, options }));
 	}
 
 	/**
@@ -95,10 +144,10 @@ export class WixRequest {
 	 * @param {string} itemId - The ID of the item to remove
 	 * @param {Object} [options] - Additional options for the request
 	 * @returns {Promise<Object>} A promise resolving to the removal confirmation
-	 * @throws {Error} When the remove operation fails
+	 * @throws {WixCMSError} When the remove operation fails
 	 */
 	async removeQuery(route, itemId, options) {
-		return this.#executeQuery(route, { itemId, options });
+		return this.#executeWrite(route, { itemId, options });
 	}
 
 	/**
@@ -107,10 +156,54 @@ export class WixRequest {
 	 * @param {string} route - The API endpoint route
 	 * @param {Object} [options] - Additional options for the request
 	 * @returns {Promise<Object>} A promise resolving to the truncate confirmation
-	 * @throws {Error} When the truncate operation fails
+	 * @throws {WixCMSError} When the truncate operation fails
 	 */
 	async truncateQuery(route, options) {
-		return this.#executeQuery(route, { options });
+		return this.#executeWrite(route, { options });
+	}
+
+	/**
+	 * Retrieves one item by its ID, or several items when given an array of IDs.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {string|Array<string>} itemId - The ID (or IDs) of the items to retrieve
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the retrieved item(s)
+	 * @throws {WixCMSError} When the get operation fails
+	 */
+	async getQuery(route, itemId, options) {
+		return this.#executeRead(route, { itemId, options });
+	}
+
+	/**
+	 * Runs a reference operation (insert, remove, replace or check) on a reference field.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {string} field - The reference field
+	 * @param {string|Object} referringItem - The item (or its ID) that holds the reference field
+	 * @param {string|Object|Array<string|Object>} referencedItem - The referenced item(s) or ID(s)
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the operation result
+	 * @throws {WixCMSError} When the reference operation fails
+	 */
+	async referenceQuery(route, field, referringItem, referencedItem, options) {
+		const body = { field, referringItem, referencedItem, options };
+		return route === "isReferenced" ? this.#executeRead(route, body) : this.#executeWrite(route, body);
+	}
+
+	/**
+	 * Retrieves one page of the items referenced by an item's reference field.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {string|Object} item - The referring item or its ID
+	 * @param {string} field - The reference field
+	 * @param {number} page - The zero-based page to retrieve
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the referenced items page
+	 * @throws {WixCMSError} When the query fails
+	 */
+	async queryReferenced(route, item, field, page, options) {
+		return this.#executeRead(route, { item, field, page, options });
 	}
 
 	/**
@@ -120,64 +213,312 @@ export class WixRequest {
 	 * @param {Array<Object>} conditions - The query conditions
 	 * @param {Object} [options] - Additional options for the request
 	 * @returns {Promise<Object>} A promise resolving to the query results
-	 * @throws {Error} When the query execution fails
+	 * @throws {WixCMSError} When the query execution fails
 	 */
 	async findQuery(route, conditions, options) {
-		return this.#executeQuery(route, { conditions, options });
+		return this.#executeRead(route, { conditions, options });
+	}
+
+	/**
+	 * Counts the items matching the query conditions.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {Array<Object>} conditions - The query conditions
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the count response
+	 * @throws {WixCMSError} When the count operation fails
+	 */
+	async countQuery(route, conditions, options) {
+		return this.#executeRead(route, { conditions, options });
+	}
+
+	/**
+	 * Retrieves the distinct values of a field among the items matching the query conditions.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {Array<Object>} conditions - The query conditions
+	 * @param {string} field - The field to collect distinct values from
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the distinct values response
+	 * @throws {WixCMSError} When the distinct operation fails
+	 */
+	async distinctQuery(route, conditions, field, options) {
+		return this.#executeRead(route, { conditions, field, options });
 	}
 
 	/**
-	 * Executes a query with retry logic and error handling.
+	 * Runs an aggregation on the collection.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {Object} aggregation - The aggregation definition (filter, group, operations, sort, limit, skip)
+	 * @param {Object} [options] - Additional options for the request
+	 * @returns {Promise<Object>} A promise resolving to the aggregation results
+	 * @throws {WixCMSError} When the aggregation fails
+	 */
+	async aggregateQuery(route, aggregation, options) {
+		return this.#executeRead(route, { aggregation, options });
+	}
+
+	/**
+	 * Sends several operations, possibly on other collections, in one request.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {Array<Object>} operations - The operations, each with its `route`, `collection` and payload
+	 * @param {boolean} [sequential=false] - Run the operations in order and stop at the first failure
+	 * @returns {Promise<Object>} A promise resolving to the response, with one result per operation in `result`
+	 * @throws {WixCMSError} When the batch request fails
+	 */
+	async batchQuery(route, operations, sequential = false) {
+		return this.#executeQuery(route, { operations, sequential });
+	}
+
+	/**
+	 * Retrieves the field definitions of collections.
+	 * 
+	 * @param {string} route - The API endpoint route
+	 * @param {Array<string>} [collections] - The collections to describe; omit for every readable collection
+	 * @returns {Promise<Object>} A promise resolving to the response, with the descriptions in `result.collections`
+	 * @throws {WixCMSError} When the request fails
+	 */
+	async schemaQuery(route, collections) {
+		return this.#executeQuery(route, { collections });
+	}
+
+	/**
+	 * Executes a read, serving it from the cache when one is configured.
+	 * A `cache` entry in the request options (`false` or `{ ttl, staleWhileRevalidate }`)
+	 * controls caching for this call and is not sent to the API, and neither are the
+	 * `signal`, `timeout` and `retry` entries (see #send) and `dedupe: false`, which keeps the
+	 * read from sharing an identical request in flight.
 	 * @private
 	 * @param {string} route
 	 * @param {Object} body
 	 * @returns {Promise<Object>}
-	 * @throws {Error}
-	 */
-	async #executeQuery(route, body) {
-		return withRetry(
-			async (attempt) => {
-				debugLog('WixRequest', `Attempt ${attempt}: ${HTTP_METHODS.POST} ${route}`);
-				
-				const response = await this.#makeRequest(route, HTTP_METHODS.POST, body);
-				return handleResponse(response);
-			},
-			{
-				isRetryable: isRetryableError,
-				onRetry: (error, attempt, delay) => {
-					debugLog('WixRequest', `Retrying after error: ${error.message} (waiting ${delay}ms)`);
-				}
-			}
+	 * @throws {WixCMSError}
+	 */
+	async #executeRead(route, body) {
+		const { cache: cacheOptions, dedupe, ...options } = body.options ?? {};
+		const [requestBody, controls] = takeControls({ ...body, options });
+		const load = () => this.#executeDeduplicated(route, requestBody, controls, dedupe !== false);
+
+		// Batched reads are queued synchronously, so they cannot wait on the cache
+		if (this.#batch) {
+			return this.#executeQuery(route, requestBody, controls);
+		}
+
+		if (!this.#cache || cacheOptions === false) {
+			return load();
+		}
+
+		return this.#cache.fetch(
+			this.#collectionName,
+			{ route, body: requestBody },
+			load,
+			typeof cacheOptions === 'object' ? cacheOptions : {}
+		);
+	}
+
+	/**
+	 * Executes a read, sharing the identical read already in flight when deduplication is on.
+	 * Reads with a `signal` always run on their own, so that one caller's abort never fails
+	 * another's read; reads with different timeouts or retry settings are not identical.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @param {{signal?: AbortSignal, timeout?: number, retry?: Object|false}} controls
+	 * @param {boolean} dedupe
+	 * @returns {Promise<Object>}
+	 * @throws {WixCMSError}
+	 */
+	async #executeDeduplicated(route, body, controls, dedupe) {
+		if (!this.#deduplicator || !dedupe || controls.signal) {
+			return this.#executeQuery(route, body, controls);
+		}
+
+		const { timeout, retry } = controls;
+
+		return this.#deduplicator.run(
+			this.#collectionName,
+			canonicalize({ route, body, timeout, retry }),
+			() => this.#executeQuery(route, body, controls)
 		);
 	}
 
+	/**
+	 * Executes a write and invalidates the collection's cached reads, whether or not it succeeded
+	 * (a failed bulk write may still have changed some items). Reads made during or after the
+	 * write do not join reads started before it.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @returns {Promise<Object>}
+	 * @throws {WixCMSError}
+	 */
+	async #executeWrite(route, body) {
+		const [requestBody, controls] = takeControls(body);
+		this.#deduplicator?.forget(this.#collectionName);
+
+		try {
+			return await this.#executeQuery(route, requestBody, controls);
+		} finally {
+			this.#cache?.invalidate(this.#collectionName);
+			this.#deduplicator?.forget(this.#collectionName);
+		}
+	}
+
+	/**
+	 * Executes a query through the middleware pipeline. The context passed to each middleware holds
+	 * the `collection`, `route`, `body` (without the token) and extra `headers` to send, a `state`
+	 * object for the middleware's own use and, once `next()` resolves, the parsed `response`.
+	 * Batched requests are sent by the batch, without their controls.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @param {{signal?: AbortSignal, timeout?: number, retry?: Object|false}} [controls={}]
+	 * @returns {Promise<Object>}
+	 * @throws {WixCMSError}
+	 */
+	async #executeQuery(route, body, controls = {}) {
+		if (this.#batch) {
+			return this.#batch.enqueue(this.#collectionName, route, body);
+		}
+
+		const context = {
+			collection: this.#collectionName,
+			route,
+			body: { ...body },
+			headers: {},
+			state: {},
+			response: undefined
+		};
+
+		await runMiddleware(this.#middleware, context, async (ctx) => {
+			ctx.response = await this.#send(ctx, controls);
+		});
+
+		if (context.response === undefined) {
+			throw new WixCMSError(`Middleware ended the ${route} request without a response`);
+		}
+
+		return context.response;
+	}
+
+	/**
+	 * Sends a request with retry logic and error handling, logging its start, retries,
+	 * timeouts and outcome. The call's `timeout` and `retry` settings override the
+	 * client's; its `signal` cancels the request and any pending retry.
+	 * @private
+	 * @param {{collection: string, route: string, body: Object, headers: Object}} request
+	 * @param {{signal?: AbortSignal, timeout?: number, retry?: Object|false}} controls
+	 * @returns {Promise<Object>}
+	 * @throws {WixCMSError}
+	 */
+	async #send({ collection, route, body, headers }, { signal, timeout = this.#timeout, retry }) {
+		const retryConfig = { ...retrySettings(this.#retry), ...retrySettings(retry) };
+		const startedAt = Date.now();
+		let attempts = 0;
+		let status;
+
+		this.#logger?.log('debug', LOG_EVENTS.REQUEST_START, { route, collection, ...summarizeBody(body) });
+
+		try {
+			const result = await withRetry(
+				async (attempt) => {
+					attempts = attempt;
+
+					const queuedAt = Date.now();
+					const send = async () => {
+						// Time spent in the limiter's queue counts toward the attempt's timeout
+						const left = timeout - (Date.now() - queuedAt);
+						let response;
+
+						try {
+							response = await this.#makeRequest(
+								route,
+								HTTP_METHODS.POST,
+								{ collection, ...body },
+								headers,
+								{ signal, timeout: left }
+							);
+						} catch (error) {
+							if (error instanceof TimeoutError && left < timeout) {
+								throw new TimeoutError(`Request timeout after ${timeout}ms`, { timeout, cause: error.cause });
+							}
+							throw error;
+						}
+
+						status = response.status;
+						return handleResponse(response);
+					};
+
+					const schedule = () => this.#limiter ? this.#limiter.schedule(send, { signal, timeout }) : send();
+
+					try {
+						return await (this.#breaker ? this.#breaker.execute(schedule) : schedule());
+					} catch (error) {
+						if (error instanceof TimeoutError) {
+							this.#logger?.log('warn', LOG_EVENTS.TIMEOUT, { route, collection, attempt, timeout: error.timeout });
+						}
+						throw error;
+					}
+				},
+				{
+					...retryConfig,
+					signal,
+					// Once the breaker has opened, waiting to retry would only end in a CircuitOpenError
+					isRetryable: error => isRetryableError(error) && this.#breaker?.state !== 'open',
+					onRetry: (error, attempt, delay) => {
+						this.#logger?.log('warn', LOG_EVENTS.RETRY, { route, collection, attempt, delay, status: error.status, error });
+					}
+				}
+			);
+
+			this.#logger?.log('info', LOG_EVENTS.REQUEST_END, { route, collection, attempts, status, duration: Date.now() - startedAt });
+			return result;
+		} catch (error) {
+			this.#logger?.log('error', LOG_EVENTS.ERROR, {
+				route,
+				collection,
+				attempts,
+				status: error.status,
+				duration: Date.now() - startedAt,
+				error
+			});
+			throw error;
+		}
+	}
+
 	/**
 	 * Makes an HTTP request with timeout support.
 	 * @private
 	 * @param {string} route
 	 * @param {string} method
 	 * @param {Object} [body]
+	 * @param {Object} [headers={}]
+	 * @param {{signal?: AbortSignal, timeout?: number}} [controls={}]
 	 * @returns {Promise<Response>}
-	 * @throws {Error}
+	 * @throws {WixCMSError}
 	 */
-	async #makeRequest(route, method, body) {
+	async #makeRequest(route, method, body, headers = {}, { signal, timeout = this.#timeout } = {}) {
 		const options = {
 			method,
-			headers: DEFAULT_HEADERS
+			headers: { ...DEFAULT_HEADERS, ...headers },
+			signal
 		};
 
 		if (body) {
-			options.body = JSON.stringify({
-				collection: this.#collectionName,
-				token: this.#token,
-				...body
-			});
+			// A signed request proves knowledge of the token without sending it
+			options.body = JSON.stringify(this.#signRequests ? body : { ...body, token: this.#token });
 		}
 
-		const url = `${this.#apiBase}/${route}`;
-		debugLog('WixRequest', `Request URL: ${url}`);
+		if (this.#signRequests) {
+			options.headers = {
+				...options.headers,
+				...signRequest({ secret: this.#token, method, route, body: options.body })
+			};
+		}
 
-		const response = await fetchWithTimeout(url, options);
+		const response = await fetchWithTimeout(`${this.#apiBase}/${route}`, options, timeout);
 		
 		if (!response.ok) {
 			throw await createDetailedError(response);
@@ -187,3 +528,76 @@ export class WixRequest {
 	}
 }
 
+/**
+ * Separates the options that control how a request is sent (`signal`, `timeout` and `retry`)
+ * from those sent to the API.
+ * 
+ * @param {Object} body - The request body
+ * @returns {[Object, Object]} The body without the controls, and the controls
+ * @throws {TypeError} When a control is invalid
+ */
+function takeControls(body) {
+	if (body.options === undefined) {
+		return [body, {}];
+	}
+
+	const { signal, timeout, retry, ...options } = body.options;
+	validateRequestControls({ signal, timeout, retry });
+
+	return [{ ...body, options }, { signal, timeout, retry }];
+}
+
+/**
+ * Describes a request body for the `request.start` log entry without copying its items,
+ * which may be large or hold personal data.
+ * 
+ * @param {Object} body - The request body
+ * @returns {{items?: number, options: Array<string>}} The number of items or IDs sent, if any,
+ *          and the names of the options set
+ */
+function summarizeBody(body) {
+	const items = body.item ?? body.itemId;
+	const summary = { options: Object.keys(body.options ?? {}) };
+
+	if (items !== undefined) {
+		summary.items = Array.isArray(items) ? items.length : 1;
+	}
+
+	return summary;
+}
+
+/**
+ * Moves `expectedUpdatedDate` from the options to the body, where the bridge compares it
+ * with the stored item's `_updatedDate` before writing.
+ * 
+ * @param {Object} body - The request body
+ * @returns {Object} The body, with the date as an ISO string
+ * @throws {TypeError} When the date is invalid or the write is a bulk write
+ */
+function takeExpectedDate(body) {
+	const { expectedUpdatedDate, ...options } = body.options ?? {};
+
+	if (expectedUpdatedDate === undefined) {
+		return body;
+	}
+
+	validateDate(expectedUpdatedDate, 'Expected updated date');
+
+	if (Array.isArray(body.item)) {
+		throw new TypeError('Expected updated date cannot be used with bulk writes');
+	}
+
+	return { ...body, options, expectedUpdatedDate: new Date(expectedUpdatedDate).toISOString() };
+}
+
+/**
+ * @param {Object|false} [retry] - Retry settings, or `false` for a single attempt
+ * @returns {Object} Settings for withRetry
+ */
+function retrySettings(retry) {
+	if (retry === false) {
+		return { maxAttempts: 1 };
+	}
+
+	return Object.fromEntries(Object.entries(retry ?? {}).filter(([, value]) => value !== undefined));
+}
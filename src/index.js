@@ -1,3 +1,26 @@
 export { WixCMS } from "./core/cms.js";
 export { QueryBuilder } from "./core/queryBuilder.js";
-export { WixRequest } from "./core/wixRequest.js";
\ No newline at end of file
+export { AggregateBuilder } from "./core/aggregateBuilder.js";
+export { WixRequest } from "./core/wixRequest.js";
+export { Batch } from "./core/batch.js";
+export { RateLimiter } from "./core/rateLimiter.js";
+export { ResponseCache, MemoryCacheStore } from "./core/responseCache.js";
+export { Schema } from "./core/schema.js";
+export { CircuitBreaker } from "./core/circuitBreaker.js";
+export { RequestDeduplicator } from "./core/requestDeduplicator.js";
+export { CollectionHooks } from "./core/hooks.js";
+export { Logger } from "./core/logger.js";
+export {
+  WixCMSError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  RateLimitError,
+  TimeoutError,
+  CircuitOpenError,
+  AbortError,
+  NetworkError,
+  WixDataError
+} from "./core/errors.js";
\ No newline at end of file
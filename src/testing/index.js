@@ -0,0 +1,2 @@
+export { MockBridgeServer } from "./mockServer.js";
+export { MemoryStore, WixDataStoreError } from "./memoryStore.js";
@@ -0,0 +1,609 @@
+import { randomUUID } from "node:crypto";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+/**
+ * An error shaped like the wix-data errors the bridge forwards in `errorMessage`.
+ *
+ * @class WixDataStoreError
+ * @extends Error
+ */
+export class WixDataStoreError extends Error {
+	/**
+	 * @param {string} code - The wix-data error code (e.g. `WD_ITEM_DOES_NOT_EXIST`)
+	 * @param {string} message - A human-readable description of the error
+	 */
+	constructor(code, message) {
+		super(message);
+		this.name = 'WixDataStoreError';
+		this.code = code;
+	}
+
+	/**
+	 * @returns {{code: string, message: string}} The payload sent as the bridge `errorMessage`
+	 */
+	toJSON() {
+		return { code: this.code, message: this.message };
+	}
+}
+
+/**
+ * An in-memory collection store that mimics the wix-data operations used by `http-functions.js`:
+ * queries with the SDK condition list, pagination, CRUD and bulk operations, references,
+ * count, distinct and aggregations.
+ *
+ * Collections are created on first write. Items are stored as plain JSON values, so dates
+ * compare as ISO strings.
+ *
+ * @class MemoryStore
+ *
+ * @example
+ * const store = new MemoryStore({ Posts: [{ _id: '1', title: 'Hello' }] });
+ * store.query('Posts', [{ field: 'title', operator: 'eq', value: 'Hello' }]);
+ */
+export class MemoryStore {
+	#collections = new Map();
+
+	/**
+	 * Creates a new MemoryStore instance.
+	 *
+	 * @param {Object<string, Array<Object>>} [collections={}] - Initial items per collection name
+	 */
+	constructor(collections = {}) {
+		this.reset(collections);
+	}
+
+	/**
+	 * Replaces the whole store content.
+	 *
+	 * @param {Object<string, Array<Object>>} [collections={}] - Items per collection name
+	 */
+	reset(collections = {}) {
+		this.#collections.clear();
+
+		for (const [name, items] of Object.entries(collections)) {
+			const collection = this.#collection(name);
+			items.forEach(item => {
+				const stored = this.#stamp(item);
+				collection.set(stored._id, stored);
+			});
+		}
+	}
+
+	/**
+	 * Returns the names of the collections holding, or having held, items.
+	 *
+	 * @returns {Array<string>} The collection names, in creation order
+	 */
+	collectionNames() {
+		return [...this.#collections.keys()];
+	}
+
+	/**
+	 * Returns a copy of every item in a collection, in insertion order.
+	 *
+	 * @param {string} collection - The collection name
+	 * @returns {Array<Object>} The stored items
+	 */
+	items(collection) {
+		return [...this.#collection(collection).values()].map(clone);
+	}
+
+	/**
+	 * Runs a query and returns one page in the bridge `post_query` result shape.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Array<Object>} [conditions=[]] - The SDK condition list
+	 * @returns {{items: Array<Object>, pagination: Object}} The page of results
+	 * @throws {WixDataStoreError} When a condition uses an unknown operator
+	 */
+	query(collection, conditions = []) {
+		const { filters, sort, limit, skip, fields } = splitConditions(conditions);
+		const matching = this.#filter(collection, filters);
+		const sorted = sortItems(matching, sort);
+		const pageItems = sorted.slice(skip, skip + limit).map(item => project(item, fields));
+
+		return {
+			items: pageItems,
+			pagination: {
+				// Like the bridge, which sends the page's `result.length` rather than `totalCount`
+				total_items: pageItems.length,
+				total_pages: Math.ceil(matching.length / limit),
+				per_page: limit,
+				current_page: Math.floor(skip / limit),
+				has_next_page: skip + limit < matching.length,
+				has_prev_page: skip > 0
+			}
+		};
+	}
+
+	/**
+	 * Counts the items matching filter conditions.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Array<Object>} [conditions=[]] - The SDK filter conditions
+	 * @returns {number} The number of matching items
+	 */
+	count(collection, conditions = []) {
+		return this.#filter(collection, conditions).length;
+	}
+
+	/**
+	 * Collects the distinct values of a field among the items matching filter conditions.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Array<Object>} conditions - The SDK filter conditions
+	 * @param {string} field - The field to collect values from
+	 * @returns {Array<*>} The distinct values, in order of first appearance
+	 */
+	distinct(collection, conditions, field) {
+		const values = new Map();
+
+		for (const item of this.#filter(collection, conditions ?? [])) {
+			const value = item[field];
+			if (value !== undefined && !values.has(JSON.stringify(value))) {
+				values.set(JSON.stringify(value), value);
+			}
+		}
+
+		return [...values.values()];
+	}
+
+	/**
+	 * Runs an aggregation in the SDK aggregation payload shape.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Object} [aggregation={}] - Filter, group, operations, sort, limit and skip
+	 * @returns {{items: Array<Object>, length: number}} The aggregated rows
+	 * @throws {WixDataStoreError} When an operation is unknown
+	 */
+	aggregate(collection, aggregation = {}) {
+		const { filter = [], group = [], operations = [], having = [], sort = [], limit, skip = 0 } = aggregation;
+		const groups = new Map();
+
+		for (const item of this.#filter(collection, filter)) {
+			const key = JSON.stringify(group.map(field => item[field] ?? null));
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(item);
+		}
+
+		let rows = [...groups.values()].map(items => {
+			const row = {};
+
+			if (group.length === 0) {
+				row._id = "0";
+			} else {
+				group.forEach(field => { row[field] = items[0][field] ?? null; });
+				row._id = group.length === 1 ? row[group[0]] : Object.fromEntries(group.map(field => [field, row[field]]));
+			}
+
+			for (const { operator, field, projectedField } of operations) {
+				row[projectedField ?? defaultProjection(operator, field)] = aggregateValues(operator, items, field);
+			}
+
+			return row;
+		});
+
+		rows = rows.filter(buildPredicate(having));
+		rows = sortItems(rows, sort.map(({ field, direction }) => ({ field, descending: direction === "descending" })));
+		rows = rows.slice(skip, limit === undefined ? undefined : skip + limit);
+
+		return { items: rows, length: rows.length };
+	}
+
+	/**
+	 * Retrieves an item by ID.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {string} itemId - The item ID
+	 * @returns {Object|null} The item, or null when it does not exist
+	 */
+	get(collection, itemId) {
+		const item = this.#collection(collection).get(itemId);
+		return item ? clone(item) : null;
+	}
+
+	/**
+	 * Retrieves several items by ID, in the bridge `getMany` result shape.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Array<string>} itemIds - The item IDs
+	 * @returns {{items: Array<Object>, missing: Array<string>}} The found items and missing IDs
+	 */
+	getMany(collection, itemIds) {
+		const items = this.#collection(collection);
+
+		return {
+			items: itemIds.filter(id => items.has(id)).map(id => clone(items.get(id))),
+			missing: itemIds.filter(id => !items.has(id))
+		};
+	}
+
+	/**
+	 * Inserts a new item.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Object} item - The item to insert
+	 * @returns {Object} The inserted item with its system fields
+	 * @throws {WixDataStoreError} When an item with the same ID already exists
+	 */
+	insert(collection, item) {
+		const items = this.#collection(collection);
+
+		if (item._id !== undefined && items.has(item._id)) {
+			throw new WixDataStoreError('WD_ITEM_ALREADY_EXISTS', `Item ${item._id} already exists in ${collection}`);
+		}
+
+		const stored = this.#stamp(item);
+		items.set(stored._id, stored);
+		return clone(stored);
+	}
+
+	/**
+	 * Replaces an existing item.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Object} item - The item to update (must include `_id`)
+	 * @returns {Object} The updated item
+	 * @throws {WixDataStoreError} When the item does not exist
+	 */
+	update(collection, item) {
+		const items = this.#collection(collection);
+		const existing = items.get(item?._id);
+
+		if (!existing) {
+			throw new WixDataStoreError('WD_ITEM_DOES_NOT_EXIST', `Item ${item?._id} does not exist in ${collection}`);
+		}
+
+		const stored = {
+			...clone(item),
+			_createdDate: existing._createdDate,
+			_updatedDate: new Date().toISOString()
+		};
+		items.set(stored._id, stored);
+		return clone(stored);
+	}
+
+	/**
+	 * Inserts an item, or updates it when an item with the same ID exists.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {Object} item - The item to save
+	 * @returns {Object} The saved item
+	 */
+	save(collection, item) {
+		return item._id !== undefined && this.#collection(collection).has(item._id)
+			? this.update(collection, item)
+			: this.insert(collection, item);
+	}
+
+	/**
+	 * Removes an item.
+	 *
+	 * @param {string} collection - The collection name
+	 * @param {string} itemId - The item ID
+	 * @returns {Object|null} The removed item, or null when it did not exist
+	 */
+	remove(collection, itemId) {
+		const items = this.#collection(collection);
+		const existing = items.get(itemId);
+
+		items.delete(itemId);
+		return existing ? clone(existing) : null;
+	}
+
+	/**
+	 * Removes every item from a collection.
+	 *
+	 * @param {string} collection - The collection name
+	 * @returns {null}
+	 */
+	truncate(collection) {
+		this.#collection(collection).clear();
+		return null;
+	}
+
+	/**
+	 * Runs a single-item operation over an array, in the wix-data bulk result shape.
+	 *
+	 * @param {"insert"|"save"|"update"|"remove"} operation - The operation to apply to each entry
+	 * @param {string} collection - The collection name
+	 * @param {Array<Object|string>} entries - Items (or item IDs for remove)
+	 * @returns {Object} The bulk result (`inserted`, `updated`, `removed`, `skipped`, `errors` and item ID lists)
+	 */
+	bulk(operation, collection, entries) {
+		const result = {
+			inserted: 0,
+			updated: 0,
+			removed: 0,
+			skipped: 0,
+			insertedItemIds: [],
+			updatedItemIds: [],
+			removedItemIds: [],
+			errors: []
+		};
+
+		entries.forEach((entry, index) => {
+			try {
+				if (operation === "remove") {
+					if (this.remove(collection, entry)) {
+						result.removed++;
+						result.removedItemIds.push(entry);
+					} else {
+						result.skipped++;
+					}
+					return;
+				}
+
+				const existed = entry._id !== undefined && this.#collection(collection).has(entry._id);
+				const stored = this[operation](collection, entry);
+
+				if (operation === "update" || (operation === "save" && existed)) {
+					result.updated++;
+					result.updatedItemIds.push(stored._id);
+				} else {
+					result.inserted++;
+					result.insertedItemIds.push(stored._id);
+				}
+			} catch (error) {
+				result.errors.push({ index, code: error.code, message: error.message, item: entry });
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Applies a reference operation to a multi-reference field.
+	 *
+	 * @param {"insertReference"|"removeReference"|"replaceReferences"|"isReferenced"} operation - The operation
+	 * @param {string} collection - The referring collection
+	 * @param {string} field - The reference field
+	 * @param {string|Object} referringItem - The referring item or its ID
+	 * @param {string|Object|Array<string|Object>} referencedItem - The referenced item(s) or ID(s)
+	 * @returns {boolean|null} Whether the reference exists for `isReferenced`, otherwise null
+	 * @throws {WixDataStoreError} When the referring item does not exist
+	 */
+	reference(operation, collection, field, referringItem, referencedItem) {
+		const item = this.#collection(collection).get(toId(referringItem));
+
+		if (!item) {
+			throw new WixDataStoreError('WD_ITEM_DOES_NOT_EXIST', `Item ${toId(referringItem)} does not exist in ${collection}`);
+		}
+
+		const current = Array.isArray(item[field]) ? item[field].map(toId) : [];
+		const ids = [].concat(referencedItem).map(toId);
+
+		if (operation === "isReferenced") {
+			return ids.every(id => current.includes(id));
+		}
+
+		if (operation === "insertReference") {
+			item[field] = [...current, ...ids.filter(id => !current.includes(id))];
+		} else if (operation === "removeReference") {
+			item[field] = current.filter(id => !ids.includes(id));
+		} else if (operation === "replaceReferences") {
+			item[field] = ids;
+		}
+
+		item._updatedDate = new Date().toISOString();
+		return null;
+	}
+
+	/**
+	 * Returns one page of the items referenced by an item, looked up across every collection.
+	 *
+	 * @param {string} collection - The referring collection
+	 * @param {string|Object} referringItem - The referring item or its ID
+	 * @param {string} field - The reference field
+	 * @param {number} [page=0] - The zero-based page
+	 * @param {Object} [options={}] - `pageSize` and `order` (`asc` or `desc`)
+	 * @returns {{items: Array<Object>, pagination: Object}} The page of referenced items
+	 */
+	queryReferenced(collection, referringItem, field, page = 0, options = {}) {
+		const item = this.#collection(collection).get(toId(referringItem));
+		const ids = Array.isArray(item?.[field]) ? item[field].map(toId) : [];
+		const referenced = ids
+			.map(id => [...this.#collections.values()].find(items => items.has(id))?.get(id))
+			.filter(Boolean);
+
+		if (options.order === "desc") referenced.reverse();
+
+		const perPage = options.pageSize || DEFAULT_LIMIT;
+		const start = page * perPage;
+
+		return {
+			items: referenced.slice(start, start + perPage).map(clone),
+			pagination: {
+				total_items: referenced.length,
+				total_pages: Math.ceil(referenced.length / perPage),
+				per_page: perPage,
+				current_page: page,
+				has_next_page: start + perPage < referenced.length,
+				has_prev_page: page > 0
+			}
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {string} name
+	 * @returns {Map<string, Object>}
+	 */
+	#collection(name) {
+		if (!this.#collections.has(name)) {
+			this.#collections.set(name, new Map());
+		}
+		return this.#collections.get(name);
+	}
+
+	/**
+	 * @private
+	 * @param {string} collection
+	 * @param {Array<Object>} conditions
+	 * @returns {Array<Object>}
+	 */
+	#filter(collection, conditions) {
+		const predicate = buildPredicate(conditions);
+		return [...this.#collection(collection).values()].filter(item => predicate(item));
+	}
+
+	/**
+	 * Copies an item and fills in its system fields.
+	 * @private
+	 * @param {Object} item
+	 * @returns {Object}
+	 */
+	#stamp(item) {
+		const now = new Date().toISOString();
+		return {
+			...clone(item),
+			_id: item._id ?? randomUUID(),
+			_createdDate: item._createdDate ?? now,
+			_updatedDate: item._updatedDate ?? now
+		};
+	}
+}
+
+const clone = value => structuredClone(value);
+
+const toId = value => (value && typeof value === "object" ? value._id : value);
+
+const isEmptyValue = value => value === undefined || value === null || value === "";
+
+function compare(a, b) {
+	if (isEmptyValue(a) && isEmptyValue(b)) return 0;
+	if (isEmptyValue(a)) return -1;
+	if (isEmptyValue(b)) return 1;
+	if (typeof a === "number" && typeof b === "number") return a - b;
+	return String(a).localeCompare(String(b));
+}
+
+const FILTERS = {
+	eq: (value, cond) => JSON.stringify(value) === JSON.stringify(cond.value),
+	ne: (value, cond) => JSON.stringify(value) !== JSON.stringify(cond.value),
+	gt: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) > 0,
+	gte: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) >= 0,
+	lt: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) < 0,
+	le: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) <= 0,
+	lte: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) <= 0,
+	// wix-data string matching is case-insensitive; between excludes the range end
+	contains: (value, cond) => typeof value === "string" && value.toLowerCase().includes(String(cond.value).toLowerCase()),
+	startsWith: (value, cond) => typeof value === "string" && value.toLowerCase().startsWith(String(cond.value).toLowerCase()),
+	endsWith: (value, cond) => typeof value === "string" && value.toLowerCase().endsWith(String(cond.value).toLowerCase()),
+	between: (value, cond) => !isEmptyValue(value) && compare(value, cond.value) >= 0 && compare(value, cond.extraValue) < 0,
+	hasSome: (value, cond) => [].concat(cond.value).some(expected => [].concat(value).map(toId).includes(expected)),
+	hasAll: (value, cond) => [].concat(cond.value).every(expected => [].concat(value).map(toId).includes(expected)),
+	isEmpty: value => isEmptyValue(value),
+	isNotEmpty: value => !isEmptyValue(value)
+};
+
+/**
+ * Builds a predicate from SDK filter conditions, chaining them the way wix-data does:
+ * `or()` combines everything before it with its sub-query.
+ */
+function buildPredicate(conditions) {
+	let predicate = () => true;
+
+	for (const cond of conditions) {
+		const previous = predicate;
+
+		if (["or", "and", "not"].includes(cond.operator)) {
+			const sub = buildPredicate(cond.value ?? []);
+			predicate = {
+				or: item => previous(item) || sub(item),
+				and: item => previous(item) && sub(item),
+				not: item => previous(item) && !sub(item)
+			}[cond.operator];
+			continue;
+		}
+
+		const filter = FILTERS[cond.operator];
+		if (!filter) {
+			throw new WixDataStoreError('WD_INVALID_QUERY', `Unknown operator: ${cond.operator}`);
+		}
+		predicate = item => previous(item) && filter(item[cond.field], cond);
+	}
+
+	return predicate;
+}
+
+/**
+ * Separates filters from the limit, skip, sort and projection modifiers.
+ */
+function splitConditions(conditions) {
+	const filters = [];
+	const sort = [];
+	let limit = DEFAULT_LIMIT;
+	let skip = 0;
+	let fields = null;
+
+	for (const cond of conditions) {
+		switch (cond.operator) {
+			case "limit":
+				limit = Math.min(cond.value, MAX_LIMIT);
+				break;
+			case "skip":
+				skip = cond.value;
+				break;
+			case "ascending":
+			case "descending":
+				[].concat(cond.field).forEach(field => sort.push({ field, descending: cond.operator === "descending" }));
+				break;
+			case "fields":
+				fields = [...(fields ?? []), ...[].concat(cond.field)];
+				break;
+			case "include":
+				// References are stored as IDs and are not expanded
+				break;
+			default:
+				filters.push(cond);
+		}
+	}
+
+	return { filters, sort, limit, skip, fields };
+}
+
+function sortItems(items, sort) {
+	if (sort.length === 0) return items;
+
+	return [...items].sort((a, b) => {
+		for (const { field, descending } of sort) {
+			const result = compare(a[field], b[field]);
+			if (result !== 0) return descending ? -result : result;
+		}
+		return 0;
+	});
+}
+
+function project(item, fields) {
+	if (!fields) return clone(item);
+	return clone(Object.fromEntries(
+		Object.entries(item).filter(([key]) => key === "_id" || fields.includes(key))
+	));
+}
+
+function defaultProjection(operator, field) {
+	if (operator === "count") return "count";
+	return `${field}${operator.charAt(0).toUpperCase()}${operator.slice(1)}`;
+}
+
+function aggregateValues(operator, items, field) {
+	if (operator === "count") return items.length;
+
+	const values = items.map(item => item[field]).filter(value => typeof value === "number");
+
+	switch (operator) {
+		case "sum":
+			return values.reduce((total, value) => total + value, 0);
+		case "avg":
+			return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+		case "min":
+			return values.length ? Math.min(...values) : null;
+		case "max":
+			return values.length ? Math.max(...values) : null;
+		default:
+			throw new WixDataStoreError('WD_INVALID_QUERY', `Unknown aggregation: ${operator}`);
+	}
+}
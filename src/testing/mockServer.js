@@ -0,0 +1,615 @@
+import { createServer } from "node:http";
+import { Buffer } from "node:buffer";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { MemoryStore, WixDataStoreError } from "./memoryStore.js";
+import { buildSigningString } from "../utils/signing.js";
+import { FUNCTIONS_PATH, DEV_FUNCTIONS_PATH, MAX_BATCH_OPERATIONS } from "../config/constants.js";
+
+const ROUTE_PATTERN = new RegExp(`^/(?:${FUNCTIONS_PATH}|${DEV_FUNCTIONS_PATH})/([A-Za-z]+)/?$`);
+const BULK_OPERATIONS = Object.freeze({
+	insertQuery: "insert",
+	saveQuery: "save",
+	updateQuery: "update",
+	removeQuery: "remove"
+});
+// Operations each route needs, as in http-functions.js (save can either insert or update)
+const ROUTE_OPERATIONS = Object.freeze({
+	query: ["read"],
+	getQuery: ["read"],
+	count: ["read"],
+	distinct: ["read"],
+	aggregate: ["read"],
+	isReferenced: ["read"],
+	queryReferenced: ["read"],
+	insertQuery: ["insert"],
+	saveQuery: ["insert", "update"],
+	updateQuery: ["update"],
+	insertReference: ["update"],
+	removeReference: ["update"],
+	replaceReferences: ["update"],
+	removeQuery: ["remove"],
+	truncateQuery: ["truncate"],
+	schema: ["read"]
+});
+// Fields wix-data adds to every collection
+const SYSTEM_FIELDS = Object.freeze([
+	{ key: "_id", displayName: "ID", type: "TEXT" },
+	{ key: "_owner", displayName: "Owner", type: "TEXT" },
+	{ key: "_createdDate", displayName: "Created Date", type: "DATETIME" },
+	{ key: "_updatedDate", displayName: "Updated Date", type: "DATETIME" }
+]);
+// Signed requests are accepted within this window, and their nonces remembered for as long
+const SIGNATURE_MAX_AGE = 5 * 60 * 1000;
+const SKIPPED_OPERATION = Object.freeze({
+	status: "failed",
+	error: "skipped",
+	errorMessage: "Not run because an earlier operation in the batch failed"
+});
+
+/**
+ * A local HTTP server that serves the same `_functions/*` routes and payload shapes as
+ * `http-functions.js`, backed by an in-memory {@link MemoryStore}. Point a `WixCMS` client
+ * at it with the `baseUrl` option to test CMS code without a Wix site or network access.
+ *
+ * @class MockBridgeServer
+ *
+ * @example
+ * const server = new MockBridgeServer({ token: 'test-token', collections: { Posts: [] } });
+ * const { baseUrl } = await server.start();
+ * const cms = new WixCMS({ baseUrl, token: 'test-token' });
+ * await cms.query('Posts').insert({ title: 'Hello' });
+ * await server.stop();
+ */
+export class MockBridgeServer {
+	#tokens;
+	#schemas;
+	#server = null;
+	#baseUrl = null;
+	#requests = [];
+	#nonces = new Map();
+	#faults = new Map();
+
+	/**
+	 * The store holding the mock collections.
+	 * @type {MemoryStore}
+	 */
+	store;
+
+	/**
+	 * Creates a new MockBridgeServer instance.
+	 *
+	 * @param {Object} [options={}] - Server options
+	 * @param {string} [options.token='test-token'] - The secret token the bridge accepts (plain or as signing key)
+	 *        for every operation on every collection
+	 * @param {Array<{token: string, collections: ("*"|Array<string>), operations: ("*"|Array<string>)}>} [options.tokens=[]] -
+	 *        Additional scoped tokens, as in the bridge's `API_TOKENS`; requests outside a token's scope
+	 *        are denied with a `forbidden` error
+	 * @param {Object<string, Array<Object>>} [options.collections={}] - Initial items per collection name
+	 * @param {Object<string, Array<Object>>} [options.schemas={}] - Field definitions served by the `schema` route
+	 *        per collection name, as `{ key, type, displayName, referencedCollection }` with Wix field types;
+	 *        collections without one get fields inferred from their items
+	 */
+	constructor({ token = 'test-token', tokens = [], collections = {}, schemas = {} } = {}) {
+		this.#tokens = [{ token, collections: "*", operations: "*" }, ...tokens];
+		this.#schemas = schemas;
+		this.store = new MemoryStore(collections);
+	}
+
+	/**
+	 * The base URL of the running server's HTTP functions, or null when stopped.
+	 * @type {string|null}
+	 */
+	get baseUrl() {
+		return this.#baseUrl;
+	}
+
+	/**
+	 * Every request received so far, as `{ route, headers, body }`, oldest first.
+	 * @type {Array<Object>}
+	 */
+	get requests() {
+		return [...this.#requests];
+	}
+
+	/**
+	 * Makes the next requests to a route fail or respond late, to test timeouts, retries
+	 * and rate limiting. Affected requests are still recorded in `requests`.
+	 *
+	 * @param {string} route - The route, e.g. `query`
+	 * @param {Object} [fault={}] - How to respond
+	 * @param {number} [fault.status] - Status of the failed response, e.g. 429 or 503; when omitted,
+	 *        the request is served normally after the delay
+	 * @param {Object<string, string>} [fault.headers={}] - Headers of the failed response, e.g. `retry-after`
+	 * @param {number} [fault.delay=0] - Milliseconds to wait before responding
+	 * @param {number} [fault.times=1] - How many requests to affect
+	 *
+	 * @example
+	 * server.injectFault('query', { status: 429, headers: { 'retry-after': '1' } });
+	 */
+	injectFault(route, { status, headers = {}, delay = 0, times = 1 } = {}) {
+		this.#faults.set(route, { status, headers, delay, times });
+	}
+
+	/**
+	 * Starts listening on a local port.
+	 *
+	 * @param {number} [port=0] - The port to listen on (0 picks a free port)
+	 * @returns {Promise<{baseUrl: string, port: number}>} The base URL to pass to `WixCMS`
+	 */
+	async start(port = 0) {
+		if (this.#server) {
+			return { baseUrl: this.#baseUrl, port: this.#server.address().port };
+		}
+
+		this.#server = createServer((request, response) => {
+			this.#handle(request, response).catch(error => {
+				send(response, 500, { status: "failed", error: "internal_error", errorMessage: error.message });
+			});
+		});
+
+		await new Promise((resolve, reject) => {
+			this.#server.once('error', reject);
+			this.#server.listen(port, '127.0.0.1', resolve);
+		});
+
+		const address = this.#server.address();
+		this.#baseUrl = `http://127.0.0.1:${address.port}/${FUNCTIONS_PATH}`;
+		return { baseUrl: this.#baseUrl, port: address.port };
+	}
+
+	/**
+	 * Stops the server.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		if (!this.#server) {
+			return;
+		}
+
+		const server = this.#server;
+		this.#server = null;
+		this.#baseUrl = null;
+		server.closeAllConnections?.();
+		await new Promise(resolve => server.close(() => resolve()));
+	}
+
+	/**
+	 * @private
+	 * @param {import('node:http').IncomingMessage} request
+	 * @param {import('node:http').ServerResponse} response
+	 * @returns {Promise<void>}
+	 */
+	async #handle(request, response) {
+		const match = ROUTE_PATTERN.exec(new URL(request.url, 'http://localhost').pathname);
+
+		if (request.method !== 'POST' || !match) {
+			return send(response, 404, { status: "failed", error: "not_found" });
+		}
+
+		const route = match[1];
+		const rawBody = await readBody(request);
+		let body;
+
+		try {
+			body = JSON.parse(rawBody);
+		} catch {
+			return send(response, 400, { status: "failed", error: "invalid_body" });
+		}
+
+		this.#requests.push({ route, headers: { ...request.headers }, body });
+
+		const fault = this.#takeFault(route);
+
+		if (fault) {
+			await new Promise(resolve => setTimeout(resolve, fault.delay));
+
+			if (fault.status !== undefined) {
+				return send(response, fault.status, {
+					status: "failed",
+					error: "injected_fault",
+					errorMessage: `Injected ${fault.status} response`
+				}, fault.headers);
+			}
+		}
+
+		const { entry, error } = this.#authenticate(request.headers, rawBody, body, route);
+
+		if (error) {
+			return send(response, 400, error);
+		}
+
+		if (route === "batch") {
+			return this.#handleBatch(body, entry, response);
+		}
+
+		if (route === "schema") {
+			return this.#handleSchema(body, entry, response);
+		}
+
+		const forbidden = body.collection ? authorize(entry, route, body.collection) : null;
+
+		if (forbidden) {
+			return send(response, 403, forbidden);
+		}
+
+		const outcome = hideUnreadable(entry, body.collection, this.#runOperation(route, body));
+
+		if (outcome.error === "invalid_route") {
+			return send(response, 404, { status: "failed", error: "not_found" });
+		}
+
+		return send(response, outcome.status === "success" ? 200 : 400, outcome);
+	}
+
+	/**
+	 * Consumes one use of the fault injected for a route, if any.
+	 * @private
+	 * @param {string} route
+	 * @returns {Object|null} The fault to apply to this request
+	 */
+	#takeFault(route) {
+		const fault = this.#faults.get(route);
+
+		if (!fault) {
+			return null;
+		}
+
+		if (--fault.times <= 0) {
+			this.#faults.delete(route);
+		}
+
+		return fault;
+	}
+
+	/**
+	 * Runs the operations of a batch request in order, skipping the rest after a failure
+	 * when the batch is sequential.
+	 * @private
+	 * @param {Object} body
+	 * @param {Object} entry - The token entry of the request
+	 * @param {import('node:http').ServerResponse} response
+	 */
+	#handleBatch({ operations, sequential }, entry, response) {
+		if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+			return send(response, 400, {
+				status: "failed",
+				error: "invalid_batch",
+				errorMessage: `A batch needs 1 to ${MAX_BATCH_OPERATIONS} operations`
+			});
+		}
+
+		const results = [];
+
+		for (const operation of operations) {
+			const skip = sequential && results.some(result => result.status === "failed");
+			const forbidden = operation?.collection ? authorize(entry, operation.route, operation.collection) : null;
+			results.push(skip ? SKIPPED_OPERATION : forbidden ?? hideUnreadable(
+				entry,
+				operation?.collection,
+				this.#runOperation(operation?.route, operation ?? {})
+			));
+		}
+
+		return send(response, 200, { status: "success", result: results });
+	}
+
+	/**
+	 * Describes the requested collections, or every known one, like the bridge's `post_schema`.
+	 * @private
+	 * @param {Object} body
+	 * @param {Object} entry - The token entry of the request
+	 * @param {import('node:http').ServerResponse} response
+	 */
+	#handleSchema({ collections: requested }, entry, response) {
+		if (requested !== undefined && (!Array.isArray(requested) || requested.length === 0)) {
+			return send(response, 400, {
+				status: "failed",
+				error: "invalid_body",
+				errorMessage: "collections must be a non-empty array"
+			});
+		}
+
+		for (const name of requested ?? []) {
+			const forbidden = authorize(entry, "schema", name);
+
+			if (forbidden) {
+				return send(response, 403, forbidden);
+			}
+		}
+
+		const known = [...new Set([...Object.keys(this.#schemas), ...this.store.collectionNames()])]
+			.filter(name => !authorize(entry, "schema", name));
+		const missing = (requested ?? []).find(name => !known.includes(name));
+
+		if (missing !== undefined) {
+			const error = new WixDataStoreError('WD_SCHEMA_DOES_NOT_EXIST', `Collection "${missing}" does not exist`);
+			return send(response, 400, { status: "failed", error: "operation_failed", errorMessage: error.toJSON() });
+		}
+
+		const collections = (requested ?? known).map(name => ({
+			id: name,
+			displayName: name,
+			fields: [
+				...SYSTEM_FIELDS.map(field => ({ ...field, system: true })),
+				...(this.#schemas[name] ?? inferFields(this.store.items(name))).map(field => ({
+					displayName: field.key,
+					...field,
+					system: false
+				}))
+			]
+		}));
+
+		return send(response, 200, { status: "success", result: { collections } });
+	}
+
+	/**
+	 * Runs one operation and returns its response body.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @returns {Object}
+	 */
+	#runOperation(route, body) {
+		if (!body.collection) {
+			return { status: "failed", error: "collection_not_provided" };
+		}
+
+		const conflict = this.#checkUnmodified(route, body);
+
+		if (conflict) {
+			return conflict;
+		}
+
+		try {
+			const result = this.#dispatch(route, body);
+
+			if (result === undefined) {
+				return { status: "failed", error: "invalid_route" };
+			}
+
+			return { status: "success", result: result.value };
+		} catch (error) {
+			const failure = route === "query" ? "query_failed" : "operation_failed";
+			const errorMessage = error instanceof WixDataStoreError ? error.toJSON() : { message: error.message };
+			return { status: "failed", error: failure, errorMessage };
+		}
+	}
+
+	/**
+	 * Rejects a save or update sent with `expectedUpdatedDate` when the stored item was
+	 * updated at another time, or no longer exists, like the bridge's `checkUnmodified`.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @returns {Object|null} The failure response, or null when the write may run
+	 */
+	#checkUnmodified(route, { collection, item, expectedUpdatedDate }) {
+		if (expectedUpdatedDate === undefined || (route !== "saveQuery" && route !== "updateQuery")) {
+			return null;
+		}
+
+		if (Array.isArray(item)) {
+			return { status: "failed", error: "invalid_body" };
+		}
+
+		const current = item?._id ? this.store.get(collection, item._id) : null;
+
+		if (current && Date.parse(current._updatedDate) === Date.parse(expectedUpdatedDate)) {
+			return null;
+		}
+
+		return {
+			status: "failed",
+			error: "conflict",
+			errorMessage: "The item was modified since expectedUpdatedDate",
+			currentItem: current
+		};
+	}
+
+	/**
+	 * Runs a bridge route against the store. Returns undefined for unknown routes.
+	 * @private
+	 * @param {string} route
+	 * @param {Object} body
+	 * @returns {{value: *}|undefined}
+	 */
+	#dispatch(route, body) {
+		const { collection, conditions, item, itemId, field } = body;
+
+		if (BULK_OPERATIONS[route]) {
+			const operation = BULK_OPERATIONS[route];
+			const payload = operation === "remove" ? itemId : item;
+
+			return {
+				value: Array.isArray(payload)
+					? this.store.bulk(operation, collection, payload)
+					: this.store[operation](collection, payload)
+			};
+		}
+
+		switch (route) {
+			case "query":
+				return { value: this.store.query(collection, conditions) };
+			case "truncateQuery":
+				return { value: this.store.truncate(collection) };
+			case "getQuery":
+				return {
+					value: Array.isArray(itemId)
+						? this.store.getMany(collection, itemId)
+						: this.store.get(collection, itemId)
+				};
+			case "count":
+				return { value: this.store.count(collection, conditions) };
+			case "distinct":
+				return { value: this.store.distinct(collection, conditions, field) };
+			case "aggregate":
+				return { value: this.store.aggregate(collection, body.aggregation) };
+			case "insertReference":
+			case "removeReference":
+			case "replaceReferences":
+			case "isReferenced":
+				return {
+					value: this.store.reference(route, collection, field, body.referringItem, body.referencedItem)
+				};
+			case "queryReferenced":
+				return { value: this.store.queryReferenced(collection, body.item, field, body.page, body.options) };
+			default:
+				return undefined;
+		}
+	}
+
+	/**
+	 * Accepts the plain token in the body, or a valid HMAC signature with a timestamp within
+	 * five minutes and an unused nonce, like the bridge's `verifySignature`.
+	 * @private
+	 * @param {Object} headers
+	 * @param {string} rawBody
+	 * @param {Object} body
+	 * @param {string} route
+	 * @returns {{entry: Object}|{error: Object}} The token entry of the request, or the failure response
+	 */
+	#authenticate(headers, rawBody, body, route) {
+		const signature = headers['x-wix-cms-signature'];
+
+		if (!signature) {
+			const entry = this.#tokens.find(({ token }) => safeEqual(body.token, token));
+			return entry ? { entry } : { error: { status: "failed", error: "unauthorized" } };
+		}
+
+		const timestamp = headers['x-wix-cms-timestamp'];
+		const nonce = headers['x-wix-cms-nonce'];
+
+		if (!timestamp || !nonce) {
+			return { error: { status: "failed", error: "unauthorized", errorMessage: "Missing signature headers" } };
+		}
+
+		const now = Date.now();
+
+		if (!(Math.abs(now - Number(timestamp)) <= SIGNATURE_MAX_AGE)) {
+			return { error: { status: "failed", error: "unauthorized", errorMessage: "Request timestamp is outside the allowed window" } };
+		}
+
+		const signingString = buildSigningString({ method: 'POST', route, timestamp, nonce, body: rawBody });
+		const entry = this.#tokens.find(({ token }) =>
+			safeEqual(signature, createHmac('sha256', token).update(signingString).digest('hex'))
+		);
+
+		if (!entry) {
+			return { error: { status: "failed", error: "unauthorized" } };
+		}
+
+		if (!this.#rememberNonce(nonce, now)) {
+			return { error: { status: "failed", error: "unauthorized", errorMessage: "Request nonce was already used" } };
+		}
+
+		return { entry };
+	}
+
+	/**
+	 * Records a nonce, forgetting those older than the signature window.
+	 * @private
+	 * @param {string} nonce
+	 * @param {number} now
+	 * @returns {boolean} false when the nonce was already used
+	 */
+	#rememberNonce(nonce, now) {
+		for (const [seen, expiresAt] of this.#nonces) {
+			if (expiresAt <= now) this.#nonces.delete(seen);
+		}
+
+		if (this.#nonces.has(nonce)) {
+			return false;
+		}
+
+		this.#nonces.set(nonce, now + SIGNATURE_MAX_AGE);
+		return true;
+	}
+}
+
+/**
+ * Denies routes outside a token's scope with the bridge's `forbidden` error.
+ *
+ * @param {{collections: ("*"|Array<string>), operations: ("*"|Array<string>)}} entry - The token entry
+ * @param {string} route
+ * @param {string} collection
+ * @returns {Object|null} The failure response, or null when allowed
+ */
+function authorize(entry, route, collection) {
+	const operations = ROUTE_OPERATIONS[route] ?? [];
+	const collectionAllowed = entry.collections === "*" || entry.collections.includes(collection);
+	const denied = operations.find(operation => entry.operations !== "*" && !entry.operations.includes(operation));
+
+	if (collectionAllowed && !denied) {
+		return null;
+	}
+
+	const operation = denied ?? operations[0];
+	return {
+		status: "failed",
+		error: "forbidden",
+		errorMessage: `Token is not allowed to ${operation} on collection "${collection}"`,
+		collection,
+		operation
+	};
+}
+
+/**
+ * Leaves the stored item out of a conflict response when the token may not read the collection,
+ * like the bridge's `hideUnreadable`.
+ *
+ * @param {Object} entry - The token entry
+ * @param {string} collection
+ * @param {Object} outcome - The operation's response body
+ * @returns {Object}
+ */
+function hideUnreadable(entry, collection, outcome) {
+	if (outcome.error !== "conflict" || !authorize(entry, "getQuery", collection)) {
+		return outcome;
+	}
+
+	return { ...outcome, currentItem: undefined };
+}
+
+function inferFields(items) {
+	const types = new Map();
+
+	for (const item of items) {
+		for (const [key, value] of Object.entries(item)) {
+			if (!key.startsWith('_') && value !== null && value !== undefined && !types.has(key)) {
+				types.set(key, inferType(value));
+			}
+		}
+	}
+
+	return [...types].map(([key, type]) => ({ key, type }));
+}
+
+function inferType(value) {
+	if (typeof value === 'number') return "NUMBER";
+	if (typeof value === 'boolean') return "BOOLEAN";
+	if (Array.isArray(value)) return value.every(element => typeof element === 'string') ? "ARRAY_STRING" : "ARRAY";
+	if (typeof value === 'object') return "OBJECT";
+	return "TEXT";
+}
+
+function safeEqual(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return false;
+	const bufferA = Buffer.from(a);
+	const bufferB = Buffer.from(b);
+	return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+function readBody(request) {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		request.on('data', chunk => chunks.push(chunk));
+		request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		request.on('error', reject);
+	});
+}
+
+function send(response, status, payload, headers = {}) {
+	response.writeHead(status, { ...headers, 'content-type': 'application/json' });
+	response.end(JSON.stringify(payload));
+}
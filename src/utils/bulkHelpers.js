@@ -0,0 +1,129 @@
+import { MAX_BULK_ITEMS } from "../config/constants.js";
+
+/**
+ * Validates the options of a chunked bulk import.
+ *
+ * @param {Object} options - The import options
+ * @throws {TypeError} When an option is invalid
+ */
+export function validateBulkOptions({ chunkSize, concurrency, onProgress, checkpoint }) {
+	if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_BULK_ITEMS) {
+		throw new TypeError(`Chunk size must be an integer between 1 and ${MAX_BULK_ITEMS}`);
+	}
+
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new TypeError('Concurrency must be a positive integer');
+	}
+
+	if (onProgress !== undefined && typeof onProgress !== 'function') {
+		throw new TypeError('onProgress must be a function');
+	}
+
+	if (checkpoint !== undefined && (!Number.isInteger(checkpoint?.offset) || checkpoint.offset < 0)) {
+		throw new TypeError('Checkpoint must be an object with a non-negative integer offset');
+	}
+}
+
+/**
+ * Writes items in chunks, keeping up to `concurrency` chunks in flight, and merges the
+ * per-item outcomes of each wix-data bulk result.
+ *
+ * The checkpoint offset is the number of leading input items whose chunks have all
+ * completed; passing it back skips those items on the next run. Item indexes in
+ * `errors` always refer to positions in the full input, so they stay stable across resumes.
+ *
+ * @param {Iterable<Object>|AsyncIterable<Object>} items - The items to write
+ * @param {function(Array<Object>): Promise<Object>} write - Writes one chunk and resolves to its bulk result
+ * @param {Object} options - Import options (see {@link validateBulkOptions})
+ * @param {number} options.chunkSize - Items per bulk request
+ * @param {number} options.concurrency - Chunks written at the same time
+ * @param {Function} [options.onProgress] - Called with a report after each chunk completes
+ * @param {{offset: number}} [options.checkpoint] - Where a previous run stopped
+ * @returns {Promise<Object>} The final report: `processed`, `inserted`, `updated`, `skipped`,
+ *          `errors` (`{ index, code, message, item }`) and `checkpoint`
+ * @throws {WixCMSError} When a chunk request fails; the last reported checkpoint stays valid
+ * @throws {Error} What `onProgress` throws, once the chunks in flight have settled
+ */
+export async function importInChunks(items, write, { chunkSize, concurrency, onProgress, checkpoint }) {
+	const resumeOffset = checkpoint?.offset ?? 0;
+	const report = { processed: 0, inserted: 0, updated: 0, skipped: 0, errors: [] };
+	const pending = new Map();
+	let offset = 0;
+	let dispatched = resumeOffset;
+	let failure = null;
+	let failedAt = Infinity;
+
+	const snapshot = () => ({
+		processed: report.processed,
+		inserted: report.inserted,
+		updated: report.updated,
+		skipped: report.skipped,
+		failed: report.errors.length,
+		// Every chunk before the oldest one still in flight (or failed) has completed
+		checkpoint: { offset: Math.min(dispatched, failedAt, ...pending.keys()) }
+	});
+
+	const dispatch = async (chunk, start) => {
+		const task = write(chunk).then(result => {
+			report.processed += chunk.length;
+			report.inserted += result?.inserted ?? 0;
+			report.updated += result?.updated ?? 0;
+			report.skipped += result?.skipped ?? 0;
+
+			for (const error of result?.errors ?? []) {
+				report.errors.push({ ...error, index: start + (error.index ?? 0) });
+			}
+		}).catch(error => {
+			failure ??= error;
+			failedAt = Math.min(failedAt, start);
+		}).finally(() => {
+			pending.delete(start);
+
+			try {
+				onProgress?.(snapshot());
+			} catch (error) {
+				// Stop dispatching, but let the chunks in flight settle before rethrowing
+				failure ??= error;
+			}
+		});
+
+		pending.set(start, task);
+		dispatched = start + chunk.length;
+
+		if (pending.size >= concurrency) {
+			await Promise.race(pending.values());
+		}
+	};
+
+	let chunk = [];
+
+	for await (const item of items) {
+		if (failure) {
+			break;
+		}
+
+		if (offset++ < resumeOffset) {
+			continue;
+		}
+
+		chunk.push(item);
+
+		if (chunk.length === chunkSize) {
+			await dispatch(chunk, offset - chunk.length);
+			chunk = [];
+		}
+	}
+
+	if (chunk.length > 0 && !failure) {
+		await dispatch(chunk, offset - chunk.length);
+	}
+
+	await Promise.all(pending.values());
+
+	if (failure) {
+		throw failure;
+	}
+
+	const { checkpoint: finalCheckpoint } = snapshot();
+	return { ...report, checkpoint: finalCheckpoint };
+}
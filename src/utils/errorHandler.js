@@ -1,27 +1,66 @@
+import {
+  WixCMSError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  RateLimitError,
+  TimeoutError,
+  NetworkError,
+  WixDataError
+} from "../core/errors.js";
+
+const NOT_FOUND_CODES = Object.freeze(['WD_SCHEMA_DOES_NOT_EXIST', 'WD_ITEM_DOES_NOT_EXIST']);
+const AUTH_CODES = Object.freeze(['unauthorized', 'WD_PERMISSION_DENIED']);
+const VALIDATION_CODES = Object.freeze([
+  'WD_VALIDATION_ERROR',
+  'WD_INVALID_QUERY',
+  'invalid_body',
+  'invalid_operator',
+  'collection_not_provided',
+  'field_not_provided',
+  'invalid_route',
+  'invalid_batch'
+]);
+
 /**
  * Handles API responses uniformly across the SDK.
- * 
+ *
  * @param {Response} response - The fetch Response object
  * @returns {Promise<Object>} Parsed and validated response data
- * @throws {Error} When response format is invalid or status is 'failed'
+ * @throws {WixCMSError} When response format is invalid or status is 'failed'
  */
 export async function handleResponse(response) {
-  const data = await response.json();
+  let data;
+
+  try {
+    data = await response.json();
+  } catch (cause) {
+    throw new WixCMSError('Invalid response format from Wix API', { status: response.status, cause });
+  }
 
   if (!data || typeof data.status !== 'string') {
-    throw new Error('Invalid response format from Wix API');
+    throw new WixCMSError('Invalid response format from Wix API', { status: response.status, body: data });
   }
 
   if (data.status === 'failed') {
-    const msg = data.errorMessage || data.error || 'Unknown error';
-    const error = new Error(`Wix API Error: ${formatErrorMessage(msg)}`);
-    error.wixError = data;
-    throw error;
+    throw createApiError({ status: response.status, body: data });
   }
 
   return data;
 }
 
+/**
+ * Creates the typed error for a failed operation inside a batch response.
+ *
+ * @param {Object} result - The operation's `{ status: 'failed', error, errorMessage }` result
+ * @returns {WixCMSError} The matching typed error
+ */
+export function createOperationError(result) {
+  return createApiError({ body: result });
+}
+
 /**
  * Formats error messages from Wix API.
  * @private
@@ -32,15 +71,15 @@ function formatErrorMessage(msg) {
     const code = msg.details?.applicationError?.code;
     const description = msg.details?.applicationError?.description;
     const errorCode = msg.code;
-    
+
     if (description) {
       return description;
     }
-    
+
     if (code) {
       return `${code}: ${msg.name || 'Error'}`;
     }
-    
+
     if (errorCode) {
       // Mensagens amigáveis para códigos comuns
       const friendlyMessages = {
@@ -48,21 +87,123 @@ function formatErrorMessage(msg) {
         'WD_PERMISSION_DENIED': 'Permission denied. Check your API token and collection permissions.',
         'WD_INVALID_QUERY': 'Invalid query syntax.',
       };
-      
+
       return friendlyMessages[errorCode] || `Error code: ${errorCode}`;
     }
+
+    if (msg.message) {
+      return msg.message;
+    }
   }
-  
+
   return typeof msg === 'string' ? msg : JSON.stringify(msg);
 }
 
+/**
+ * Extracts the wix-data error code (e.g. `WD_ITEM_DOES_NOT_EXIST`) from a bridge error payload.
+ * @private
+ */
+function getWixDataCode(errorMessage) {
+  if (typeof errorMessage !== 'object' || errorMessage === null) {
+    return undefined;
+  }
+
+  return errorMessage.details?.applicationError?.code ?? errorMessage.code;
+}
+
+/**
+ * Parses a `Retry-After` header (seconds or HTTP date) into milliseconds.
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Picks the error class matching a failed API call, from the wix-data code,
+ * the bridge error code and the HTTP status.
+ * @private
+ * @param {Object} failure
+ * @param {number} [failure.status]
+ * @param {string} [failure.statusText]
+ * @param {*} [failure.body]
+ * @param {Headers} [failure.headers]
+ * @returns {WixCMSError}
+ */
+function createApiError({ status, statusText, body, headers }) {
+  const bridgeCode = typeof body?.error === 'string' ? body.error : undefined;
+  const wixDataCode = getWixDataCode(body?.errorMessage);
+  const code = wixDataCode ?? bridgeCode;
+
+  let message = status ? `HTTP ${status}: ${statusText ?? ''}`.trim() : 'Unknown error';
+  if (body?.errorMessage) {
+    message = formatErrorMessage(body.errorMessage);
+  } else if (body?.error) {
+    message = formatErrorMessage(body.error);
+  }
+
+  const details = { status, code, body };
+
+  if (bridgeCode === 'forbidden') {
+    return new ForbiddenError(body.errorMessage || 'Operation not allowed for this token', {
+      ...details,
+      collection: body.collection,
+      operation: body.operation
+    });
+  }
+
+  if (bridgeCode === 'conflict') {
+    return new ConflictError(message, { ...details, current: body.currentItem });
+  }
+
+  if (NOT_FOUND_CODES.includes(code)) {
+    return new NotFoundError(message, details);
+  }
+
+  if (AUTH_CODES.includes(code) || status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+
+  if (VALIDATION_CODES.includes(code)) {
+    return new ValidationError(message, details);
+  }
+
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(headers?.get?.('retry-after')) });
+  }
+
+  if (wixDataCode) {
+    return new WixDataError(message, details);
+  }
+
+  if (status === 404) {
+    return new NotFoundError(message, details);
+  }
+
+  return new WixCMSError(message, details);
+}
+
 /**
  * Determines if an error is retryable.
- * 
+ *
  * @param {Error} error - The error to check
  * @returns {boolean} true if the error is retryable
  */
 export function isRetryableError(error) {
+  if (error instanceof TimeoutError || error instanceof NetworkError || error instanceof RateLimitError) {
+    return true;
+  }
+
   // Não retentar erros de validação/cliente (4xx exceto 429 e 408)
   if (error.status) {
     if (error.status >= 400 && error.status < 500) {
@@ -72,38 +213,40 @@ export function isRetryableError(error) {
       }
     }
   }
-  
-  // Network errors
-  if (error.message?.includes('timeout')) return true;
-  if (error.message?.includes('network')) return true;
-  if (error.message?.includes('fetch')) return true;
-  if (error.message?.includes('ECONNREFUSED')) return true;
-  if (error.message?.includes('ETIMEDOUT')) return true;
-  
+
+  // Network errors not raised by the SDK itself
+  if (!(error instanceof WixCMSError)) {
+    if (error.message?.includes('timeout')) return true;
+    if (error.message?.includes('network')) return true;
+    if (error.message?.includes('fetch')) return true;
+    if (error.message?.includes('ECONNREFUSED')) return true;
+    if (error.message?.includes('ETIMEDOUT')) return true;
+  }
+
   // HTTP status codes that should be retried
   if (error.status) {
     // 429 Too Many Requests
     if (error.status === 429) return true;
-    
+
     // 408 Request Timeout
     if (error.status === 408) return true;
-    
+
     // 5xx Server Errors
     if (error.status >= 500 && error.status < 600) return true;
   }
-  
+
   return false;
 }
 
 /**
  * Creates a detailed error object from a failed Response.
- * 
+ *
  * @param {Response} response - The failed fetch Response
- * @returns {Promise<Error>} A detailed error object
+ * @returns {Promise<WixCMSError>} A typed error carrying `status`, `statusText`, `url`, `code` and `body`
  */
 export async function createDetailedError(response) {
   let body = null;
-  
+
   try {
     body = await response.json();
   } catch {
@@ -113,21 +256,15 @@ export async function createDetailedError(response) {
       body = null;
     }
   }
-  
-  // Criar mensagem de erro amigável
-  let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-  
-  if (body?.errorMessage) {
-    errorMessage = formatErrorMessage(body.errorMessage);
-  } else if (body?.error) {
-    errorMessage = formatErrorMessage(body.error);
-  }
-  
-  const error = new Error(errorMessage);
-  error.status = response.status;
+
+  const error = createApiError({
+    status: response.status,
+    statusText: response.statusText,
+    body,
+    headers: response.headers
+  });
   error.statusText = response.statusText;
   error.url = response.url;
-  error.body = body;
-  
+
   return error;
 }
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Runs a context through an onion-style middleware pipeline.
+ *
+ * Each middleware receives the context and a `next` function that runs the rest of the
+ * pipeline, ending with `handler`. Code before `await next()` sees the outgoing request,
+ * code after it sees the response, and a `try`/`catch` around it sees the errors of
+ * everything inside.
+ *
+ * @param {Array<function(Object, function(): Promise<void>): *>} middleware - The middleware, outermost first
+ * @param {Object} context - The context shared by every middleware and the handler
+ * @param {function(Object): Promise<void>} handler - The innermost step
+ * @returns {Promise<void>} Settles once the outermost middleware has finished
+ * @throws {Error} When a middleware calls `next()` more than once, or rethrows an error
+ *
+ * @example
+ * await runMiddleware([
+ *   async (ctx, next) => { ctx.headers['x-trace-id'] = traceId(); await next(); }
+ * ], context, async ctx => { ctx.response = await send(ctx); });
+ */
+export async function runMiddleware(middleware, context, handler) {
+	const dispatch = async (index) => {
+		if (index === middleware.length) {
+			return handler(context);
+		}
+
+		let called = false;
+		await middleware[index](context, () => {
+			if (called) {
+				return Promise.reject(new Error('next() called more than once by the same middleware'));
+			}
+			called = true;
+			return dispatch(index + 1);
+		});
+	};
+
+	await dispatch(0);
+}
@@ -1,13 +1,55 @@
-import { REQUEST_TIMEOUT, RETRY_CONFIG } from "../config/constants.js";
+import { 
+	REQUEST_TIMEOUT, 
+	RETRY_CONFIG, 
+	FUNCTIONS_PATH, 
+	DEV_FUNCTIONS_PATH 
+} from "../config/constants.js";
+import { AbortError, NetworkError, TimeoutError } from "../core/errors.js";
+
+/**
+ * Resolves the base URL of a site's HTTP functions.
+ * 
+ * Precedence: an explicit `baseUrl` is used as is; otherwise `domain` targets a
+ * connected custom domain; otherwise the free `username.wixsite.com/site` URL is used.
+ * 
+ * @param {Object} config - Connection settings
+ * @param {string} [config.username] - The Wix account username
+ * @param {string} [config.site] - The site ID or site URL identifier
+ * @param {string} [config.baseUrl] - Full base URL of the HTTP functions
+ * @param {string} [config.domain] - Custom domain serving the site (e.g. `www.example.com`)
+ * @param {string} [config.functionsPath] - Path of the HTTP functions (defaults to `_functions`)
+ * @param {boolean} [config.dev=false] - Whether to target the `_functions-dev` test endpoint
+ * @returns {string} The base URL, without a trailing slash
+ * 
+ * @example
+ * resolveApiBase({ domain: 'www.example.com', dev: true });
+ * // => 'https://www.example.com/_functions-dev'
+ */
+export function resolveApiBase({ username, site, baseUrl, domain, functionsPath, dev = false }) {
+	if (baseUrl) {
+		return baseUrl.replace(/\/+$/, '');
+	}
+
+	const path = (functionsPath ?? (dev ? DEV_FUNCTIONS_PATH : FUNCTIONS_PATH)).replace(/^\/+|\/+$/g, '');
+
+	if (domain) {
+		return `https://${domain}/${path}`;
+	}
+
+	return `https://${username}.wixsite.com/${site}/${path}`;
+}
 
 /**
  * Makes a fetch request with a timeout.
  * 
  * @param {string} url - The URL to fetch
  * @param {Object} options - Fetch options
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
  * @param {number} [timeout=REQUEST_TIMEOUT] - Timeout in milliseconds
  * @returns {Promise<Response>} The fetch response
- * @throws {Error} When the request times out
+ * @throws {TimeoutError} When the request times out
+ * @throws {AbortError} When the signal is aborted
+ * @throws {NetworkError} When the site cannot be reached
  * 
  * @example
  * const response = await fetchWithTimeout('https://api.example.com/data', {
@@ -16,25 +58,33 @@ import { REQUEST_TIMEOUT, RETRY_CONFIG } from "../config/constants.js";
  * }, 5000);
  */
 export async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIMEOUT) {
+	const { signal, ...fetchOptions } = options;
 	const controller = new AbortController();
 	const timeoutId = setTimeout(() => controller.abort(), timeout);
+	const abort = () => controller.abort();
+
+	signal?.addEventListener('abort', abort, { once: true });
 
 	try {
-		const response = await fetch(url, {
-			...options,
+		signal?.throwIfAborted();
+
+		return await fetch(url, {
+			...fetchOptions,
 			signal: controller.signal
 		});
-		
-		clearTimeout(timeoutId);
-		return response;
 	} catch (error) {
-		clearTimeout(timeoutId);
-		
+		if (signal?.aborted) {
+			throw createAbortError(signal);
+		}
+
 		if (error.name === 'AbortError') {
-			throw new Error(`Request timeout after ${timeout}ms`);
+			throw new TimeoutError(`Request timeout after ${timeout}ms`, { timeout, cause: error });
 		}
 		
-		throw error;
+		throw new NetworkError(`Network request failed: ${error.message}`, { cause: error });
+	} finally {
+		clearTimeout(timeoutId);
+		signal?.removeEventListener('abort', abort);
 	}
 }
 
@@ -46,10 +96,18 @@ export async function fetchWithTimeout(url, options = {}, timeout = REQUEST_TIME
  * @param {number} [config.maxAttempts=RETRY_CONFIG.maxAttempts] - Maximum number of retry attempts
  * @param {number} [config.baseDelay=RETRY_CONFIG.baseDelay] - Base delay between retries in milliseconds
  * @param {number} [config.maxDelay=RETRY_CONFIG.maxDelay] - Maximum delay between retries in milliseconds
+ * @param {number} [config.jitter=0] - Fraction (0 to 1) of each backoff delay to randomly take off,
+ *                                     so that clients failing together do not retry together
+ * @param {AbortSignal} [config.signal] - Stops retrying, and interrupts the wait, when aborted
  * @param {Function} [config.isRetryable] - Function to determine if error is retryable
  * @param {Function} [config.onRetry] - Callback executed before each retry
+ *
+ * When the error carries a `retryAfter` (milliseconds, from a 429 `Retry-After` header),
+ * that delay is used instead of the exponential backoff; a `retryAfter` longer than
+ * `maxDelay` is not waited for, and the error is thrown instead.
  * @returns {Promise<*>} The result of the function execution
  * @throws {Error} When all retry attempts are exhausted
+ * @throws {AbortError} When the signal is aborted while waiting to retry
  * 
  * @example
  * const result = await withRetry(
@@ -66,6 +124,8 @@ export async function withRetry(fn, config = {}) {
 		maxAttempts = RETRY_CONFIG.maxAttempts,
 		baseDelay = RETRY_CONFIG.baseDelay,
 		maxDelay = RETRY_CONFIG.maxDelay,
+		jitter = 0,
+		signal,
 		isRetryable = () => true,
 		onRetry = () => {}
 	} = config;
@@ -78,58 +138,83 @@ export async function withRetry(fn, config = {}) {
 		} catch (error) {
 			lastError = error;
 
-			// Don't retry if this is the last attempt or error is not retryable
-			if (attempt === maxAttempts || !isRetryable(error)) {
+			// Don't retry if this is the last attempt, the error is not retryable,
+			// or the server asks for a longer wait than the caller allows
+			if (attempt === maxAttempts || signal?.aborted || !isRetryable(error) || error.retryAfter > maxDelay) {
 				throw error;
 			}
 
-			// Calculate exponential backoff delay: baseDelay * 2^(attempt - 1)
+			// Calculate exponential backoff delay: baseDelay * 2^(attempt - 1),
+			// unless the server said how long to wait
 			const exponentialDelay = baseDelay * Math.pow(2, attempt - 1);
-			const delay = Math.min(exponentialDelay, maxDelay);
+			const backoff = Math.min(exponentialDelay, maxDelay);
+			const delay = error.retryAfter ?? Math.round(backoff * (1 - jitter * Math.random()));
 			
 			// Call retry callback
 			onRetry(error, attempt, delay);
 
 			// Wait before next retry
-			await sleep(delay);
+			await sleep(delay, signal);
 		}
 	}
 
 	throw lastError;
 }
 
+/**
+ * Serializes a value to JSON with object keys sorted, so that equivalent
+ * payloads always produce the same string.
+ * 
+ * @param {*} value - The value to serialize
+ * @returns {string} The canonical JSON string
+ * 
+ * @example
+ * canonicalize({ b: 1, a: [{ d: 2, c: 3 }] }); // '{"a":[{"c":3,"d":2}],"b":1}'
+ */
+export function canonicalize(value) {
+	return JSON.stringify(value, (key, nested) => {
+		if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+			return Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]));
+		}
+		return nested;
+	});
+}
+
 /**
  * Sleeps for a specified duration.
  * 
  * @param {number} ms - Duration in milliseconds
+ * @param {AbortSignal} [signal] - Ends the sleep early, rejecting with an AbortError
  * @returns {Promise<void>}
  * 
  * @example
  * await sleep(1000); // Wait 1 second
  */
-function sleep(ms) {
-	return new Promise(resolve => setTimeout(resolve, ms));
+function sleep(ms, signal) {
+	if (signal?.aborted) {
+		return Promise.reject(createAbortError(signal));
+	}
+
+	return new Promise((resolve, reject) => {
+		const onAbort = () => {
+			clearTimeout(timeoutId);
+			reject(createAbortError(signal));
+		};
+		const timeoutId = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
 }
 
 /**
- * Logs debug messages if debug mode is enabled.
- * 
- * @param {string} context - The context/module name for the log
- * @param {string} message - The debug message
- * @param {*} [data] - Optional data to log
+ * Creates the error a call rejects with when its signal is aborted.
  * 
- * @example
- * debugLog('WixRequest', 'Making API call', { url: 'https://api.example.com' });
+ * @param {AbortSignal} signal - An aborted signal
+ * @returns {AbortError} The error, with the signal's abort reason as `cause`
  */
-export function debugLog(context, message, data) {
-	if (process.env.DEBUG === 'true' || process.env.NODE_ENV === 'development') {
-		const timestamp = new Date().toISOString();
-		const logMessage = `[${timestamp}] [${context}] ${message}`;
-		
-		if (data !== undefined) {
-			console.log(logMessage, data);
-		} else {
-			console.log(logMessage);
-		}
-	}
+export function createAbortError(signal) {
+	return new AbortError('Request aborted', { code: 'aborted', cause: signal.reason });
 }
@@ -0,0 +1,46 @@
+import { createHash, createHmac, randomUUID } from "node:crypto";
+import { SIGNATURE_HEADERS } from "../config/constants.js";
+
+/**
+ * Builds the canonical string that is signed for a request.
+ * The bridge in `http-functions.js` rebuilds the same string to verify the signature.
+ * 
+ * @param {Object} parts - The request parts
+ * @param {string} parts.method - The HTTP method
+ * @param {string} parts.route - The API endpoint route (e.g. `query`)
+ * @param {string} parts.timestamp - Milliseconds since the epoch, as a string
+ * @param {string} parts.nonce - A unique value for this request
+ * @param {string} parts.body - The serialized request body
+ * @returns {string} The string to sign
+ */
+export function buildSigningString({ method, route, timestamp, nonce, body }) {
+	const bodyHash = createHash('sha256').update(body ?? '').digest('hex');
+	return [method.toUpperCase(), `/${route}`, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Signs a request with HMAC-SHA256 and returns the headers carrying the signature.
+ * 
+ * @param {Object} request - The request to sign
+ * @param {string} request.secret - The shared secret token
+ * @param {string} request.method - The HTTP method
+ * @param {string} request.route - The API endpoint route
+ * @param {string} request.body - The serialized request body
+ * @returns {Object<string, string>} The timestamp, nonce and signature headers
+ * 
+ * @example
+ * const headers = signRequest({ secret: 'token', method: 'POST', route: 'query', body: '{}' });
+ */
+export function signRequest({ secret, method, route, body }) {
+	const timestamp = String(Date.now());
+	const nonce = randomUUID();
+	const signature = createHmac('sha256', secret)
+		.update(buildSigningString({ method, route, timestamp, nonce, body }))
+		.digest('hex');
+
+	return {
+		[SIGNATURE_HEADERS.TIMESTAMP]: timestamp,
+		[SIGNATURE_HEADERS.NONCE]: nonce,
+		[SIGNATURE_HEADERS.SIGNATURE]: signature,
+	};
+}
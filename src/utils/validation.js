@@ -55,6 +55,21 @@ export function validatePositiveNumber(value, fieldName) {
   }
 }
 
+/**
+ * Validates that a value is a Date, a date string or a timestamp denoting a valid date.
+ * 
+ * @param {*} value - The value to validate
+ * @param {string} fieldName - The name of the field for error messages
+ * @throws {TypeError} When value is not a valid date
+ */
+export function validateDate(value, fieldName) {
+  const isDateLike = value instanceof Date || typeof value === 'string' || typeof value === 'number';
+
+  if (!isDateLike || Number.isNaN(new Date(value).getTime())) {
+    throw new TypeError(`${fieldName} must be a valid date`);
+  }
+}
+
 /**
  * Validates that a value is an array.
  * 
@@ -66,4 +81,99 @@ export function validateArray(value, fieldName) {
   if (!Array.isArray(value)) {
     throw new TypeError(`${fieldName} must be an array`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Validates that a value identifies a CMS item, either by its ID or as an item object with an `_id`.
+ * 
+ * @param {*} value - The value to validate
+ * @param {string} fieldName - The name of the field for error messages
+ * @throws {TypeError} When value is neither a non-empty string nor an object with a non-empty `_id`
+ */
+export function validateItemReference(value, fieldName) {
+  const id = value && typeof value === 'object' ? value._id : value;
+
+  if (typeof id !== 'string' || id.trim().length === 0) {
+    throw new TypeError(`${fieldName} must be an item ID or an item with an _id`);
+  }
+}
+
+/**
+ * Validates that a value is an absolute http(s) URL.
+ * 
+ * @param {*} value - The value to validate
+ * @param {string} fieldName - The name of the field for error messages
+ * @throws {TypeError} When value is not a valid http or https URL
+ */
+export function validateUrl(value, fieldName) {
+  validateString(value, fieldName);
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new TypeError(`${fieldName} must be a valid URL`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new TypeError(`${fieldName} must use the http or https protocol`);
+  }
+}
+
+/**
+ * Validates that a value is a bare domain name (e.g. `www.example.com`), without protocol or path.
+ * 
+ * @param {*} value - The value to validate
+ * @param {string} fieldName - The name of the field for error messages
+ * @throws {TypeError} When value is not a valid domain name
+ */
+export function validateDomain(value, fieldName) {
+  validateString(value, fieldName);
+
+  const domainPattern = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+  if (!domainPattern.test(value)) {
+    throw new TypeError(`${fieldName} must be a domain name such as www.example.com (without protocol or path)`);
+  }
+}
+
+/**
+ * Validates the options that control how a request is sent: its abort signal, timeout and retries.
+ * 
+ * @param {Object} controls - The options to validate
+ * @param {*} [controls.signal] - Must be an AbortSignal
+ * @param {*} [controls.timeout] - Must be a positive number of milliseconds
+ * @param {*} [controls.retry] - Must be `false` or an object with a positive integer `maxAttempts`,
+ *                               non-negative `baseDelay` and `maxDelay`, and a `jitter` between 0 and 1
+ * @throws {TypeError} When any option is invalid
+ */
+export function validateRequestControls({ signal, timeout, retry }) {
+  if (signal !== undefined && !(signal instanceof AbortSignal)) {
+    throw new TypeError('Signal must be an AbortSignal');
+  }
+
+  if (timeout !== undefined) {
+    validatePositiveNumber(timeout, 'Timeout');
+  }
+
+  if (retry === undefined || retry === false) {
+    return;
+  }
+
+  validateObject(retry, 'Retry');
+  const { maxAttempts, baseDelay, maxDelay, jitter } = retry;
+
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1)) {
+    throw new TypeError('Retry max attempts must be a positive integer');
+  }
+
+  for (const [value, fieldName] of [[baseDelay, 'Retry base delay'], [maxDelay, 'Retry max delay']]) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || !isFinite(value))) {
+      throw new TypeError(`${fieldName} must be a non-negative number`);
+    }
+  }
+
+  if (jitter !== undefined && (typeof jitter !== 'number' || jitter < 0 || jitter > 1)) {
+    throw new TypeError('Retry jitter must be a number between 0 and 1');
+  }
+}
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { PassThrough } from "node:stream";
+import { main } from "../src/cli/index.js";
+import { MockBridgeServer } from "../src/testing/index.js";
+
+const server = new MockBridgeServer({
+	token: "cli-token",
+	collections: {
+		Posts: [
+			{ _id: "p1", title: "Hello, world", views: 10 },
+			{ _id: "p2", title: "Second", views: 20 }
+		]
+	}
+});
+let directory;
+let env;
+
+before(async () => {
+	const { baseUrl } = await server.start();
+	directory = await mkdtemp(join(tmpdir(), "wix-cms-cli-"));
+	env = { WIX_CMS_BASE_URL: baseUrl, WIX_CMS_TOKEN: "cli-token" };
+});
+
+after(async () => {
+	await server.stop();
+	await rm(directory, { recursive: true, force: true });
+});
+
+async function run(argv, { stdin = new PassThrough() } = {}) {
+	const stdout = new PassThrough();
+	const stderr = new PassThrough();
+	let out = "";
+	let err = "";
+	stdout.on("data", chunk => out += chunk);
+	stderr.on("data", chunk => err += chunk);
+
+	const code = await main(argv, { stdin, stdout, stderr, env, cwd: directory });
+	return { code, out, err };
+}
+
+test("queries with filter flags", async () => {
+	const { code, out } = await run(["query", "Posts", "--gt", "views=15", "--format", "ndjson"]);
+
+	assert.equal(code, 0);
+	assert.deepEqual(out.trim().split("\n").map(line => JSON.parse(line)._id), ["p2"]);
+	assert.equal((await run(["query", "Posts", "--count"])).out, "2\n");
+});
+
+test("exports to CSV and imports it back into another collection", async () => {
+	assert.equal((await run(["export", "Posts", "--output", "posts.csv"])).code, 0);
+
+	const csv = await readFile(join(directory, "posts.csv"), "utf8");
+	assert.match(csv, /"Hello, world"/);
+
+	const { code, err } = await run(["import", "Copies", "posts.csv", "--mode", "save"]);
+	assert.equal(code, 0, err);
+	const { title, views } = server.store.get("Copies", "p2");
+	assert.deepEqual({ title, views }, { title: "Second", views: 20 });
+});
+
+test("reports failed items with a non-zero exit code", async () => {
+	await writeFile(join(directory, "dupes.ndjson"), '{"_id":"p1"}\n{"_id":"new"}\n');
+
+	const { code, err } = await run(["import", "Posts", "dupes.ndjson", "--errors", "failed.ndjson"]);
+	const failed = (await readFile(join(directory, "failed.ndjson"), "utf8")).trim().split("\n").map(line => JSON.parse(line));
+
+	assert.equal(code, 1);
+	assert.match(err, /1 inserted.*1 failed/);
+	assert.deepEqual(failed.map(({ index, code }) => [index, code]), [[0, "WD_ITEM_ALREADY_EXISTS"]]);
+});
+
+test("truncates only after confirmation", async () => {
+	const refused = await run(["truncate", "Copies"]);
+	assert.equal(refused.code, 2);
+	assert.equal(server.store.count("Copies"), 2);
+
+	assert.equal((await run(["truncate", "Copies", "--yes"])).code, 0);
+	assert.equal(server.store.count("Copies"), 0);
+});
+
+test("rejects missing credentials and bad usage", async () => {
+	const saved = env;
+	env = { WIX_CMS_BASE_URL: saved.WIX_CMS_BASE_URL };
+	const missingToken = await run(["query", "Posts"]);
+	env = saved;
+
+	assert.equal(missingToken.code, 2);
+	assert.match(missingToken.err, /WIX_CMS_TOKEN/);
+	assert.equal((await run(["export"])).code, 2);
+	assert.equal((await run(["query", "Posts", "--eq", "views"])).code, 2);
+	assert.equal((await run(["nope"])).code, 2);
+});
+
+test("generates types from the bridge and from a saved snapshot", async () => {
+	const { code, out } = await run(["generate-types", "--collection", "Posts", "--save-snapshot", "schema.json"]);
+
+	assert.equal(code, 0);
+	assert.match(out, /export interface Posts \{\n {2}title\?: string;\n {2}views\?: number;\n\}/);
+	assert.match(out, /export interface Collections \{\n {2}Posts: Posts;\n\}/);
+
+	const saved = env;
+	env = {};
+	const offline = await run(["generate-types", "--snapshot", "schema.json", "--output", "collections.d.ts"]);
+	env = saved;
+
+	assert.equal(offline.code, 0);
+	assert.equal(await readFile(join(directory, "collections.d.ts"), "utf8"), out);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WixCMS } from "../src/index.js";
+import { resolveApiBase } from "../src/utils/requestHelpers.js";
+import { validateDomain } from "../src/utils/validation.js";
+
+test("resolves the functions URL from a username and site, a domain or a base URL", () => {
+	assert.equal(resolveApiBase({ username: "jane", site: "blog" }), "https://jane.wixsite.com/blog/_functions");
+	assert.equal(resolveApiBase({ username: "jane", site: "blog", dev: true }), "https://jane.wixsite.com/blog/_functions-dev");
+	assert.equal(resolveApiBase({ domain: "www.example.com" }), "https://www.example.com/_functions");
+	assert.equal(resolveApiBase({ domain: "www.example.com", dev: true }), "https://www.example.com/_functions-dev");
+	assert.equal(resolveApiBase({ domain: "www.example.com", functionsPath: "/api/", dev: true }), "https://www.example.com/api");
+	assert.equal(resolveApiBase({ baseUrl: "http://localhost:3000/_functions//", domain: "www.example.com", dev: true }), "http://localhost:3000/_functions");
+});
+
+test("accepts domain names and rejects anything else", () => {
+	for (const domain of ["example.com", "www.example.com", "my-site.example.co.uk"]) {
+		assert.doesNotThrow(() => validateDomain(domain, "Domain"));
+	}
+
+	for (const domain of ["https://www.example.com", "www.example.com/blog", "localhost", "-bad.example.com", "exa mple.com", "example.c0m", `${"a".repeat(64)}.com`]) {
+		assert.throws(() => validateDomain(domain, "Domain"), { name: "TypeError", message: /^Domain must be a domain name/ });
+	}
+
+	assert.throws(() => validateDomain("", "Domain"), TypeError);
+	assert.throws(() => validateDomain(42, "Domain"), TypeError);
+});
+
+test("rejects bad domains and conflicting endpoints when connecting", () => {
+	assert.doesNotThrow(() => new WixCMS({ domain: "www.example.com", token: "t", dev: true }));
+	assert.throws(() => new WixCMS({ domain: "https://www.example.com", token: "t" }), /Domain must be a domain name/);
+	assert.throws(() => new WixCMS({ domain: "www.example.com", baseUrl: "https://www.example.com/_functions", token: "t" }), /either a base URL or a domain/);
+	assert.throws(() => new WixCMS({ domain: "www.example.com", token: "t", dev: "yes" }), TypeError);
+});
@@ -0,0 +1,621 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { WixCMS, Logger, AbortError, CircuitOpenError, ConflictError, ForbiddenError, NetworkError, NotFoundError, RateLimitError, TimeoutError, ValidationError } from "../src/index.js";
+import { MockBridgeServer } from "../src/testing/index.js";
+import { buildSigningString, signRequest } from "../src/utils/signing.js";
+
+const server = new MockBridgeServer({
+	token: "test-token",
+	tokens: [
+		{ token: "reader-token", collections: ["Posts"], operations: ["read"] },
+		{ token: "editor-token", collections: ["Docs"], operations: ["update"] }
+	],
+	collections: {
+		Posts: [
+			{ _id: "p1", title: "Hello", status: "published", views: 10 },
+			{ _id: "p2", title: "Drafting", status: "draft", views: 2000 },
+			{ _id: "p3", title: "Bot post", status: "draft", views: 5, author: "bot" }
+		]
+	}
+});
+let cms;
+
+before(async () => {
+	const { baseUrl } = await server.start();
+	cms = new WixCMS({ baseUrl, token: "test-token" });
+});
+
+after(() => server.stop());
+
+test("queries with filters, sorting and logical operators", async () => {
+	const { result } = await cms.query("Posts")
+		.eq("status", "published")
+		.or(q => q.gt("views", 1000))
+		.descending("views")
+		.find();
+
+	assert.deepEqual(result.items.map(item => item._id), ["p2", "p1"]);
+	assert.equal(await cms.query("Posts").not(q => q.eq("author", "bot")).count(), 2);
+});
+
+test("iterates over every page", async () => {
+	const ids = [];
+	for await (const item of cms.query("Posts").ascending("title").limit(1).iterate()) {
+		ids.push(item._id);
+	}
+
+	assert.deepEqual(ids, ["p3", "p2", "p1"]);
+
+	const { result } = await cms.query("Posts").ascending("title").limit(2).skip(2).find();
+	assert.deepEqual(result.pagination, {
+		total_items: 1,
+		total_pages: 2,
+		per_page: 2,
+		current_page: 1,
+		has_next_page: false,
+		has_prev_page: true
+	});
+});
+
+test("collects distinct values among the matching items", async () => {
+	assert.deepEqual((await cms.query("Posts").distinct("status")).sort(), ["draft", "published"]);
+	assert.deepEqual(await cms.query("Posts").lt("views", 100).ne("status", "published").distinct("status"), ["draft"]);
+});
+
+test("aggregates groups, filters them with having and keeps the query's filters", async () => {
+	const { result } = await cms.query("Posts")
+		.aggregate()
+		.group("status")
+		.sum("views")
+		.avg("views")
+		.count()
+		.ascending("status")
+		.run();
+
+	assert.deepEqual(result.items, [
+		{ _id: "draft", status: "draft", viewsSum: 2005, viewsAvg: 1002.5, count: 2 },
+		{ _id: "published", status: "published", viewsSum: 10, viewsAvg: 10, count: 1 }
+	]);
+
+	const popular = await cms.query("Posts").aggregate().group("status").sum("views").having(q => q.gt("viewsSum", 100)).run();
+	assert.deepEqual(popular.result.items.map(row => row.status), ["draft"]);
+	assert.throws(() => cms.query("Posts").aggregate().having("viewsSum > 100"), TypeError);
+
+	const human = await cms.query("Posts").ne("author", "bot").aggregate().sum("views").count().run();
+	assert.deepEqual(human.result.items, [{ _id: "0", viewsSum: 2010, count: 2 }]);
+	assert.deepEqual(server.requests.at(-1).body.aggregation.filter, [{ field: "author", operator: "ne", value: "bot" }]);
+});
+
+test("writes, reads by ID and reports missing items", async () => {
+	const { result: inserted } = await cms.query("Posts").insert({ title: "New" });
+	await cms.query("Posts").update({ ...inserted, title: "Renamed" });
+
+	assert.equal((await cms.query("Posts").get(inserted._id)).title, "Renamed");
+	assert.deepEqual(await cms.query("Posts").getMany(["missing", inserted._id]).then(r => r.missing), ["missing"]);
+	await assert.rejects(cms.query("Posts").update({ _id: "missing" }), NotFoundError);
+
+	await cms.query("Posts").remove(inserted._id);
+	assert.equal(await cms.query("Posts").get(inserted._id), null);
+});
+
+test("adds, checks, lists, replaces and removes references", async () => {
+	for (const tag of [{ _id: "t1", name: "news" }, { _id: "t2", name: "tech" }, { _id: "t3", name: "misc" }]) {
+		await cms.query("Tags").insert(tag);
+	}
+	const { result: article } = await cms.query("Articles").insert({ _id: "a1", title: "Tagged" });
+	const articles = cms.query("Articles");
+
+	await articles.insertReference("tags", article, ["t1", { _id: "t2" }]);
+	assert.equal(await articles.isReferenced("tags", "a1", "t1"), true);
+	assert.equal(await articles.isReferenced("tags", "a1", "t3"), false);
+
+	const { result: firstPage } = await articles.queryReferenced("a1", "tags", { pageSize: 1 });
+	assert.deepEqual(firstPage.items.map(tag => tag.name), ["news"]);
+	assert.equal(firstPage.pagination.total_items, 2);
+	assert.equal(firstPage.pagination.has_next_page, true);
+	const { result: lastPage } = await articles.queryReferenced(article, "tags", { pageSize: 1, page: 1 });
+	assert.deepEqual(lastPage.items.map(tag => tag.name), ["tech"]);
+	assert.equal(lastPage.pagination.has_next_page, false);
+
+	await articles.removeReference("tags", "a1", "t1");
+	assert.equal(await articles.isReferenced("tags", "a1", "t1"), false);
+	assert.deepEqual((await articles.get("a1")).tags, ["t2"]);
+
+	await articles.replaceReferences("tags", "a1", ["t3", "t1"]);
+	const { result: replaced } = await articles.queryReferenced("a1", "tags");
+	assert.deepEqual(replaced.items.map(tag => tag._id), ["t3", "t1"]);
+
+	await assert.rejects(articles.insertReference("tags", "missing", "t1"), NotFoundError);
+});
+
+test("rejects requests with a wrong token", async () => {
+	const intruder = new WixCMS({ baseUrl: server.baseUrl, token: "wrong" });
+	await assert.rejects(intruder.query("Posts").find(), { code: "unauthorized" });
+});
+
+test("denies operations outside a scoped token's scope", async () => {
+	const reader = new WixCMS({ baseUrl: server.baseUrl, token: "reader-token" });
+	assert.equal(await reader.query("Posts").count(), 3);
+
+	await assert.rejects(
+		reader.query("Posts").insert({ title: "Nope" }),
+		error => error instanceof ForbiddenError && error.status === 403 && error.operation === "insert" && error.collection === "Posts"
+	);
+	await assert.rejects(reader.query("Drafts").find(), { name: "ForbiddenError", operation: "read", collection: "Drafts" });
+
+	const batch = reader.batch();
+	const read = batch.query("Posts").get("p1");
+	const write = batch.query("Posts").remove("p1");
+	await batch.run().catch(() => {});
+	assert.equal((await read)._id, "p1");
+	await assert.rejects(write, ForbiddenError);
+	assert.equal(await cms.query("Posts").count(), 3);
+});
+
+test("accepts signed requests and rejects tampered, expired and replayed ones", async () => {
+	const signed = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", signRequests: true });
+	assert.equal(await signed.query("Posts").count(), 3);
+	assert.equal(server.requests.at(-1).body.token, undefined);
+
+	const post = (headers, body) => fetch(`${server.baseUrl}/count`, {
+		method: "POST",
+		headers: { "content-type": "application/json", ...headers },
+		body
+	}).then(async response => [response.status, await response.json()]);
+	const body = JSON.stringify({ collection: "Posts" });
+	const headers = signRequest({ secret: "test-token", method: "POST", route: "count", body });
+
+	assert.deepEqual(await post(headers, JSON.stringify({ collection: "Drafts" })), [400, { status: "failed", error: "unauthorized" }]);
+	assert.equal((await post(headers, body))[1].result, 3);
+	assert.equal((await post(headers, body))[1].errorMessage, "Request nonce was already used");
+
+	const timestamp = String(Date.now() - 10 * 60 * 1000);
+	const nonce = "expired-nonce";
+	const signature = createHmac("sha256", "test-token")
+		.update(buildSigningString({ method: "POST", route: "count", timestamp, nonce, body }))
+		.digest("hex");
+	const [status, expired] = await post({ "X-Wix-CMS-Timestamp": timestamp, "X-Wix-CMS-Nonce": nonce, "X-Wix-CMS-Signature": signature }, body);
+	assert.equal(status, 400);
+	assert.equal(expired.errorMessage, "Request timestamp is outside the allowed window");
+});
+
+test("serves repeated reads from the cache until a write invalidates it", async () => {
+	const cached = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", cache: true });
+	const countQueries = () => server.requests.filter(request => request.route === "count").length;
+	const initial = countQueries();
+
+	assert.equal(await cached.query("Posts").count(), 3);
+	assert.equal(await cached.query("Posts").count(), 3);
+	assert.equal(countQueries(), initial + 1);
+
+	const { result: inserted } = await cached.query("Posts").insert({ title: "Cached" });
+	assert.equal(await cached.query("Posts").count(), 4);
+	assert.equal(await cached.query("Posts").count({ cache: false }), 4);
+	assert.equal(countQueries(), initial + 3);
+
+	await cached.query("Posts").remove(inserted._id);
+});
+
+test("runs a batch across collections in one request", async () => {
+	const batchRequests = () => server.requests.filter(request => request.route === "batch").length;
+	const initial = batchRequests();
+
+	const batch = cms.batch();
+	const published = batch.query("Posts").eq("status", "published").find();
+	const total = batch.query("Posts").count();
+	const missing = batch.query("Posts").update({ _id: "missing" });
+	const outcomes = await batch.run();
+
+	assert.equal(batchRequests(), initial + 1);
+	assert.deepEqual(outcomes.map(outcome => outcome.status), ["fulfilled", "fulfilled", "rejected"]);
+	assert.deepEqual((await published).result.items.map(item => item._id), ["p1"]);
+	assert.equal(await total, 3);
+	await assert.rejects(missing, NotFoundError);
+});
+
+test("skips the rest of a sequential batch after a failure", async () => {
+	const batch = cms.batch({ sequential: true });
+	const failing = batch.query("Posts").update({ _id: "missing" });
+	const skipped = batch.query("Posts").truncate();
+	await batch.run();
+
+	await assert.rejects(failing, NotFoundError);
+	await assert.rejects(skipped, { code: "skipped" });
+	assert.equal(await cms.query("Posts").count(), 3);
+});
+
+test("queues requests beyond the rate limiter's concurrency", async () => {
+	const limited = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", rateLimit: { maxConcurrent: 2 } });
+	const counts = Array.from({ length: 5 }, () => limited.query("Posts").count());
+
+	const { queued, inFlight } = limited.queueStats();
+	assert.deepEqual({ queued, inFlight }, { queued: 3, inFlight: 2 });
+	assert.deepEqual(await Promise.all(counts), [3, 3, 3, 3, 3]);
+	assert.equal(limited.queueStats().queued, 0);
+});
+
+test("starts requests at the limiter's rate once the burst is spent", async () => {
+	const limited = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", rateLimit: { requestsPerSecond: 20, burst: 1 } });
+	const startedAt = Date.now();
+	const counts = Array.from({ length: 3 }, () => limited.query("Posts").count());
+
+	assert.deepEqual({ queued: limited.queueStats().queued, inFlight: limited.queueStats().inFlight }, { queued: 2, inFlight: 1 });
+	assert.deepEqual(await Promise.all(counts), [3, 3, 3]);
+	assert.ok(Date.now() - startedAt >= 90);
+});
+
+test("pauses the limiter's queue and the retry on a 429 with Retry-After", async () => {
+	const limited = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", rateLimit: { maxConcurrent: 1 } });
+	const sent = server.requests.length;
+	server.injectFault("count", { status: 429, headers: { "retry-after": "0.2" } });
+
+	const startedAt = Date.now();
+	const first = limited.query("Posts").count();
+	const second = limited.query("Posts").count().then(count => [count, Date.now() - startedAt]);
+
+	assert.equal(await first, 3);
+	const [count, elapsed] = await second;
+	assert.equal(count, 3);
+	assert.ok(elapsed >= 190, `the queued request started after ${elapsed}ms`);
+	assert.equal(server.requests.length - sent, 3);
+});
+
+test("fails instead of waiting out a Retry-After beyond maxDelay and caps the queue's pause", async () => {
+	const limited = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", rateLimit: { maxPause: 100 } });
+	const sent = server.requests.length;
+	server.injectFault("count", { status: 429, headers: { "retry-after": "3600" } });
+
+	await assert.rejects(limited.query("Posts").count(), error => error instanceof RateLimitError && error.retryAfter === 3600000);
+	assert.equal(server.requests.length - sent, 1);
+	assert.ok(limited.queueStats().pausedFor <= 100);
+
+	const startedAt = Date.now();
+	assert.equal(await limited.query("Posts").count(), 3);
+	assert.ok(Date.now() - startedAt < 1000);
+});
+
+test("imports in chunks, reports failed items and resumes from a checkpoint", async () => {
+	const rows = Array.from({ length: 7 }, (_, index) => ({ _id: index === 3 ? "p1" : `bulk-${index}` }));
+	const checkpoints = [];
+
+	const report = await cms.query("Posts").bulkImport(rows, {
+		chunkSize: 3,
+		onProgress: ({ checkpoint }) => checkpoints.push(checkpoint.offset)
+	});
+
+	assert.equal(report.inserted, 6);
+	assert.deepEqual(report.errors.map(error => [error.index, error.code]), [[3, "WD_ITEM_ALREADY_EXISTS"]]);
+	assert.deepEqual(checkpoints, [3, 6, 7]);
+
+	const resumed = await cms.query("Posts").bulkImport(rows, { mode: "save", checkpoint: { offset: 6 } });
+	assert.deepEqual({ processed: resumed.processed, updated: resumed.updated }, { processed: 1, updated: 1 });
+
+	const exported = [];
+	for await (const item of cms.query("Posts").bulkExport()) {
+		exported.push(item._id);
+	}
+	assert.equal(exported.length, 9);
+
+	await cms.query("Posts").remove(rows.filter(row => row._id !== "p1").map(row => row._id));
+});
+
+test("stops an import when onProgress throws, once the chunks in flight settle", async () => {
+	const rows = Array.from({ length: 5 }, (_, index) => ({ _id: `progress-${index}` }));
+	const failure = new Error("progress sink is down");
+	const slow = new WixCMS({ baseUrl: server.baseUrl, token: "test-token" }).use(async (ctx, next) => {
+		if (ctx.body.item?.[0]?._id === "progress-1") await new Promise(resolve => setTimeout(resolve, 50));
+		await next();
+	});
+
+	await assert.rejects(slow.query("Progress").bulkImport(rows, {
+		chunkSize: 1,
+		concurrency: 2,
+		onProgress: () => { throw failure; }
+	}), error => error === failure);
+
+	assert.deepEqual((await cms.query("Progress").find()).result.items.map(item => item._id).sort(), ["progress-0", "progress-1"]);
+});
+
+test("validates writes against the collection schema", async () => {
+	const strict = new WixCMS({
+		baseUrl: server.baseUrl,
+		token: "test-token",
+		schemas: {
+			Posts: {
+				title: { type: "text", required: true },
+				status: { type: "text", enum: ["draft", "published"] },
+				tags: { type: "array", items: "text" },
+				seo: { type: "object", fields: { slug: { type: "text", validate: slug => /^[a-z-]+$/.test(slug) || "must be a slug" } } }
+			}
+		}
+	});
+
+	await assert.rejects(
+		strict.query("Posts").insert({ title: "", status: "archived", tags: ["news", 1], seo: { slug: "Not A Slug" } }),
+		error => error instanceof ValidationError && error.code === "schema_validation" && assert.deepEqual(
+			error.errors.map(({ path }) => path),
+			["title", "status", "tags[1]", "seo.slug"]
+		) === undefined
+	);
+	await assert.rejects(strict.query("Posts").save([{ title: "Ok" }, { status: "draft" }]), { errors: [{ path: "[1].title", message: "is required" }] });
+	assert.equal(await cms.query("Posts").count(), 3);
+
+	const report = await strict.query("Posts").bulkImport([{ _id: "s1", title: "Valid" }, { _id: "s2" }]);
+	assert.equal(report.inserted, 1);
+	assert.deepEqual(report.errors.map(error => [error.index, error.code]), [[1, "schema_validation"]]);
+
+	await cms.query("Posts").remove("s1");
+});
+
+test("runs middleware around requests, responses and errors", async () => {
+	const wrapped = new WixCMS({ baseUrl: server.baseUrl, token: "test-token" });
+	const builder = wrapped.query("Posts");
+	const order = [];
+
+	wrapped
+		.use(async (ctx, next) => {
+			order.push(`outer ${ctx.route}`);
+			ctx.headers["x-trace-id"] = "trace-1";
+			try {
+				await next();
+			} catch (error) {
+				ctx.response = { status: "success", result: { items: [], recovered: error.code } };
+			}
+			order.push("outer done");
+		})
+		.use(async (ctx, next) => {
+			order.push("inner");
+			if (ctx.route === "query") {
+				ctx.body.conditions = [...ctx.body.conditions, { field: "status", operator: "eq", value: "draft" }];
+			}
+			await next();
+			ctx.response.result.items?.forEach(item => delete item.views);
+		});
+
+	const { result } = await builder.ascending("title").find();
+	assert.deepEqual(result.items.map(item => item._id), ["p3", "p2"]);
+	assert.ok(result.items.every(item => !("views" in item)));
+	assert.deepEqual(order, ["outer query", "inner", "outer done"]);
+	assert.equal(server.requests.at(-1).headers["x-trace-id"], "trace-1");
+
+	const { result: fallback } = await wrapped.query("Posts").update({ _id: "missing" });
+	assert.equal(fallback.recovered, "WD_ITEM_DOES_NOT_EXIST");
+	assert.throws(() => wrapped.use("nope"), TypeError);
+});
+
+test("logs structured request events with secrets and configured fields redacted", async () => {
+	const entries = [];
+	const record = level => entry => entries.push({ level, ...entry });
+	const logged = new WixCMS({
+		baseUrl: server.baseUrl,
+		token: "test-token",
+		logger: { debug: record("debug"), info: record("info"), warn: record("warn"), error: record("error") },
+		redact: ["collection"]
+	});
+
+	const { result: inserted } = await logged.query("Posts").insert({ title: "Logged", email: "me@example.com" });
+	await assert.rejects(logged.query("Posts").update({ _id: "missing", note: "test-token leaked" }), NotFoundError);
+
+	assert.deepEqual(entries.map(({ level, event, route }) => [level, event, route]), [
+		["debug", "request.start", "insertQuery"],
+		["info", "request.end", "insertQuery"],
+		["debug", "request.start", "updateQuery"],
+		["error", "request.error", "updateQuery"]
+	]);
+	assert.deepEqual({ items: entries[0].items, options: entries[0].options, body: entries[0].body }, { items: 1, options: ["suppressAuth"], body: undefined });
+	assert.ok(!JSON.stringify(entries).includes("me@example.com"));
+	assert.deepEqual(entries.map(entry => entry.collection), Array(4).fill("[REDACTED]"));
+	assert.deepEqual({ status: entries[1].status, attempts: entries[1].attempts }, { status: 200, attempts: 1 });
+	assert.equal(typeof entries[1].duration, "number");
+	assert.equal(entries[3].error.code, "WD_ITEM_DOES_NOT_EXIST");
+	assert.ok(!JSON.stringify(entries).includes("test-token"));
+	assert.ok(!JSON.stringify(entries).includes(server.baseUrl));
+
+	assert.throws(() => new WixCMS({ baseUrl: server.baseUrl, token: "test-token", logger: {} }), TypeError);
+	await cms.query("Posts").remove(inserted._id);
+
+	const own = [];
+	new Logger({ debug() {}, info: entry => own.push(entry), warn() {}, error() {} }, { redact: ["email"], secrets: ["s3cret"] })
+		.log("info", "signup", { user: { name: "Ann", Email: "ann@example.com" }, note: "key s3cret" });
+	assert.deepEqual(own, [{ message: "signup", event: "signup", user: { name: "Ann", Email: "[REDACTED]" }, note: "key [REDACTED]" }]);
+});
+
+test("applies per-call controls without sending them and reports aborts", async () => {
+	const sent = server.requests.length;
+
+	await assert.rejects(cms.query("Posts").find({ signal: AbortSignal.abort() }), AbortError);
+	await assert.rejects(cms.query("Posts").count({ timeout: 0 }), TypeError);
+	assert.equal(server.requests.length, sent);
+
+	const { result: inserted } = await cms.query("Posts").insert({ title: "Quick" }, { timeout: 5000, retry: false });
+	assert.deepEqual(server.requests.at(-1).body.options, { suppressAuth: true });
+
+	await cms.query("Posts").remove(inserted._id, { retry: { maxAttempts: 1 } });
+});
+
+test("tells attempt timeouts from aborts and sends as many attempts as the retry settings allow", async () => {
+	const countRequests = () => server.requests.filter(request => request.route === "count").length;
+	let sent = countRequests();
+
+	server.injectFault("count", { delay: 200 });
+	await assert.rejects(cms.query("Posts").count({ timeout: 50, retry: false }), error => {
+		return error instanceof TimeoutError && !(error instanceof AbortError) && error.timeout === 50;
+	});
+	assert.equal(countRequests() - sent, 1);
+
+	sent = countRequests();
+	server.injectFault("count", { status: 503, times: 2 });
+	await assert.rejects(cms.query("Posts").count({ retry: { maxAttempts: 2, baseDelay: 1 } }), { status: 503 });
+	assert.equal(countRequests() - sent, 2);
+
+	const defaults = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", timeout: 50, retry: { maxAttempts: 4, baseDelay: 1 } });
+	sent = countRequests();
+	server.injectFault("count", { status: 503, times: 3 });
+	assert.equal(await defaults.query("Posts").count(), 3);
+	assert.equal(countRequests() - sent, 4);
+
+	server.injectFault("count", { delay: 100 });
+	await assert.rejects(defaults.query("Posts").count({ retry: false }), { name: "TimeoutError", timeout: 50 });
+	server.injectFault("count", { delay: 100 });
+	assert.equal(await defaults.query("Posts").count({ timeout: 1000 }), 3);
+});
+
+test("takes aborted and timed-out calls out of the rate limiter's queue", async () => {
+	const limited = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", rateLimit: { maxConcurrent: 1 } });
+	const sent = server.requests.length;
+	const controller = new AbortController();
+
+	server.injectFault("count", { delay: 200 });
+	const running = limited.query("Posts").count();
+	const aborted = limited.query("Posts").count({ signal: controller.signal });
+	const expired = limited.query("Posts").count({ timeout: 50, retry: false });
+	assert.equal(limited.queueStats().queued, 2);
+
+	const startedAt = Date.now();
+	controller.abort();
+	await assert.rejects(aborted, AbortError);
+	await assert.rejects(expired, { name: "TimeoutError", timeout: 50 });
+	assert.ok(Date.now() - startedAt < 150);
+	assert.equal(limited.queueStats().queued, 0);
+
+	assert.equal(await running, 3);
+	assert.equal(server.requests.length - sent, 1);
+});
+
+test("fails fast once the circuit breaker opens", async () => {
+	const changes = [];
+	const unreachable = new WixCMS({
+		baseUrl: "http://127.0.0.1:9/_functions",
+		token: "test-token",
+		retry: false,
+		circuitBreaker: { minimumRequests: 2, cooldown: 60000, onStateChange: ({ from, to }) => changes.push(`${from} -> ${to}`) }
+	});
+
+	await assert.rejects(unreachable.query("Posts").count(), NetworkError);
+	await assert.rejects(unreachable.query("Posts").count(), NetworkError);
+	await assert.rejects(unreachable.query("Posts").count(), error => error instanceof CircuitOpenError && error.retryAfter > 0);
+
+	assert.deepEqual(changes, ["closed -> open"]);
+	assert.equal(unreachable.circuitStats().state, "open");
+	assert.equal(cms.circuitStats(), null);
+});
+
+test("shares one request between identical concurrent reads", async () => {
+	const deduped = new WixCMS({ baseUrl: server.baseUrl, token: "test-token", dedupe: true });
+	const sent = server.requests.length;
+	const drafts = () => deduped.query("Posts").eq("status", "draft").find();
+
+	const [first, second, third, count] = await Promise.all([
+		drafts(),
+		drafts(),
+		drafts(),
+		deduped.query("Posts").eq("status", "draft").count()
+	]);
+	assert.equal(server.requests.length, sent + 2);
+
+	first.result.items.pop();
+	assert.equal(second.result.items.length, 2);
+	assert.deepEqual(third, second);
+	assert.equal(count, 2);
+
+	await Promise.all([drafts(), deduped.query("Posts").eq("status", "draft").find({ dedupe: false })]);
+	assert.equal(server.requests.length, sent + 4);
+});
+
+test("runs collection hooks around reads and writes", async () => {
+	const hooked = new WixCMS({ baseUrl: server.baseUrl, token: "test-token" });
+	const failures = [];
+	hooked.hooks("Posts")
+		.beforeFind(query => query.ne("author", "bot"))
+		.afterFind(posts => posts.map(post => ({ ...post, loaded: true })))
+		.beforeRemove(id => {
+			throw new Error(`${id} is protected`);
+		})
+		.onError((error, { operation }) => failures.push(operation));
+	hooked.hooks("Notes")
+		.beforeInsert(async note => ({ ...note, slug: note.title.toLowerCase() }))
+		.afterInsert(note => ({ ...note, fresh: true }));
+
+	const { result } = await hooked.query("Posts").eq("status", "draft").find();
+	assert.deepEqual(result.items.map(post => [post._id, post.loaded]), [["p2", true]]);
+	assert.equal(await hooked.query("Posts").count(), 2);
+	assert.equal(await cms.query("Posts").count(), 3);
+
+	const draftsOf = async (client) => {
+		const { result: totals } = await client.query("Posts").aggregate().group("status").count().run();
+		return totals.items.find(row => row._id === "draft").count;
+	};
+	assert.equal(await draftsOf(hooked), 1);
+	assert.equal(await draftsOf(cms), 2);
+
+	await assert.rejects(hooked.query("Posts").remove("p1"), { message: "p1 is protected" });
+	assert.deepEqual(failures, ["remove"]);
+	assert.equal((await cms.query("Posts").get("p1"))._id, "p1");
+
+	const inserted = await hooked.query("Notes").insert({ title: "Hello" });
+	assert.equal(inserted.result.slug, "hello");
+	assert.equal(inserted.result.fresh, true);
+	assert.equal((await cms.query("Notes").get(inserted.result._id)).slug, "hello");
+});
+
+test("passes failures of truncates and reference operations to onError hooks", async () => {
+	const reader = new WixCMS({ baseUrl: server.baseUrl, token: "reader-token" });
+	const failures = [];
+	reader.hooks("Posts").onError((error, { operation }) => failures.push([operation, error.name]));
+
+	await assert.rejects(reader.query("Posts").truncate(), ForbiddenError);
+	await assert.rejects(reader.query("Posts").insertReference("related", "p1", "p2"), ForbiddenError);
+	assert.equal(await reader.query("Posts").isReferenced("related", "p1", "p2"), false);
+
+	assert.deepEqual(failures, [["truncate", "ForbiddenError"], ["insertReference", "ForbiddenError"]]);
+	assert.equal(await cms.query("Posts").count(), 3);
+});
+
+test("rejects stale updates with a conflict and retries them through merge", async () => {
+	const { result: doc } = await cms.query("Docs").insert({ title: "Draft", tags: ["a"] });
+	const stale = new Date(0);
+
+	await assert.rejects(
+		cms.query("Docs").update({ ...doc, title: "Mine" }, { expectedUpdatedDate: stale }),
+		error => error instanceof ConflictError && error.code === "conflict" && error.current.title === "Draft"
+	);
+
+	const { result: updated } = await cms.query("Docs").update({ ...doc, title: "Checked" }, { expectedUpdatedDate: doc._updatedDate });
+	assert.equal(updated.title, "Checked");
+
+	const merges = [];
+	const { result: merged } = await cms.query("Docs").update({ ...doc, tags: ["a", "b"] }, {
+		expectedUpdatedDate: stale,
+		merge: (mine, current) => {
+			merges.push(current.title);
+			return { ...current, tags: mine.tags };
+		}
+	});
+	assert.deepEqual(merges, ["Checked"]);
+	assert.deepEqual([merged.title, merged.tags], ["Checked", ["a", "b"]]);
+
+	await assert.rejects(
+		cms.query("Docs").save({ _id: "gone", title: "Lost" }, { expectedUpdatedDate: stale, merge: () => ({}) }),
+		error => error instanceof ConflictError && error.current === null
+	);
+});
+
+test("leaves the stored item out of conflicts for tokens that may not read it", async () => {
+	const { result: doc } = await cms.query("Docs").insert({ title: "Secret" });
+	const editor = new WixCMS({ baseUrl: server.baseUrl, token: "editor-token" });
+	const stale = { expectedUpdatedDate: new Date(0) };
+
+	await assert.rejects(editor.query("Docs").update({ ...doc, title: "Edited" }, stale), error => {
+		return error instanceof ConflictError && error.current === null && !("currentItem" in error.body);
+	});
+
+	const batch = editor.batch();
+	const update = batch.query("Docs").update({ ...doc, title: "Edited" }, stale);
+	await batch.run().catch(() => {});
+	await assert.rejects(update, error => error instanceof ConflictError && error.current === null);
+
+	const merges = [];
+	await assert.rejects(editor.query("Docs").update(doc, { ...stale, merge: (mine, current) => merges.push(current) }), ConflictError);
+	assert.deepEqual(merges, []);
+});
@@ -0,0 +1,28 @@
+import { WixRequest } from "./wixRequest.js";
+import { CollectionItem, FieldPath, QueryBuilder, QueryOptions, WixResponse } from "./queryBuilder.js";
+
+/**
+ * Fluent builder for grouped aggregations on Wix CMS collections.
+ * `T` describes the collection's items; grouped and aggregated fields are checked against it.
+ */
+export declare class AggregateBuilder<T = CollectionItem> {
+  constructor(wixRequest: WixRequest, filter?: any[], hooks?: {
+    send?: (aggregation: object, options: QueryOptions) => Promise<WixResponse>;
+    buildFilter?: (build: (query: QueryBuilder<any>) => unknown) => any[];
+  });
+
+  group(...fields: FieldPath<T>[]): this;
+  sum(field: FieldPath<T>, projectedField?: string): this;
+  avg(field: FieldPath<T>, projectedField?: string): this;
+  min(field: FieldPath<T>, projectedField?: string): this;
+  max(field: FieldPath<T>, projectedField?: string): this;
+  count(): this;
+  /** Keeps only the aggregated results matching the conditions added to the sub-query (on group or projected fields). */
+  having(build: (query: QueryBuilder<any>) => unknown): this;
+  ascending(field: string): this;
+  descending(field: string): this;
+  limit(value: number): this;
+  skip(value: number): this;
+
+  run(options?: object): Promise<WixResponse<{ items: CollectionItem[] }>>;
+}
@@ -0,0 +1,41 @@
+import { CollectionItem, QueryBuilder } from "./queryBuilder.js";
+import { WixRequestOptions } from "./wixRequest.js";
+
+export interface BatchOptions {
+  /** Run the operations in order and skip the ones after the first failure, instead of running them concurrently. */
+  sequential?: boolean;
+}
+
+/**
+ * Collects queries and writes, possibly across collections, and sends them in a single request.
+ * Operations added through `query()` settle their promises once `run()` has sent the batch.
+ */
+export declare class Batch<Collections = Record<string, CollectionItem>> {
+  constructor(username: string | undefined, site: string | undefined, token: string, options?: WixRequestOptions & BatchOptions);
+
+  /** The number of operations added so far. */
+  readonly size: number;
+
+  /**
+   * Initializes a query builder whose operations are added to this batch.
+   * Reads made through it are not served from the response cache.
+   */
+  query<K extends Extract<keyof Collections, string>>(collectionName: K): QueryBuilder<Collections[K]>;
+  query<T = CollectionItem>(collectionName: string): QueryBuilder<T>;
+
+  /** Adds an operation to the batch. Called by the batch's query builders. */
+  enqueue(collection: string, route: string, body: object): Promise<object>;
+
+  /**
+   * Holds a position in the batch for a write added once its items pass validation.
+   * Called by the batch's query builders.
+   */
+  reserve(validation: Promise<void>, write: () => Promise<object>): Promise<object>;
+
+  /**
+   * Sends every operation in one request and settles their promises. Writes rejected by a collection
+   * schema are not sent; in a sequential batch, neither are the operations after them.
+   * Resolves to the outcome of each operation's response, in the order the operations were added.
+   */
+  run(): Promise<Array<PromiseSettledResult<object>>>;
+}
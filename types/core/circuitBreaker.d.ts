@@ -0,0 +1,48 @@
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitStateChange {
+  from: CircuitState;
+  to: CircuitState;
+}
+
+export interface CircuitBreakerOptions {
+  /** Share of failed requests (above 0, up to 1) in the window that opens the breaker. Defaults to 0.5. */
+  failureRate?: number;
+  /** Requests needed in the window before the failure rate is checked. Defaults to 5. */
+  minimumRequests?: number;
+  /** How long outcomes are remembered, in milliseconds. Defaults to 30000. */
+  window?: number;
+  /** How long the breaker stays open before letting trial requests through, in milliseconds. Defaults to 15000. */
+  cooldown?: number;
+  /** Trial requests that must succeed, while half-open, to close again. Defaults to 1. */
+  halfOpenRequests?: number;
+  /** Decides whether an error counts as a failure. Defaults to timeouts, network errors, 408 and 5xx. */
+  isFailure?: (error: Error) => boolean;
+  /** Called on every state change. */
+  onStateChange?: (change: CircuitStateChange) => void;
+}
+
+export interface CircuitBreakerStats {
+  state: CircuitState;
+  /** Requests recorded in the window while closed. */
+  requests: number;
+  failures: number;
+  failureRate: number;
+  /** Milliseconds before a trial request is allowed; 0 unless open. */
+  retryAfter: number;
+}
+
+/**
+ * Stops sending requests to a site that keeps failing: while open, requests reject with a
+ * `CircuitOpenError` without reaching the site.
+ */
+export declare class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+
+  readonly state: CircuitState;
+
+  stats(): CircuitBreakerStats;
+
+  /** Runs a request if the breaker allows it, and records its outcome. */
+  execute<R>(task: () => Promise<R>): Promise<R>;
+}
@@ -1,14 +1,138 @@
-import { QueryBuilder } from "./queryBuilder.js";
+import { CollectionItem, QueryBuilder } from "./queryBuilder.js";
+import { ResponseCacheOptions } from "./responseCache.js";
+import { Batch, BatchOptions } from "./batch.js";
+import { RateLimiterOptions, RateLimiterStats } from "./rateLimiter.js";
+import { Schema, SchemaFields } from "./schema.js";
+import { Middleware, RetryOptions } from "./wixRequest.js";
+import { LoggerTarget } from "./logger.js";
+import { CircuitBreaker, CircuitBreakerOptions, CircuitBreakerStats } from "./circuitBreaker.js";
+import { CollectionHooks } from "./hooks.js";
+
+export interface WixCMSOptions {
+  /** Full base URL of the HTTP functions, e.g. `https://www.example.com/_functions`. */
+  baseUrl?: string;
+  /** Custom domain serving the site, e.g. `www.example.com`. */
+  domain?: string;
+  /** Path of the HTTP functions. Defaults to `_functions` (or `_functions-dev` when `dev` is set). */
+  functionsPath?: string;
+  /** Target the `_functions-dev` test endpoint. */
+  dev?: boolean;
+  /** Sign requests with HMAC-SHA256 (timestamp + nonce) instead of sending the token in the body. */
+  signRequests?: boolean;
+  /** Cache read responses; writes through this client invalidate the affected collection. */
+  cache?: boolean | ResponseCacheOptions;
+  /** Throttle requests client-side with a token bucket and a max-in-flight queue shared by every query. */
+  rateLimit?: boolean | RateLimiterOptions;
+  /** Schemas to register, by collection name (see `defineSchema`). */
+  schemas?: Record<string, SchemaFields | Schema>;
+  /** Logger receiving structured request events, e.g. a pino or winston instance. Nothing is logged without one. */
+  logger?: LoggerTarget;
+  /** Log entry fields to redact (e.g. `collection`), in addition to the token. Entries never hold item data. */
+  redact?: string[];
+  /** Timeout of each request attempt, in milliseconds. Defaults to 30000; calls may override it. */
+  timeout?: number;
+  /** Retry settings for transient failures, or `false` to never retry; calls may override them. */
+  retry?: RetryOptions | false;
+  /** Fail fast while the site keeps failing; pass a CircuitBreaker to share it with other clients of the same site. */
+  circuitBreaker?: boolean | CircuitBreakerOptions | CircuitBreaker;
+  /** Share one request between identical reads in flight at the same time; a read opts out with `dedupe: false`. */
+  dedupe?: boolean;
+}
+
+/** A field of a collection, as returned by the bridge's `schema` route. */
+export interface FieldDescription {
+  key: string;
+  displayName?: string;
+  /** The Wix field type, e.g. `TEXT`, `NUMBER`, `DATETIME`, `REFERENCE` or `MULTI_REFERENCE`. */
+  type: string;
+  system?: boolean;
+  required?: boolean;
+  /** The collection a `REFERENCE` or `MULTI_REFERENCE` field points to. */
+  referencedCollection?: string;
+}
+
+/** A collection and its fields, as returned by the bridge's `schema` route. */
+export interface CollectionDescription {
+  id: string;
+  displayName?: string;
+  fields: FieldDescription[];
+}
+
+export interface WixCMSConfig extends WixCMSOptions {
+  username?: string;
+  site?: string;
+  token: string;
+}
 
 /**
  * A client class for interacting with the Wix Content Management System (CMS).
+ *
+ * `Collections` optionally maps collection names to item types, so that
+ * `cms.query("Posts")` returns a `QueryBuilder<Post>` without a type argument:
+ *
+ * ```ts
+ * const cms = new WixCMS<{ Posts: Post; Authors: Author }>({ domain, token });
+ * ```
  */
-export declare class WixCMS {
-  constructor(username: string, site: string, token: string);
+export declare class WixCMS<Collections = Record<string, CollectionItem>> {
+  constructor(username: string, site: string, token: string, options?: WixCMSOptions);
+  constructor(config: WixCMSConfig);
 
   /**
-   * Initializes a query builder for a specific CMS collection.
+   * Initializes a query builder for a collection of the collection map.
    * @param collectionName The name of the CMS collection to query.
    */
-  query(collectionName: string): QueryBuilder;
+  query<K extends Extract<keyof Collections, string>>(collectionName: K): QueryBuilder<Collections[K]>;
+  /**
+   * Initializes a query builder for a specific CMS collection, typed as `T`.
+   * @param collectionName The name of the CMS collection to query.
+   */
+  query<T = CollectionItem>(collectionName: string): QueryBuilder<T>;
+
+  /**
+   * Starts a batch that sends several queries and writes, possibly across collections, in one request.
+   */
+  batch(options?: BatchOptions): Batch<Collections>;
+
+  /**
+   * Drops cached read responses for one collection, or all of them when omitted.
+   */
+  invalidateCache(collectionName?: string): void;
+
+  /**
+   * Adds a `(ctx, next)` middleware around every request of this client, including existing query builders.
+   * Middleware run in the order they were added; reads served from the cache skip them.
+   */
+  use(middleware: Middleware): this;
+
+  /**
+   * Reports the depth of the request queue, or null when rate limiting is off.
+   */
+  queueStats(): RateLimiterStats | null;
+
+  /**
+   * Reports the state of the circuit breaker, or null when it is off.
+   */
+  circuitStats(): CircuitBreakerStats | null;
+
+  /**
+   * Registers the schema of a collection; `insert`, `save` and `update` then validate items before sending them.
+   */
+  defineSchema(collectionName: string, fields: SchemaFields | Schema): Schema;
+
+  /**
+   * Returns the schema registered for a collection, or null when there is none.
+   */
+  schema(collectionName: string): Schema | null;
+
+  /**
+   * Returns the lifecycle hooks of a collection, created on first use.
+   */
+  hooks<K extends Extract<keyof Collections, string>>(collectionName: K): CollectionHooks<Collections[K]>;
+  hooks<T = CollectionItem>(collectionName: string): CollectionHooks<T>;
+
+  /**
+   * Retrieves the field definitions of the given collections, or of every collection the token may read.
+   */
+  fetchCollectionSchemas(collectionNames?: string[]): Promise<CollectionDescription[]>;
 }
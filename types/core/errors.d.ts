@@ -0,0 +1,103 @@
+export interface WixCMSErrorDetails {
+  status?: number;
+  code?: string;
+  body?: any;
+  cause?: Error;
+}
+
+/**
+ * Base class for errors raised by the SDK.
+ */
+export declare class WixCMSError extends Error {
+  constructor(message: string, details?: WixCMSErrorDetails);
+
+  status?: number;
+  code?: string;
+  body?: any;
+}
+
+/**
+ * Raised when the token is missing, invalid or lacks permission.
+ */
+export declare class AuthError extends WixCMSError {}
+
+/**
+ * Raised when the bridge denies an operation the token is not scoped for.
+ */
+export declare class ForbiddenError extends AuthError {
+  constructor(message: string, details?: WixCMSErrorDetails & { collection?: string; operation?: string });
+
+  collection?: string;
+  operation?: string;
+}
+
+/**
+ * Raised when the collection, item or endpoint does not exist.
+ */
+export declare class NotFoundError extends WixCMSError {}
+
+/**
+ * Raised when the request or the item data is rejected as invalid, by the site or by
+ * the collection's schema (code `schema_validation`).
+ */
+export declare class ValidationError extends WixCMSError {
+  constructor(message: string, details?: WixCMSErrorDetails & { errors?: { path: string; message: string }[] });
+
+  /** Every failing field path, when known. */
+  errors: { path: string; message: string }[];
+}
+
+/**
+ * Raised when an `update()` or `save()` made with `expectedUpdatedDate` is rejected because
+ * the item changed since that date (code `conflict`).
+ */
+export declare class ConflictError<T = any> extends WixCMSError {
+  constructor(message: string, details?: WixCMSErrorDetails & { current?: T | null });
+
+  /** The item as currently stored, or null when it no longer exists or the token may not read the collection. */
+  current: T | null;
+}
+
+/**
+ * Raised when the site throttles requests (HTTP 429).
+ */
+export declare class RateLimitError extends WixCMSError {
+  constructor(message: string, details?: WixCMSErrorDetails & { retryAfter?: number });
+
+  /** Milliseconds to wait before retrying, from the `Retry-After` header. */
+  retryAfter?: number;
+}
+
+/**
+ * Raised when a request does not complete within its timeout.
+ */
+export declare class TimeoutError extends WixCMSError {
+  constructor(message: string, details?: WixCMSErrorDetails & { timeout?: number });
+
+  timeout?: number;
+}
+
+/**
+ * Raised without contacting the site while the circuit breaker is open.
+ */
+export declare class CircuitOpenError extends WixCMSError {
+  constructor(message: string, details?: WixCMSErrorDetails & { retryAfter?: number });
+
+  /** Milliseconds until the breaker lets a trial request through. */
+  retryAfter?: number;
+}
+
+/**
+ * Raised when the caller cancels a request through its `signal`. Never retried; `cause` holds the abort reason.
+ */
+export declare class AbortError extends WixCMSError {}
+
+/**
+ * Raised when the site cannot be reached.
+ */
+export declare class NetworkError extends WixCMSError {}
+
+/**
+ * Raised when a wix-data operation fails on the site. `code` holds the wix-data error code.
+ */
+export declare class WixDataError extends WixCMSError {}
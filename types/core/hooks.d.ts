@@ -0,0 +1,57 @@
+import { CollectionItem, ItemUpdate, NewItem, QueryBuilder, QueryOptions, WixItem } from "./queryBuilder.js";
+
+/** Passed to every hook as its last argument. */
+export interface HookContext {
+  collection: string;
+  /** The QueryBuilder method that was called, e.g. `insert` or `iterate`. */
+  operation: string;
+  options: QueryOptions;
+}
+
+/** Receives a value; returning `undefined` keeps it, returning anything else replaces it. */
+export type Hook<V> = (value: V, context: HookContext) => V | void | Promise<V | void>;
+
+/**
+ * Lifecycle hooks of one collection, run by its query builders around reads and writes.
+ * Every hook may be async; throwing from a `before*` hook vetoes the operation.
+ */
+export declare class CollectionHooks<T = CollectionItem> {
+  /** Runs before `insert()` (and bulk imports in insert mode), once per item. */
+  beforeInsert(handler: Hook<NewItem<T>>): this;
+
+  /** Runs before `save()` (and bulk imports in save mode), once per item. */
+  beforeSave(handler: Hook<NewItem<T>>): this;
+
+  /** Runs before `update()` (and bulk imports in update mode), once per item. */
+  beforeUpdate(handler: Hook<ItemUpdate<T>>): this;
+
+  /** Runs before `remove()`, once per item ID. Throw to prevent the removal. */
+  beforeRemove(handler: (itemId: string, context: HookContext) => void | Promise<void>): this;
+
+  /** Adds filter conditions, AND-ed with the query's, to `find()`, `count()`, `distinct()`, `aggregate()` and the iterators. */
+  beforeFind(handler: (query: QueryBuilder<T>, context: HookContext) => unknown): this;
+
+  /** Runs after a single-item `insert()` succeeds. */
+  afterInsert(handler: Hook<WixItem<T>>): this;
+
+  /** Runs after a single-item `save()` succeeds. */
+  afterSave(handler: Hook<WixItem<T>>): this;
+
+  /** Runs after a single-item `update()` succeeds. */
+  afterUpdate(handler: Hook<WixItem<T>>): this;
+
+  /** Runs on the items returned by reads, one page at a time; items left out are dropped. */
+  afterFind(handler: Hook<WixItem<T>[]>): this;
+
+  /** Runs when any operation on the collection fails; the error is rethrown afterwards, unless the handler throws another one. */
+  onError(handler: (error: Error, context: HookContext) => void | Promise<void>): this;
+
+  /** Whether any hook of a kind is registered. */
+  has(name: string): boolean;
+
+  /** Passes a value through the hooks of a kind, in order. */
+  run<V>(name: string, value: V, context: HookContext): Promise<V>;
+
+  /** Runs the `onError` hooks, then rethrows the error. */
+  fail(error: Error, context: HookContext): Promise<never>;
+}
@@ -0,0 +1,45 @@
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+/** A log entry, passed as the single argument of the target logger's level method. */
+export interface LogEntry {
+  /** The event name, also used as the message. */
+  message: string;
+  /** `request.start`, `request.end`, `request.retry`, `request.timeout` or `request.error`. */
+  event: string;
+  route?: string;
+  collection?: string;
+  attempt?: number;
+  attempts?: number;
+  status?: number;
+  /** Milliseconds from the first attempt to the outcome. */
+  duration?: number;
+  /** Milliseconds before the next attempt. */
+  delay?: number;
+  timeout?: number;
+  /** The names of the options set on a started request. */
+  options?: string[];
+  /** The number of items or IDs sent by a started request. */
+  items?: number;
+  error?: { name: string; message: string; code?: string; status?: number };
+  [field: string]: unknown;
+}
+
+/** Any logger with pino, winston, bunyan or console style level methods. */
+export type LoggerTarget = Record<LogLevel, (entry: LogEntry) => unknown>;
+
+export interface LoggerOptions {
+  /** Field names to redact at any depth, in addition to tokens, authorization headers and signatures. */
+  redact?: string[];
+  /** Values to mask wherever they appear in strings. */
+  secrets?: string[];
+}
+
+/**
+ * Sends structured log entries to a logger, with secrets and configured fields redacted.
+ */
+export declare class Logger {
+  constructor(target: LoggerTarget, options?: LoggerOptions);
+
+  /** Writes an entry; errors thrown by the target are ignored. */
+  log(level: LogLevel, event: string, fields?: Record<string, unknown>): void;
+}
@@ -1,4 +1,6 @@
-import { WixRequest } from "./wixRequest.js";
+import { RetryOptions, WixRequest, WixRequestOptions } from "./wixRequest.js";
+import { AggregateBuilder } from "./aggregateBuilder.js";
+import { CacheTiming } from "./responseCache.js";
 
 export interface QueryCondition {
   field: string | null;
@@ -7,42 +9,212 @@ export interface QueryCondition {
   extraValue?: any;
 }
 
+export interface Pagination {
+  /** The number of items on this page, as the bridge's `query` route reports it. */
+  total_items: number;
+  total_pages: number;
+  per_page: number;
+  current_page: number;
+  has_next_page: boolean;
+  has_prev_page: boolean;
+}
+
+/** An item of a collection without a declared type. */
+export type CollectionItem = Record<string, any>;
+
+/** Fields Wix adds to every stored item. */
+export interface SystemFields {
+  _id: string;
+  _owner?: string;
+  _createdDate?: Date | string;
+  _updatedDate?: Date | string;
+}
+
+/** An item as stored by Wix: the collection's fields plus the system fields. */
+export type WixItem<T = CollectionItem> = T & SystemFields;
+
+/** An item about to be inserted or saved: the system fields are optional. */
+export type NewItem<T = CollectionItem> = Omit<T, keyof SystemFields> & Partial<SystemFields>;
+
+/** An item about to be updated: `_id` is required. */
+export type ItemUpdate<T = CollectionItem> = NewItem<T> & { _id: string };
+
+/** A top-level field key of the item. */
+export type FieldKey<T = CollectionItem> = Extract<keyof WixItem<T>, string>;
+
+/** A field key, or a dotted path into a nested field (whose value is not checked). */
+export type FieldPath<T = CollectionItem> = FieldKey<T> | `${FieldKey<T>}.${string}`;
+
+/** The value type of a field, or `any` for dotted paths. */
+export type FieldValue<T, K extends string> = K extends keyof WixItem<T> ? WixItem<T>[K] : any;
+
+/** Field keys whose values are text. */
+export type TextFieldKey<T = CollectionItem> = {
+  [K in FieldKey<T>]: NonNullable<WixItem<T>[K]> extends string ? K : never;
+}[FieldKey<T>];
+
+/** Values accepted by range conditions on a field: numbers, text and dates (as Date or ISO string). */
+export type RangeValue<V> = NonNullable<V> extends Date ? Date | string : Extract<NonNullable<V>, number | string | Date>;
+
+/** The element type of an array field. */
+export type ElementOf<V> = NonNullable<V> extends readonly (infer E)[] ? E : NonNullable<V>;
+
+/** A successful bridge response. */
+export interface WixResponse<R = any> {
+  status: "success";
+  result: R;
+}
+
+export interface QueryPage<T = CollectionItem> {
+  items: WixItem<T>[];
+  pagination: Pagination;
+}
+
+export interface GetManyResult<T = CollectionItem> {
+  items: WixItem<T>[];
+  missing: string[];
+}
+
+/** Result of a bulk insert, save or update (an array passed to `insert`, `save` or `update`). */
+export interface BulkWriteResult {
+  inserted: number;
+  updated: number;
+  skipped: number;
+  insertedItemIds?: string[];
+  updatedItemIds?: string[];
+  errors: BulkItemError[];
+}
+
+export type ItemReference = string | { _id: string; [key: string]: any };
+
 export interface QueryOptions {
   suppressAuth?: boolean;
+  /** Per-call cache control for reads: `false` skips the cache, an object overrides the timing. */
+  cache?: boolean | CacheTiming;
+  /** `false` keeps a read from sharing an identical request in flight (when the client has `dedupe` on). */
+  dedupe?: boolean;
+  /** Cancels the call, including pending retries; it then rejects with an `AbortError`. Ignored in batches. */
+  signal?: AbortSignal;
+  /** Timeout of each attempt, in milliseconds, overriding the client's. Ignored in batches. */
+  timeout?: number;
+  /** Retry settings overriding the client's, or `false` for a single attempt. Ignored in batches. */
+  retry?: RetryOptions | false;
   [key: string]: any;
 }
 
+/** Options of single-item `save()` and `update()`. */
+export interface ConditionalWriteOptions<I, T = CollectionItem> extends QueryOptions {
+  /** Only write if the stored item was last updated at this time; otherwise reject with a `ConflictError`. */
+  expectedUpdatedDate?: Date | string | number;
+  /** On a conflict, returns the item to write instead (up to 3 writes in all); requires `expectedUpdatedDate`. */
+  merge?: (item: I, current: WixItem<T>) => I | void | Promise<I | void>;
+}
+
+export interface QueryReferencedOptions extends QueryOptions {
+  page?: number;
+  pageSize?: number;
+  order?: "asc" | "desc";
+}
+
+export interface BulkCheckpoint {
+  /** Number of leading input items already written. */
+  offset: number;
+}
+
+export interface BulkItemError {
+  /** Position of the item in the full input. */
+  index: number;
+  code?: string;
+  message?: string;
+  item?: object;
+  /** Failing field paths, for items rejected by the collection's schema. */
+  errors?: { path: string; message: string }[];
+}
+
+export interface BulkProgress {
+  processed: number;
+  inserted: number;
+  updated: number;
+  skipped: number;
+  /** Number of items that failed so far. */
+  failed: number;
+  checkpoint: BulkCheckpoint;
+}
+
+export interface BulkImportOptions {
+  mode?: "insert" | "save" | "update";
+  /** Items per bulk request, at most 1000. */
+  chunkSize?: number;
+  /** Chunks written at the same time. */
+  concurrency?: number;
+  onProgress?: (progress: BulkProgress) => void;
+  /** A checkpoint from a previous run to resume from. */
+  checkpoint?: BulkCheckpoint;
+  options?: QueryOptions;
+}
+
+export interface BulkImportReport {
+  processed: number;
+  inserted: number;
+  updated: number;
+  skipped: number;
+  errors: BulkItemError[];
+  checkpoint: BulkCheckpoint;
+}
+
 /**
  * Fluent query builder for Wix CMS collections.
+ * `T` describes the collection's items; field names and values are checked against it.
  */
-export declare class QueryBuilder {
-  constructor(collectionName: string, username: string, site: string, token: string);
-
-  eq(field: string, value: any): this;
-  ne(field: string, value: any): this;
-  gt(field: string, value: number | Date): this;
-  gte(field: string, value: number | Date): this;
-  lt(field: string, value: number | Date): this;
-  lte(field: string, value: number | Date): this;
-  include(field: string): this;
-  contains(field: string, value: string): this;
-  startsWith(field: string, value: string): this;
-  endsWith(field: string, value: string): this;
-  between(field: string, minValue: number | Date, maxValue: number | Date): this;
-  fields(field: string): this;
+export declare class QueryBuilder<T = CollectionItem> {
+  constructor(collectionName: string, username: string | undefined, site: string | undefined, token: string, options?: WixRequestOptions);
+
+  eq<K extends FieldPath<T>>(field: K, value: FieldValue<T, K>): this;
+  ne<K extends FieldPath<T>>(field: K, value: FieldValue<T, K>): this;
+  gt<K extends FieldPath<T>>(field: K, value: RangeValue<FieldValue<T, K>>): this;
+  gte<K extends FieldPath<T>>(field: K, value: RangeValue<FieldValue<T, K>>): this;
+  lt<K extends FieldPath<T>>(field: K, value: RangeValue<FieldValue<T, K>>): this;
+  lte<K extends FieldPath<T>>(field: K, value: RangeValue<FieldValue<T, K>>): this;
+  include(field: FieldKey<T>): this;
+  contains(field: TextFieldKey<T> | `${FieldKey<T>}.${string}`, value: string): this;
+  startsWith(field: TextFieldKey<T> | `${FieldKey<T>}.${string}`, value: string): this;
+  endsWith(field: TextFieldKey<T> | `${FieldKey<T>}.${string}`, value: string): this;
+  between<K extends FieldPath<T>>(field: K, minValue: RangeValue<FieldValue<T, K>>, maxValue: RangeValue<FieldValue<T, K>>): this;
+  fields(field: FieldPath<T>): this;
   limit(value: number): this;
   skip(value: number): this;
-  hasSome(field: string, value: any[]): this;
-  hasAll(field: string, value: any[]): this;
-  isEmpty(field: string): this;
-  isNotEmpty(field: string): this;
-  ascending(field: string): this;
-  descending(field: string): this;
-
-  insert(item: object, options?: QueryOptions): Promise<object>;
-  save(item: object, options?: QueryOptions): Promise<object>;
-  update(item: object, options?: QueryOptions): Promise<object>;
-  remove(itemId: string, options?: QueryOptions): Promise<object>;
-  truncate(options?: QueryOptions): Promise<object>;
-  find(options?: QueryOptions): Promise<object>;
+  hasSome<K extends FieldPath<T>>(field: K, value: ElementOf<FieldValue<T, K>>[]): this;
+  hasAll<K extends FieldPath<T>>(field: K, value: ElementOf<FieldValue<T, K>>[]): this;
+  isEmpty(field: FieldPath<T>): this;
+  isNotEmpty(field: FieldPath<T>): this;
+  ascending(field: FieldPath<T>): this;
+  descending(field: FieldPath<T>): this;
+  or(build: (query: QueryBuilder<T>) => QueryBuilder<T> | void): this;
+  and(build: (query: QueryBuilder<T>) => QueryBuilder<T> | void): this;
+  not(build: (query: QueryBuilder<T>) => QueryBuilder<T> | void): this;
+
+  insert(items: NewItem<T>[], options?: QueryOptions): Promise<WixResponse<BulkWriteResult>>;
+  insert(item: NewItem<T>, options?: QueryOptions): Promise<WixResponse<WixItem<T>>>;
+  save(items: NewItem<T>[], options?: QueryOptions): Promise<WixResponse<BulkWriteResult>>;
+  save(item: NewItem<T>, options?: ConditionalWriteOptions<NewItem<T>, T>): Promise<WixResponse<WixItem<T>>>;
+  update(items: ItemUpdate<T>[], options?: QueryOptions): Promise<WixResponse<BulkWriteResult>>;
+  update(item: ItemUpdate<T>, options?: ConditionalWriteOptions<ItemUpdate<T>, T>): Promise<WixResponse<WixItem<T>>>;
+  remove(itemId: string | string[], options?: QueryOptions): Promise<WixResponse>;
+  truncate(options?: QueryOptions): Promise<WixResponse>;
+  find(options?: QueryOptions): Promise<WixResponse<QueryPage<T>>>;
+  get(itemId: string, options?: QueryOptions): Promise<WixItem<T> | null>;
+  getMany(itemIds: string[], options?: QueryOptions): Promise<GetManyResult<T>>;
+  insertReference(field: FieldKey<T>, referringItem: ItemReference, referencedItem: ItemReference | ItemReference[], options?: QueryOptions): Promise<WixResponse>;
+  removeReference(field: FieldKey<T>, referringItem: ItemReference, referencedItem: ItemReference | ItemReference[], options?: QueryOptions): Promise<WixResponse>;
+  replaceReferences(field: FieldKey<T>, referringItem: ItemReference, referencedItem: ItemReference | ItemReference[], options?: QueryOptions): Promise<WixResponse>;
+  isReferenced(field: FieldKey<T>, referringItem: ItemReference, referencedItem: ItemReference, options?: QueryOptions): Promise<boolean>;
+  /** `R` describes the referenced collection's items. */
+  queryReferenced<R = CollectionItem>(item: ItemReference, field: FieldKey<T>, options?: QueryReferencedOptions): Promise<WixResponse<QueryPage<R>>>;
+  count(options?: QueryOptions): Promise<number>;
+  distinct<K extends FieldPath<T>>(field: K, options?: QueryOptions): Promise<ElementOf<FieldValue<T, K>>[]>;
+  aggregate(): AggregateBuilder<T>;
+  iteratePages(options?: QueryOptions): AsyncGenerator<QueryPage<T>, void, undefined>;
+  iterate(options?: QueryOptions): AsyncGenerator<WixItem<T>, void, undefined>;
+  bulkImport(items: Iterable<NewItem<T>> | AsyncIterable<NewItem<T>>, options?: BulkImportOptions): Promise<BulkImportReport>;
+  bulkExport(options?: QueryOptions): AsyncGenerator<WixItem<T>, void, undefined>;
 }
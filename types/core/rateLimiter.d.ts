@@ -0,0 +1,34 @@
+export interface RateLimiterOptions {
+  /** Rate at which the token bucket refills. Defaults to 10. */
+  requestsPerSecond?: number;
+  /** Bucket size: how many requests may start at once after an idle period. Defaults to `requestsPerSecond`. */
+  burst?: number;
+  /** Maximum number of requests in flight. Defaults to 5. */
+  maxConcurrent?: number;
+  /** Longest pause, in milliseconds, that a `Retry-After` header may impose on the queue. Defaults to 10000. */
+  maxPause?: number;
+}
+
+export interface RateLimiterStats {
+  /** Requests waiting to start. */
+  queued: number;
+  /** Requests currently running. */
+  inFlight: number;
+  /** Whole tokens left in the bucket. */
+  availableTokens: number;
+  /** Milliseconds left of a `Retry-After` pause, 0 when not paused. */
+  pausedFor: number;
+}
+
+/**
+ * Throttles requests with a token bucket and caps how many run at once.
+ * Pauses every queued request when a 429 response carries `Retry-After`.
+ */
+export declare class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+
+  stats(): RateLimiterStats;
+  /** Runs a task once the limits allow it; an abort or timeout while queued removes it from the queue. */
+  schedule<T>(task: () => Promise<T>, options?: { signal?: AbortSignal; timeout?: number }): Promise<T>;
+  pause(ms: number): void;
+}
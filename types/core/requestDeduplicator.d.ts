@@ -0,0 +1,13 @@
+/**
+ * Shares one in-flight request between identical concurrent reads. Each caller receives its own copy of the result.
+ */
+export declare class RequestDeduplicator {
+  /** The number of requests in flight. */
+  readonly size: number;
+
+  /** Runs a read, or joins the identical read already in flight. */
+  run<R>(collection: string, key: string, load: () => Promise<R>): Promise<R>;
+
+  /** Stops reads of a collection from joining the requests already in flight. */
+  forget(collection: string): void;
+}
@@ -0,0 +1,53 @@
+export interface CacheEntry {
+  value: any;
+  storedAt: number;
+  expiresAt: number;
+  staleUntil: number;
+}
+
+/**
+ * A store for cached responses. Methods may be synchronous or return promises.
+ */
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete?(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+}
+
+export interface CacheTiming {
+  /** How long entries are fresh, in milliseconds. */
+  ttl?: number;
+  /** How long expired entries may still be served while refreshed in the background, in milliseconds. */
+  staleWhileRevalidate?: number;
+}
+
+export interface ResponseCacheOptions extends CacheTiming {
+  /** Size of the default in-memory store. */
+  maxEntries?: number;
+  /** A custom store, e.g. a Redis adapter. */
+  store?: CacheStore;
+}
+
+/**
+ * Bounded in-memory LRU cache store.
+ */
+export declare class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+/**
+ * Caches read responses per collection, with a TTL and optional stale-while-revalidate window.
+ */
+export declare class ResponseCache {
+  constructor(options?: ResponseCacheOptions);
+
+  fetch<T>(collection: string, request: any, load: () => Promise<T>, overrides?: CacheTiming): Promise<T>;
+  invalidate(collection: string): void;
+  clear(): void;
+}
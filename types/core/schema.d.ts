@@ -0,0 +1,39 @@
+import { ValidationError } from "./errors.js";
+
+export type FieldType = "text" | "number" | "boolean" | "date" | "reference" | "image" | "array" | "object";
+
+export interface FieldDefinition {
+  type: FieldType;
+  /** The field must be present: not undefined, null or an empty string. */
+  required?: boolean;
+  /** The only values allowed. */
+  enum?: any[];
+  /** Custom check: return `true` when valid, or `false` or an error message otherwise. */
+  validate?: (value: any, item: Record<string, any>) => boolean | string | void | Promise<boolean | string | void>;
+  /** Definition of each element, for `array` fields. */
+  items?: FieldType | FieldDefinition;
+  /** Nested field definitions, for `object` fields. */
+  fields?: SchemaFields;
+}
+
+export type SchemaFields = Record<string, FieldType | FieldDefinition>;
+
+export interface SchemaFieldError {
+  /** Path of the failing field, e.g. `title`, `tags[2]`, `address.city` or `[3].title` for arrays of items. */
+  path: string;
+  message: string;
+}
+
+/**
+ * Describes the fields of a collection and checks items against them before they are written.
+ */
+export declare class Schema {
+  constructor(fields: SchemaFields);
+
+  /** Resolves to every failing field path, empty when the item is valid. */
+  validate(item: Record<string, any>): Promise<SchemaFieldError[]>;
+  /** Throws a ValidationError listing every failing field path of the item or items. */
+  assert(items: Record<string, any> | Record<string, any>[]): Promise<void>;
+}
+
+export declare function createSchemaError(errors: SchemaFieldError[]): ValidationError;
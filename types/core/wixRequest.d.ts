@@ -1,13 +1,83 @@
+import { ResponseCache } from "./responseCache.js";
+import { Batch } from "./batch.js";
+import { RateLimiter } from "./rateLimiter.js";
+import { Schema } from "./schema.js";
+import { Logger } from "./logger.js";
+import { CircuitBreaker } from "./circuitBreaker.js";
+import { RequestDeduplicator } from "./requestDeduplicator.js";
+
+/** The request state passed through the middleware of `WixCMS#use()`. */
+export interface MiddlewareContext {
+  /** The collection the request targets (the first collection of a batch). */
+  collection: string;
+  /** The bridge route, e.g. `query`, `insertQuery` or `batch`. */
+  route: string;
+  /** The request body, without the collection and the token. */
+  body: Record<string, any>;
+  /** Extra headers to send with the request. */
+  headers: Record<string, string>;
+  /** Free for the middleware's own data. */
+  state: Record<string, any>;
+  /** The parsed response, set once `next()` resolves. */
+  response: any;
+}
+
+/** Wraps a request: changes the context before `await next()` and reads or replaces `ctx.response` after it. */
+export type Middleware = (ctx: MiddlewareContext, next: () => Promise<void>) => unknown;
+
+export interface RetryOptions {
+  /** Attempts in total, including the first. Defaults to 3. */
+  maxAttempts?: number;
+  /** Delay before the first retry, doubled after each attempt, in milliseconds. Defaults to 1000. */
+  baseDelay?: number;
+  /** Longest delay between attempts, in milliseconds. Defaults to 10000. */
+  maxDelay?: number;
+  /** Fraction (0 to 1) of each delay to randomly take off. Defaults to 0. */
+  jitter?: number;
+}
+
+export interface WixRequestOptions {
+  baseUrl?: string;
+  signRequests?: boolean;
+  cache?: ResponseCache;
+  /** Batch that collects the requests instead of sending them. */
+  batch?: Batch;
+  /** Rate and concurrency limit applied to every attempt. */
+  limiter?: RateLimiter;
+  /** Schemas by collection name, checked by QueryBuilder before every write. */
+  schemas?: Map<string, Schema>;
+  /** Middleware wrapped around every request, outermost first. */
+  middleware?: Middleware[];
+  /** Logger receiving the request events. */
+  logger?: Logger;
+  /** Default timeout of each attempt, in milliseconds. */
+  timeout?: number;
+  /** Default retry settings, or `false` for a single attempt. */
+  retry?: RetryOptions | false;
+  /** Breaker guarding every attempt. */
+  circuitBreaker?: CircuitBreaker;
+  /** Shares identical in-flight reads. */
+  deduplicator?: RequestDeduplicator;
+}
+
 /**
  * Handles authenticated requests to the Wix CMS API.
  */
 export declare class WixRequest {
-  constructor(collectionName: string, username: string, site: string, token: string);
+  constructor(collectionName: string, username: string | undefined, site: string | undefined, token: string, options?: WixRequestOptions);
 
   insertQuery(route: string, item: object, options?: object): Promise<object>;
   saveQuery(route: string, item: object, options?: object): Promise<object>;
   update(route: string, item: object, options?: object): Promise<object>;
   removeQuery(route: string, itemId: string, options?: object): Promise<object>;
   truncateQuery(route: string, options?: object): Promise<object>;
+  getQuery(route: string, itemId: string | string[], options?: object): Promise<object>;
+  referenceQuery(route: string, field: string, referringItem: string | object, referencedItem: string | object | Array<string | object>, options?: object): Promise<object>;
+  queryReferenced(route: string, item: string | object, field: string, page: number, options?: object): Promise<object>;
   findQuery(route: string, conditions: any[], options?: object): Promise<object>;
+  countQuery(route: string, conditions: any[], options?: object): Promise<object>;
+  distinctQuery(route: string, conditions: any[], field: string, options?: object): Promise<object>;
+  aggregateQuery(route: string, aggregation: object, options?: object): Promise<object>;
+  batchQuery(route: string, operations: object[], sequential?: boolean): Promise<object>;
+  schemaQuery(route: string, collections?: string[]): Promise<object>;
 }
@@ -1,3 +1,31 @@
 export { WixCMS } from "./core/cms.js";
 export { QueryBuilder } from "./core/queryBuilder.js";
-export { WixRequest } from "./core/wixRequest.js";
\ No newline at end of file
+export type { CollectionItem, WixItem, NewItem, ItemUpdate, QueryPage, Pagination, WixResponse, ConditionalWriteOptions } from "./core/queryBuilder.js";
+export { AggregateBuilder } from "./core/aggregateBuilder.js";
+export { WixRequest } from "./core/wixRequest.js";
+export type { Middleware, MiddlewareContext, RetryOptions } from "./core/wixRequest.js";
+export { Batch } from "./core/batch.js";
+export { RateLimiter } from "./core/rateLimiter.js";
+export { ResponseCache, MemoryCacheStore } from "./core/responseCache.js";
+export { Schema } from "./core/schema.js";
+export { CircuitBreaker } from "./core/circuitBreaker.js";
+export { RequestDeduplicator } from "./core/requestDeduplicator.js";
+export { CollectionHooks } from "./core/hooks.js";
+export type { Hook, HookContext } from "./core/hooks.js";
+export type { CircuitState, CircuitStateChange } from "./core/circuitBreaker.js";
+export { Logger } from "./core/logger.js";
+export type { LogEntry, LoggerTarget } from "./core/logger.js";
+export {
+  WixCMSError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  RateLimitError,
+  TimeoutError,
+  CircuitOpenError,
+  AbortError,
+  NetworkError,
+  WixDataError
+} from "./core/errors.js";
\ No newline at end of file
@@ -0,0 +1,2 @@
+export { MockBridgeServer, MockBridgeServerOptions, MockFault, MockRequest, MockToken } from "./mockServer.js";
+export { MemoryStore, WixDataStoreError } from "./memoryStore.js";
@@ -0,0 +1,53 @@
+import { QueryCondition, QueryPage, GetManyResult } from "../core/queryBuilder.js";
+
+/**
+ * An error shaped like the wix-data errors the bridge forwards in `errorMessage`.
+ */
+export declare class WixDataStoreError extends Error {
+  constructor(code: string, message: string);
+
+  code: string;
+  toJSON(): { code: string; message: string };
+}
+
+export interface BulkResult {
+  inserted: number;
+  updated: number;
+  removed: number;
+  skipped: number;
+  insertedItemIds: string[];
+  updatedItemIds: string[];
+  removedItemIds: string[];
+  errors: Array<{ index: number; code?: string; message: string; item: any }>;
+}
+
+/**
+ * In-memory collection store mimicking the wix-data operations used by the bridge.
+ */
+export declare class MemoryStore {
+  constructor(collections?: Record<string, object[]>);
+
+  reset(collections?: Record<string, object[]>): void;
+  collectionNames(): string[];
+  items(collection: string): object[];
+  query(collection: string, conditions?: QueryCondition[]): QueryPage;
+  count(collection: string, conditions?: QueryCondition[]): number;
+  distinct(collection: string, conditions: QueryCondition[] | undefined, field: string): any[];
+  aggregate(collection: string, aggregation?: object): { items: object[]; length: number };
+  get(collection: string, itemId: string): object | null;
+  getMany(collection: string, itemIds: string[]): GetManyResult;
+  insert(collection: string, item: object): object;
+  update(collection: string, item: object): object;
+  save(collection: string, item: object): object;
+  remove(collection: string, itemId: string): object | null;
+  truncate(collection: string): null;
+  bulk(operation: "insert" | "save" | "update" | "remove", collection: string, entries: any[]): BulkResult;
+  reference(
+    operation: "insertReference" | "removeReference" | "replaceReferences" | "isReferenced",
+    collection: string,
+    field: string,
+    referringItem: any,
+    referencedItem: any
+  ): boolean | null;
+  queryReferenced(collection: string, referringItem: any, field: string, page?: number, options?: object): QueryPage;
+}
@@ -0,0 +1,58 @@
+import { MemoryStore } from "./memoryStore.js";
+import { FieldDescription } from "../core/cms.js";
+
+/** A scoped token; `"*"` allows every collection or operation. */
+export interface MockToken {
+  token: string;
+  collections: "*" | string[];
+  /** Any of `read`, `insert`, `update`, `remove` and `truncate`. */
+  operations: "*" | string[];
+}
+
+export interface MockBridgeServerOptions {
+  /** The secret token the bridge accepts. Defaults to `test-token`. */
+  token?: string;
+  /** Additional scoped tokens, as in the bridge's `API_TOKENS`. */
+  tokens?: MockToken[];
+  /** Initial items per collection name. */
+  collections?: Record<string, object[]>;
+  /**
+   * Field definitions served by the `schema` route per collection name (Wix field types);
+   * collections without one get fields inferred from their items.
+   */
+  schemas?: Record<string, Array<Omit<FieldDescription, "system">>>;
+}
+
+/** A failure or delay injected into the next requests to a route. */
+export interface MockFault {
+  /** Status of the failed response, e.g. 429 or 503; without one the request is served normally after the delay. */
+  status?: number;
+  /** Headers of the failed response, e.g. `retry-after`. */
+  headers?: Record<string, string>;
+  /** Milliseconds to wait before responding. Defaults to 0. */
+  delay?: number;
+  /** How many requests to affect. Defaults to 1. */
+  times?: number;
+}
+
+export interface MockRequest {
+  route: string;
+  headers: Record<string, string | string[] | undefined>;
+  body: any;
+}
+
+/**
+ * Local HTTP server serving the bridge routes from an in-memory store.
+ */
+export declare class MockBridgeServer {
+  constructor(options?: MockBridgeServerOptions);
+
+  readonly store: MemoryStore;
+  readonly baseUrl: string | null;
+  readonly requests: MockRequest[];
+
+  /** Makes the next requests to a route fail or respond late. */
+  injectFault(route: string, fault?: MockFault): void;
+  start(port?: number): Promise<{ baseUrl: string; port: number }>;
+  stop(): Promise<void>;
+}